@@ -20,6 +20,15 @@ import path from 'path';
 import { Transform, Readable } from 'stream';
 import { pipeline } from 'stream/promises';
 import { setTimeout as sleep } from 'timers/promises';
+import readline from 'readline';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
 
 // ===============
 // Console styling (ANSI colors) and emojis
@@ -40,11 +49,82 @@ const paintBoldCyan = s => `${COLOR.bold}${COLOR.cyan}${s}${COLOR.reset}`; // bo
 const paintBlue = s => paint(COLOR.blue, s);
 const paintLightBlue = s => paint(COLOR.lightBlue, s);
 
-const logInfo = (...a) => console.log('ℹ️', ...a);
-const logStep = (...a) => console.log('▶️', ...a);
-const logSuccess = (...a) => console.log('✅', ...a);
-const logWarn = (...a) => console.warn('⚠️', ...a);
-const logError = (...a) => console.error('❌', ...a);
+// Human-readable output (log lines, tables, progress bars) goes to LOGGER. The CLI sets CONSOLE_LOGGER; library
+// clients stay silent unless createClient({ logger }) passes a console-like { log, warn, error, write? }.
+const CONSOLE_LOGGER = {
+    log: (...a) => console.log(...a),
+    warn: (...a) => console.warn(...a),
+    error: (...a) => console.error(...a),
+    // In-place "\r" progress line
+    write: (text) => process.stdout.write(text)
+};
+// --json: the same output on stderr, so stdout carries nothing but events
+const STDERR_LOGGER = {
+    log: (...a) => console.error(...a),
+    warn: (...a) => console.error(...a),
+    error: (...a) => console.error(...a),
+    write: (text) => process.stderr.write(text)
+};
+let LOGGER = null;
+const printLine = (...a) => LOGGER?.log(...a);
+const printRaw = (text) => LOGGER?.write?.(text);
+
+const logInfo = (...a) => printLine('ℹ️', ...a);
+const logStep = (...a) => printLine('▶️', ...a);
+const logSuccess = (...a) => printLine('✅', ...a);
+const logWarn = (...a) => { LOGGER?.warn('⚠️', ...a); emitLogEvent('warning', a); };
+const logError = (...a) => { LOGGER?.error('❌', ...a); emitLogEvent('error', a); };
+
+// ===============
+// --json: one JSON event per line on stdout; all human-readable output moves to stderr
+// ===============
+let JSON_EVENTS = false;
+const writeStdout = process.stdout.write.bind(process.stdout);
+const progressEventTimes = new Map();
+// Library callers (client.download({ onEvent, onProgress })) receive the same event objects
+const EVENT_LISTENERS = new Set();
+
+function eventsWanted() {
+    return JSON_EVENTS || EVENT_LISTENERS.size > 0;
+}
+
+function enableJsonEvents() {
+    JSON_EVENTS = true;
+    LOGGER = STDERR_LOGGER;
+}
+
+function emitEvent(event, fields = {}) {
+    if (!eventsWanted()) return;
+    const payload = { event, time: new Date().toISOString(), ...fields };
+    if (JSON_EVENTS) writeStdout(JSON.stringify(payload) + '\n');
+    for (const listener of EVENT_LISTENERS) {
+        try { listener(payload); } catch { }
+    }
+}
+
+// Code from buildActionableError text ("[AUTH_401] ..."), or the error's own code (INTEGRITY_*, ECONNRESET...).
+function errorCodeOf(errOrMessage) {
+    const message = String(errOrMessage?.message ?? errOrMessage ?? '');
+    const m = message.match(/\[([A-Z][A-Z0-9_]*)\]/);
+    if (m) return m[1];
+    return typeof errOrMessage?.code === 'string' ? errOrMessage.code : null;
+}
+
+function emitLogEvent(level, args) {
+    if (!eventsWanted()) return;
+    const message = args.map(a => (a instanceof Error ? a.message : String(a))).join(' ');
+    emitEvent(level, { code: errorCodeOf(message), message });
+}
+
+// Throttled per-file progress (at most every 500 ms, plus the final update).
+function emitFileProgress(filePath, bytes, total, final = false) {
+    if (!eventsWanted()) return;
+    const now = Date.now();
+    if (!final && now - (progressEventTimes.get(filePath) || 0) < 500) return;
+    progressEventTimes.set(filePath, now);
+    emitEvent('file-progress', { file: filePath, bytes, total: total ?? null });
+    if (final) progressEventTimes.delete(filePath);
+}
 
 // ===============
 // Configuration
@@ -53,6 +133,17 @@ const DEFAULT_CONFIG_FILE = 'config.json';
 const DEFAULT_RETRY_ATTEMPTS = 4;
 const DEFAULT_REQUEST_TIMEOUT_MS = 30_000;
 const DEFAULT_READ_TIMEOUT_MS = 120_000;
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 8;
+const DEFAULT_SEGMENTS = 1;
+const MAX_SEGMENTS = 16;
+const DEFAULT_SEGMENT_MIN_BYTES = 8 * 1024 * 1024;
+const VIDEO_QUALITIES = ['hq', 'lq', 'smallest', 'largest'];
+const DEFAULT_VIDEO_QUALITY = 'hq';
+const PLAYLIST_FORMATS = ['m3u8', 'xspf'];
+const DEFAULT_OUTPUT_DIR = 'download';
+const DEFAULT_NAME_TEMPLATE = 'فصل {chapterNo} - {chapterTitle}/قسمت {lessonNo} - {lessonTitle}.{ext}';
+const LATIN_NAME_TEMPLATE = 'Chapter {chapterNo} - {chapterTitle}/Lesson {lessonNo} - {lessonTitle}.{ext}';
 
 function parsePositiveInt(value, fallback) {
     const n = Number.parseInt(String(value ?? ''), 10);
@@ -123,7 +214,13 @@ function isTimeoutError(err) {
 function isRetriableNetworkError(err) {
     if (isTimeoutError(err)) return true;
     const c = String(err?.cause?.code || '').toUpperCase();
-    return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN'].includes(c);
+    // UND_ERR_SOCKET: global fetch lost the connection mid-body ("terminated")
+    return ['UND_ERR_SOCKET', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN'].includes(c);
+}
+
+function isRetriableDownloadError(err) {
+    if (ABORT_SIGNAL?.aborted) return false;
+    return err?.retriable === true || isRetriableNetworkError(err) || /HTTP (408|425|429|5\d\d)/.test(String(err?.message || ''));
 }
 
 const ACTIONABLE_URL_PLACEHOLDER = 'https://maktabkhooneh.org/course/<slug>/';
@@ -135,7 +232,7 @@ function trimUrlForHint(url) {
 }
 
 function normalizeBaseUrl(baseUrl) {
-    const b = String(baseUrl || '').trim();
+    const b = rebaseOnOrigin(baseUrl);
     if (!b) return `${ORIGIN}/course/`;
     return b.endsWith('/') ? b : `${b}/`;
 }
@@ -168,7 +265,7 @@ function explainHttpFailure(status, context = 'request') {
             `${context} failed with 401 Unauthorized. Your session/cookie is invalid or expired.`,
             [
                 `Re-login with: node download.mjs "${ACTIONABLE_URL_PLACEHOLDER}" --force-login`,
-                'Or set auth.email/auth.password in config.json'
+                `Or set auth.email in config.json and the password in ${AUTH_ENV.password} (or type it when prompted)`
             ]
         );
     }
@@ -206,28 +303,90 @@ function explainHttpFailure(status, context = 'request') {
     );
 }
 
-let RUNTIME_CONFIG = {
+// Site the tool talks to; runtime.origin / --origin / MKD_ORIGIN point it at a mirror or the fixture server
+const DEFAULT_ORIGIN = 'https://maktabkhooneh.org';
+const ORIGIN_ENV = 'MKD_ORIGIN';
+const DEFAULT_RUNTIME_CONFIG = {
+    origin: DEFAULT_ORIGIN,
     retryAttempts: DEFAULT_RETRY_ATTEMPTS,
     requestTimeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
-    readTimeoutMs: DEFAULT_READ_TIMEOUT_MS
+    readTimeoutMs: DEFAULT_READ_TIMEOUT_MS,
+    concurrency: DEFAULT_CONCURRENCY,
+    segments: DEFAULT_SEGMENTS,
+    segmentMinBytes: DEFAULT_SEGMENT_MIN_BYTES,
+    verifyDownloads: true,
+    courseIndex: true,
+    playlists: PLAYLIST_FORMATS,
+    limitRate: 0,
+    unlimitedHours: [],
+    outputDir: DEFAULT_OUTPUT_DIR,
+    nameTemplate: DEFAULT_NAME_TEMPLATE,
+    proxy: null
 };
+let RUNTIME_CONFIG = { ...DEFAULT_RUNTIME_CONFIG };
+
+// Same shape as config.json "runtime"; rate fields accept either the text form or already-parsed values.
+function normalizeRuntimeConfig(runtime = {}) {
+    return {
+        origin: resolveOrigin(runtime.origin),
+        retryAttempts: parsePositiveInt(runtime.retryAttempts, DEFAULT_RETRY_ATTEMPTS),
+        requestTimeoutMs: parsePositiveInt(runtime.requestTimeoutMs, DEFAULT_REQUEST_TIMEOUT_MS),
+        readTimeoutMs: parsePositiveInt(runtime.readTimeoutMs, DEFAULT_READ_TIMEOUT_MS),
+        concurrency: Math.min(MAX_CONCURRENCY, parsePositiveInt(runtime.concurrency, DEFAULT_CONCURRENCY)),
+        segments: Math.min(MAX_SEGMENTS, parsePositiveInt(runtime.segments, DEFAULT_SEGMENTS)),
+        segmentMinBytes: parseNonNegativeInt(runtime.segmentMinBytes, DEFAULT_SEGMENT_MIN_BYTES),
+        verifyDownloads: runtime.verifyDownloads !== false,
+        courseIndex: runtime.courseIndex !== false,
+        playlists: parsePlaylistFormats(runtime.playlists),
+        limitRate: typeof runtime.limitRate === 'number' ? runtime.limitRate : parseRateLimit(runtime.limitRate ?? ''),
+        unlimitedHours: Array.isArray(runtime.unlimitedHours) ? runtime.unlimitedHours : parseRateSchedule(runtime.unlimitedHours ?? ''),
+        outputDir: String(runtime.outputDir || '').trim() || DEFAULT_OUTPUT_DIR,
+        nameTemplate: resolveNameTemplate(runtime.nameTemplate, !!runtime.latinNames),
+        proxy: resolveProxySettings(runtime.proxy, runtime.noProxy)
+    };
+}
 let LOGIN_EMAIL = '';
 let LOGIN_PASSWORD = '';
 let COOKIE = 'PUT_YOUR_COOKIE_HERE';
-// ACTIVE_COOKIE will be dynamically set after login/session load (fallback to COOKIE)
-let ACTIVE_COOKIE = null;
 // Sample mode default (0 means full download)
 const DEFAULT_SAMPLE_BYTES = 0;
 
 // Ensure Node 18+ for global fetch
 if (typeof fetch !== 'function') {
-    logError('This script requires Node.js v18+ with global fetch.');
+    console.error('❌ This script requires Node.js v18+ with global fetch.');
     process.exit(1);
 }
 
-const ORIGIN = 'https://maktabkhooneh.org';
+let ORIGIN = DEFAULT_ORIGIN;
+
+// runtime.origin / --origin, else MKD_ORIGIN; only scheme + host + port are kept
+function resolveOrigin(origin, env = process.env) {
+    const text = String(origin || env[ORIGIN_ENV] || '').trim();
+    if (!text) return DEFAULT_ORIGIN;
+    let parsed = null;
+    try { parsed = new URL(text); } catch { }
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+        throw new Error(buildActionableError(
+            'ORIGIN_FORMAT',
+            `Invalid origin: ${text}`,
+            `Use an http(s) URL like ${DEFAULT_ORIGIN} or http://127.0.0.1:8765 (runtime.origin / --origin / ${ORIGIN_ENV})`
+        ));
+    }
+    return parsed.origin;
+}
+
+// A URL on the default site moved to the configured origin (so course.baseUrl follows --origin)
+function rebaseOnOrigin(url, origin = ORIGIN) {
+    const text = String(url || '').trim();
+    if (!text || origin === DEFAULT_ORIGIN) return text;
+    try {
+        const parsed = new URL(text);
+        if (parsed.origin === DEFAULT_ORIGIN) return `${origin}${parsed.pathname}${parsed.search}`;
+    } catch { }
+    return text;
+}
 
-// Build common headers for authenticated requests.
+// Build common headers for site requests (cookies are added per URL from COOKIE_JAR by httpFetch).
 function commonHeaders(referer) {
     /** @type {Record<string,string>} */
     const headers = {
@@ -238,8 +397,6 @@ function commonHeaders(referer) {
         'x-requested-with': 'XMLHttpRequest',
         'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125 Safari/537.36',
     };
-    const ck = ACTIVE_COOKIE || COOKIE;
-    if (ck && ck !== 'PUT_YOUR_COOKIE_HERE') headers['cookie'] = ck;
     if (referer) headers['referer'] = referer;
     return headers;
 }
@@ -266,64 +423,158 @@ function buildProgressBar(ratio, width = 24) {
     return bar;
 }
 
+function truncateLabel(s, max = 70) {
+    if (!s) return '';
+    const str = String(s);
+    return str.length > max ? str.slice(0, max - 1) + '…' : str;
+}
+
+// Render a single-line \r progress bar for one transfer.
+function renderDownloadProgress({ downloadedBytes, expectedTotal, startedAt, label, final = false }) {
+    const elapsedSec = Math.max(0.001, (Date.now() - startedAt) / 1000);
+    const speed = downloadedBytes / elapsedSec;
+    // clamp bytes to expected total when finalizing or very close (to avoid 99.9% stuck)
+    let shownDownloaded = downloadedBytes;
+    if (expectedTotal && (final || downloadedBytes > expectedTotal)) {
+        // Tolerate tiny overflow due to headers/rounding
+        const overflow = downloadedBytes - expectedTotal;
+        if (overflow <= 65536) shownDownloaded = expectedTotal;
+    }
+    // Decide ratio; if final, force full bar
+    let ratio = 0;
+    if (final) {
+        ratio = 1;
+    } else if (expectedTotal) {
+        ratio = (shownDownloaded / expectedTotal);
+    } else {
+        ratio = 0; // unknown total
+    }
+    const bar = buildProgressBar(ratio);
+    const pct = final ? '100.0%' : (expectedTotal ? `${(Math.min(1, ratio) * 100).toFixed(1)}%` : '--%');
+    const sizeStr = `${formatBytes(shownDownloaded)}${expectedTotal ? ' / ' + formatBytes(expectedTotal) : ''}`;
+    const name = label ? `  -  ${truncateLabel(label, 80)}` : '';
+    const line = `  ⬇️  [${bar}] ${pct}  ${sizeStr}  ${formatSpeed(speed)}${name}`;
+    printRaw(`\r${line}`);
+}
+
 function ensureCookiePresent() {
-    if (!(ACTIVE_COOKIE && ACTIVE_COOKIE !== 'PUT_YOUR_COOKIE_HERE') && !(COOKIE && COOKIE !== 'PUT_YOUR_COOKIE_HERE')) {
-        logError(buildActionableError(
+    if (!activeCookieHeader() && !(COOKIE && COOKIE !== 'PUT_YOUR_COOKIE_HERE')) {
+        throw new Error(buildActionableError(
             'SESSION_MISSING',
                 'No active session/cookie found.',
                 [
-                'Set credentials in config.json: auth.email and auth.password',
+                `Set auth.email in config.json and ${AUTH_ENV.password} (or type the password when prompted)`,
                 'Or provide cookie in config.json: auth.cookie or auth.cookieFile',
                 `Then run: node download.mjs "${ACTIONABLE_URL_PLACEHOLDER}"`
             ]
         ));
-        process.exit(1);
     }
 }
 
 // CLI usage
 function printUsage() {
     // Header section
-    console.log(`${paintBoldCyan('Maktabkhooneh Downloader')} - ${paintYellow('version 1.0.0')} ${paint(COLOR.dim, '© 2025')}`);
-    console.log(paint(COLOR.magenta, 'By ') + paint(COLOR.magenta, '@NabiKAZ') + ' ' + paintLightBlue('<www.nabi.ir>') + ' ' + paintGreen('<nabikaz@gmail.com>') + ' ' + paintLightBlue('<x.com/NabiKAZ>'));
-    console.log(paint(COLOR.dim, 'Signup: ') + paintLightBlue('https://maktabkhooneh.org/'));
-    console.log(paint(COLOR.dim, 'Project: ') + paintLightBlue('https://github.com/NabiKAZ/maktabkhooneh-downloader'));
-    console.log(paint(COLOR.dim, '=============================================================\n'));
+    printLine(`${paintBoldCyan('Maktabkhooneh Downloader')} - ${paintYellow('version 1.0.0')} ${paint(COLOR.dim, '© 2025')}`);
+    printLine(paint(COLOR.magenta, 'By ') + paint(COLOR.magenta, '@NabiKAZ') + ' ' + paintLightBlue('<www.nabi.ir>') + ' ' + paintGreen('<nabikaz@gmail.com>') + ' ' + paintLightBlue('<x.com/NabiKAZ>'));
+    printLine(paint(COLOR.dim, 'Signup: ') + paintLightBlue('https://maktabkhooneh.org/'));
+    printLine(paint(COLOR.dim, 'Project: ') + paintLightBlue('https://github.com/NabiKAZ/maktabkhooneh-downloader'));
+    printLine(paint(COLOR.dim, '=============================================================\n'));
 
     // Usage
-    console.log(paintBold('Usage:'));
-    console.log(`  ${paintCyan('node download.mjs')} ${paintYellow('[slug|course_url]')} [options]`);
+    printLine(paintBold('Usage:'));
+    printLine(`  ${paintCyan('node download.mjs')} ${paintYellow('[slug|course_url]')} [options]`);
+    printLine(`  ${paintCyan('node download.mjs verify')} ${paintYellow('[slug|course_url|folder]')}   Check downloaded files (offline)`);
+    printLine(`  ${paintCyan('node download.mjs playlists')} ${paintYellow('[slug|course_url|folder]')}   Rebuild M3U8/XSPF playlists (offline)`);
 
     // Options
-    console.log('\n' + paintBold('Options:'));
-    console.log(`  ${paintYellow('[slug|course_url]')}           Course slug (preferred) or full course URL`);
-    console.log(`  ${paintGreen('--sample-bytes')} ${paintYellow('N')}            Download only the first N bytes of each video`);
-    console.log(`  ${paintGreen('--chapter')} ${paintYellow('SPEC')}           Select chapter(s): e.g. 2 or 1,3 or 2-4`);
-    console.log(`  ${paintGreen('--lesson')} ${paintYellow('SPEC')}            Select lesson(s) inside selected chapter(s): e.g. 2 or 2-5,9`);
-    console.log(`  ${paintGreen('--dry-run')}                   Preview files and estimated sizes without downloading`);
-    console.log(`  ${paintGreen('--config')} ${paintYellow('<FILE>')}           Config file path (default: config.json)`);
-    console.log(`  ${paintGreen('--force-login')}               Force fresh login even if stored session is valid`);
-    console.log(`  ${paintGreen('--verbose')} | ${paintGreen('-v')}              Verbose debug / HTTP flow info`);
-    console.log(`  ${paintGreen('--help')} | ${paintGreen('-h')}                 Show this help and exit`);
-    console.log('\n' + paintBold('Config (config.json):'));
-    console.log(`    auth.email / auth.password   Login credentials`);
-    console.log(`    auth.cookie / auth.cookieFile Manual cookie override`);
-    console.log(`    runtime.sampleBytes          Default sample bytes`);
-    console.log(`    runtime.retryAttempts        Retry attempts for transient failures`);
-    console.log(`    runtime.requestTimeoutMs     Request timeout in ms`);
-    console.log(`    runtime.readTimeoutMs        Read timeout in ms`);
-    console.log(`    course.baseUrl                   Base URL for slug input`);
-    console.log(`    defaults.chapter / defaults.lesson / defaults.dryRun`);
+    printLine('\n' + paintBold('Options:'));
+    printLine(`  ${paintYellow('[slug|course_url]')}           Course slug (preferred) or full course URL`);
+    printLine(`  ${paintGreen('--sample-bytes')} ${paintYellow('N')}            Download only the first N bytes of each video`);
+    printLine(`  ${paintGreen('--chapter')} ${paintYellow('SPEC')}           Select chapter(s): e.g. 2 or 1,3 or 2-4`);
+    printLine(`  ${paintGreen('--lesson')} ${paintYellow('SPEC')}            Select lesson(s) inside selected chapter(s): e.g. 2 or 2-5,9`);
+    printLine(`  ${paintGreen('--select')} ${paintYellow('SPEC')}            Per-chapter selection: e.g. 2:3-5,4:1,6 or 7- or last:last (replaces --chapter/--lesson)`);
+    printLine(`  ${paintGreen('--match')} ${paintYellow('PATTERN')}         Keep units whose lecture/chapter title matches a glob or /regex/ (repeatable)`);
+    printLine(`  ${paintGreen('--exclude')} ${paintYellow('PATTERN')}       Skip units whose lecture/chapter title matches (repeatable; wins over --match)`);
+    printLine(`  ${paintGreen('--interactive')}, ${paintGreen('-i')}           Pick chapters/lectures from a tree (arrows + space); numbered prompt without a TTY`);
+    printLine(`  ${paintGreen('--dry-run')}                   Preview files and estimated sizes without downloading`);
+    printLine(`  ${paintGreen('--quality')} ${paintYellow('Q')}                 Video quality: hq (default), lq, smallest, largest (also picks the HLS/DASH variant)`);
+    printLine(`  ${paintGreen('--subtitle-format')} ${paintYellow('F')}         Subtitles as vtt (default), srt (converted) or both`);
+    printLine(`  ${paintGreen('--list-sources')}              List every video source per lecture with its size (no download)`);
+    printLine(`  ${paintGreen('--export-text')}[=md|html]     Save quizzes/assignments/text units as Markdown (default) or sanitized HTML`);
+    printLine(`  ${paintGreen('--concurrency')} ${paintYellow('N')}             Process N lectures in parallel (default: 1, max: ${MAX_CONCURRENCY})`);
+    printLine(`  ${paintGreen('--segments')} ${paintYellow('K')}                Split each large video into K parallel Range requests; K stream segments at once for HLS/DASH (default: 1, max: ${MAX_SEGMENTS})`);
+    printLine(`  ${paintGreen('--config')} ${paintYellow('<FILE>')}           Config file path (default: config.json)`);
+    printLine(`  ${paintGreen('--force-login')}               Force fresh login even if stored session is valid`);
+    printLine(`  ${paintGreen('--retry-failed')}              Only reprocess units marked failed/incomplete in the course manifest`);
+    printLine(`  ${paintGreen('--sync')}                      Match local files by unit id: rename changed units, download only new ones, print a changelog`);
+    printLine(`  ${paintGreen('--prune')}                     With --sync: move units removed from the course to ${TRASH_FOLDER_NAME}/`);
+    printLine(`  ${paintGreen('--limit-rate')} ${paintYellow('RATE')}           Cap total download speed across all files, e.g. 500k, 2M`);
+    printLine(`  ${paintGreen('--unlimited-hours')} ${paintYellow('H')}         Lift the rate limit in these local hours, e.g. 22:00-07:00`);
+    printLine(`  ${paintGreen('--output')} | ${paintGreen('-o')} ${paintYellow('<DIR>')}        Parent folder of course folders (default: download)`);
+    printLine(`  ${paintGreen('--name-template')} ${paintYellow('TPL')}       File layout, e.g. "{chapterNo:02} - {chapterTitle}/{lessonNo:03} - {lessonTitle}.{ext}"`);
+    printLine(`  ${paintGreen('--latin-names')}               Use "Chapter N" / "Lesson N" prefixes instead of Persian ones`);
+    printLine(`  ${paintGreen('--origin')} ${paintYellow('URL')}              Site to talk to instead of ${DEFAULT_ORIGIN} (a mirror or the fixture server)`);
+    printLine(`  ${paintGreen('--proxy')} ${paintYellow('URL')}               HTTP(S)/SOCKS5 proxy, e.g. socks5://127.0.0.1:1080; "direct" ignores HTTPS_PROXY`);
+    printLine(`  ${paintGreen('--cookies')} ${paintYellow('<FILE>')}          Use a Netscape cookies.txt (browser export); rotated cookies are written back`);
+    printLine(`  ${paintGreen('--save-cookies')} ${paintYellow('<FILE>')}     Write the session cookies to FILE in cookies.txt format after the run`);
+    printLine(`  ${paintGreen('--json')}                      Write NDJSON events to stdout (human output goes to stderr)`);
+    printLine(`  ${paintGreen('--no-index')}                  Do not write the offline index.html after downloading`);
+    printLine(`  ${paintGreen('--playlists')} ${paintYellow('LIST')}            Playlist formats: m3u8,xspf (default) or none`);
+    printLine(`  ${paintGreen('--batch')} ${paintYellow('<FILE>')}            Download every course listed in FILE (one slug/URL per line)`);
+    printLine(`  ${paintGreen('--my-courses')}[=all|pick|SPEC]  List your purchased/subscribed courses; optionally download all, pick interactively, or by number`);
+    printLine(`  ${paintGreen('--verbose')} | ${paintGreen('-v')}              Verbose debug / HTTP flow info`);
+    printLine(`  ${paintGreen('--help')} | ${paintGreen('-h')}                 Show this help and exit`);
+    printLine('\n' + paintBold('Config (config.json):'));
+    printLine(`    auth.email                   Login email (password: ${AUTH_ENV.password} env or a no-echo prompt)`);
+    printLine(`    auth.storeFile               Session file, mode 0600 (default: ${DEFAULT_AUTH_STORE_FILE} next to the config; .mkd-auth.<host>.json for other origins)`);
+    printLine(`    auth.encryptStore            Encrypt the session file with a passphrase (${AUTH_ENV.passphrase} or a prompt)`);
+    printLine(`    auth.cookie / auth.cookieFile Manual cookie override (cookieFile: Netscape cookies.txt or a header line)`);
+    printLine(`    runtime.sampleBytes          Default sample bytes`);
+    printLine(`    runtime.retryAttempts        Retry attempts for transient failures`);
+    printLine(`    runtime.requestTimeoutMs     Request timeout in ms`);
+    printLine(`    runtime.readTimeoutMs        Read timeout in ms`);
+    printLine(`    runtime.concurrency          Lectures processed in parallel`);
+    printLine(`    runtime.segments             Parallel Range segments per video`);
+    printLine(`    runtime.segmentMinBytes      Minimum file size to use segments`);
+    printLine(`    runtime.verifyDownloads      Size + MP4 structure check after each download (default: true)`);
+    printLine(`    runtime.courseIndex          Write an offline index.html player page at the course root (default: true)`);
+    printLine(`    runtime.limitRate            Global download rate limit, e.g. "2M" (default: unlimited)`);
+    printLine(`    runtime.unlimitedHours       Local time windows without the limit, e.g. "22:00-07:00"`);
+    printLine(`    runtime.playlists            Playlist formats written per chapter and course: "m3u8,xspf" (default) or "none"`);
+    printLine(`    runtime.outputDir            Parent folder of course folders (default: download)`);
+    printLine(`    runtime.nameTemplate         Naming template; fields: ${NAME_TEMPLATE_FIELDS.join(', ')}`);
+    printLine(`    runtime.latinNames           Latin "Chapter N" / "Lesson N" prefixes for the default names`);
+    printLine(`    runtime.origin               Site origin (default: ${ORIGIN_ENV} or ${DEFAULT_ORIGIN}); course.baseUrl on the default site follows it`);
+    printLine(`    runtime.proxy                Proxy URL (http://, https://, socks5://, user:pass@ allowed); default: HTTPS_PROXY / HTTP_PROXY / ALL_PROXY`);
+    printLine(`    runtime.noProxy              Hosts that bypass the proxy, e.g. "localhost,.example.com" (default: NO_PROXY)`);
+    printLine(`    course.baseUrl                   Base URL for slug input`);
+    printLine(`    course.myCoursesPath         API path of the enrolled course list (for --my-courses)`);
+    printLine(`    defaults.chapter / defaults.lesson / defaults.dryRun / defaults.quality / defaults.subtitleFormat / defaults.exportText`);
 
     // Examples
-    console.log('\n' + paintBold('Examples:'));
-    console.log('  ' + paintCyan('node download.mjs "<slug>"'));
-    console.log('  ' + paintCyan('node download.mjs "<slug>" --sample-bytes 65536 --verbose'));
-    console.log('  ' + paintCyan('node download.mjs "<slug>" --dry-run'));
-    console.log('  ' + paintCyan('node download.mjs "<slug>" --chapter 2 --lesson 2-5,9'));
-    console.log('  ' + paintCyan('node download.mjs "<slug>" --config ./config.json'));
-    console.log('  ' + paintCyan('node download.mjs "<slug>" --force-login'));
-    console.log('');
+    printLine('\n' + paintBold('Examples:'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>"'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --sample-bytes 65536 --verbose'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --dry-run'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --quality smallest --dry-run'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --list-sources --chapter 1'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --chapter 2 --lesson 2-5,9'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --select 2:3-5,4:1,6'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --interactive --dry-run'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --match "django*form" --exclude "رفع اشکال" --dry-run'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --concurrency 3'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --segments 4'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" -o /mnt/nas --name-template "{chapterNo:02} - {chapterTitle}/{lessonNo:03} - {lessonTitle}.{ext}"'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --config ./config.json'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --force-login'));
+    printLine('  ' + paintCyan('node download.mjs demo-course-mk1000 --origin http://127.0.0.1:8765   # with scripts/fixture-server.mjs'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --retry-failed'));
+    printLine('  ' + paintCyan('node download.mjs "<slug>" --sync --prune'));
+    printLine('  ' + paintCyan('node download.mjs verify "<slug>"'));
+    printLine('  ' + paintCyan('node download.mjs --batch courses.txt'));
+    printLine('  ' + paintCyan('node download.mjs --my-courses'));
+    printLine('  ' + paintCyan('node download.mjs --my-courses=pick --dry-run'));
+    printLine('');
 }
 
 function parseNumberSpec(spec) {
@@ -348,15 +599,143 @@ function parseNumberSpec(spec) {
     return out;
 }
 
+// --select grammar: comma-separated CHAPTERS[:LESSONS] items, e.g. "2:3-5,4:1,6", "7-", "last:last", "1-3:2-".
+// Each side is N, N-M, N- (open to the end) or uses `last` (last chapter / last lecture of that chapter).
+// Parsed up front so typos fail before login; resolved per course once its chapter list is known.
+const SELECT_SPEC_EXAMPLES = 'Examples: --select 2:3-5,4:1,6 | --select 7- | --select last:last | --select 1-3:2-';
+
+function selectSpecError(label, spec, why) {
+    const err = new Error(buildActionableError('FILTER_FORMAT', `Invalid ${label} "${spec}": ${why}`, SELECT_SPEC_EXAMPLES));
+    err.exitCode = 2;
+    return err;
+}
+
+function parseSpecRange(token, fail) {
+    const m = String(token).trim().toLowerCase().match(/^(\d+|last)(?:\s*(-)\s*(\d+|last)?)?$/);
+    if (!m) throw fail(`"${token.trim()}" is not N, N-M, N- or last`);
+    const bound = v => (v === 'last' ? 'last' : parseInt(v, 10));
+    const start = bound(m[1]);
+    const end = m[2] ? (m[3] ? bound(m[3]) : null) : start;
+    if (start === 0 || end === 0) throw fail('numbers start at 1');
+    return { start, end };
+}
+
+// null for an empty spec, otherwise { text, items: [{ raw, chapters, lessons }] } (lessons null = whole chapters)
+function parseSelectSpec(spec, label = '--select') {
+    const text = String(spec ?? '').trim();
+    if (!text) return null;
+    const fail = (why) => selectSpecError(label, text, why);
+    const items = text.split(',').map(s => s.trim()).filter(Boolean).map(raw => {
+        const parts = raw.split(':');
+        if (parts.length > 2 || parts.some(p => !p.trim())) throw fail(`"${raw}" is not CHAPTERS or CHAPTERS:LESSONS`);
+        return { raw, chapters: parseSpecRange(parts[0], fail), lessons: parts.length === 2 ? parseSpecRange(parts[1], fail) : null };
+    });
+    if (items.length === 0) throw fail('nothing selected');
+    return { text, items };
+}
+
+// `last` or an open range ("7-") in --chapter/--lesson
+function hasOpenSpecRange(spec) {
+    return /last|-\s*(,|$)/i.test(String(spec ?? ''));
+}
+
+function numberSetToSpec(set) {
+    return set ? Array.from(set).sort((a, b) => a - b).join(',') : null;
+}
+
+// --chapter/--lesson/--select texts -> { selectedChapters, selectedLessons, selectSpec }. --select replaces the other two;
+// --chapter/--lesson with `last` or open ranges need the chapter list as well, so they become the chapters x lessons spec.
+function parseSelectionSpecs({ chapterSpec = null, lessonSpec = null, selectSpec = null }) {
+    if (selectSpec != null && String(selectSpec).trim()) {
+        return { selectedChapters: null, selectedLessons: null, selectSpec: parseSelectSpec(selectSpec) };
+    }
+    if (hasOpenSpecRange(chapterSpec) || hasOpenSpecRange(lessonSpec)) {
+        const chapterTokens = String(chapterSpec ?? '').trim() ? String(chapterSpec).split(',') : ['1-'];
+        const lessonTokens = String(lessonSpec ?? '').trim() ? String(lessonSpec).split(',') : [null];
+        const text = chapterTokens.flatMap(c => lessonTokens.map(l => (l === null ? c.trim() : `${c.trim()}:${l.trim()}`))).join(',');
+        return { selectedChapters: null, selectedLessons: null, selectSpec: parseSelectSpec(text, '--chapter/--lesson') };
+    }
+    return { selectedChapters: parseNumberSpec(chapterSpec), selectedLessons: parseNumberSpec(lessonSpec), selectSpec: null };
+}
+
+// Active lectures per chapter: the numbers LESSONS (and --lesson) count
+function countChapterLectures(chapters) {
+    return chapters.map(ch => (Array.isArray(ch.unit_set) ? ch.unit_set : []).filter(u => u?.status && u?.type === 'lecture').length);
+}
+
+// [from, to] inside 1..count, or null when the range lies past the end. "5-2" means 2-5, but an open "5-" in a
+// chapter of 2 selects nothing.
+function resolveSpecRange({ start, end }, count) {
+    const value = v => (v === 'last' ? count : v);
+    let from = value(start);
+    let to = end === null ? count : value(end);
+    if (from > to && end !== null) [from, to] = [to, from];
+    from = Math.max(1, from);
+    to = Math.min(to, count);
+    return from <= to ? [from, to] : null;
+}
+
+// Parsed spec -> Map chapterNo -> Set of lecture numbers (null = whole chapter), the shape --interactive produces
+function resolveSelectSpec(selectSpec, lectureCounts) {
+    const selectedUnits = new Map();
+    for (const item of selectSpec.items) {
+        let matched = false;
+        const chapterRange = resolveSpecRange(item.chapters, lectureCounts.length);
+        for (let chapterNo = chapterRange?.[0]; chapterRange && chapterNo <= chapterRange[1]; chapterNo++) {
+            if (!item.lessons) {
+                selectedUnits.set(chapterNo, null);
+                matched = true;
+                continue;
+            }
+            const lessonRange = resolveSpecRange(item.lessons, lectureCounts[chapterNo - 1]);
+            if (!lessonRange) continue;
+            matched = true;
+            if (selectedUnits.get(chapterNo) === null) continue;
+            const lessons = selectedUnits.get(chapterNo) || new Set();
+            for (let n = lessonRange[0]; n <= lessonRange[1]; n++) lessons.add(n);
+            selectedUnits.set(chapterNo, lessons);
+        }
+        if (!matched) logWarn(`Selection "${item.raw}" matches nothing in this course (${lectureCounts.length} chapter(s)); ignored.`);
+    }
+    return selectedUnits;
+}
+
 function parseCLI(config = {}, configPath = DEFAULT_CONFIG_FILE) {
     const args = process.argv.slice(2);
     let inputCourseRef = null;
+    let command = 'download';
     let sampleBytesToDownload = parseNonNegativeInt(config.sampleBytes, DEFAULT_SAMPLE_BYTES);
     let isVerboseLoggingEnabled = !!config.verbose;
     let isDryRun = !!config.dryRun;
     let chapterSpec = config.chapter ?? null;
     let lessonSpec = config.lesson ?? null;
+    let selectSpecText = null;
     let forceLogin = !!config.forceLogin;
+    let retryFailed = false;
+    let sync = false;
+    let prune = false;
+    let noIndex = false;
+    let playlists = null;
+    let batchFile = null;
+    let myCourses = null;
+    let quality = String(config.quality || DEFAULT_VIDEO_QUALITY).trim().toLowerCase();
+    let subtitleFormat = String(config.subtitleFormat || DEFAULT_SUBTITLE_FORMAT).trim().toLowerCase();
+    let listSources = false;
+    let interactive = false;
+    const match = [];
+    const exclude = [];
+    let exportText = config.exportText ? String(config.exportText).trim().toLowerCase() : null;
+    let concurrency = parsePositiveInt(config.concurrency, DEFAULT_CONCURRENCY);
+    let segments = parsePositiveInt(config.segments, DEFAULT_SEGMENTS);
+    let limitRateText = config.limitRate ?? '';
+    let unlimitedHoursText = config.unlimitedHours ?? '';
+    let outputDir = null;
+    let nameTemplate = null;
+    let latinNames = null;
+    let proxy = null;
+    let origin = null;
+    let cookiesFile = null;
+    let saveCookiesFile = null;
     let positionalCourseSet = false;
     for (let i = 0; i < args.length; i++) {
         const a = args[i];
@@ -382,35 +761,195 @@ function parseCLI(config = {}, configPath = DEFAULT_CONFIG_FILE) {
             const v = args[i + 1]; if (v) { lessonSpec = v; i++; }
         } else if (a.startsWith('--lesson=')) {
             lessonSpec = a.split('=')[1];
+        } else if (a === '--select') {
+            const v = args[i + 1]; if (v) { selectSpecText = v; i++; }
+        } else if (a.startsWith('--select=')) {
+            selectSpecText = a.slice('--select='.length);
         } else if (a === '--verbose' || a === '-v') {
             isVerboseLoggingEnabled = true;
         } else if (a === '--dry-run') {
             isDryRun = true;
         } else if (a === '--force-login') {
             forceLogin = true;
+        } else if (a === '--playlists') {
+            const v = args[i + 1]; if (v) { playlists = v; i++; }
+        } else if (a.startsWith('--playlists=')) {
+            playlists = a.slice('--playlists='.length);
+        } else if (a === '--no-playlists') {
+            playlists = 'none';
+        } else if (a === '--json') {
+            // Enabled in main() before anything is printed
+        } else if (a === '--no-index') {
+            noIndex = true;
+        } else if (a === '--retry-failed') {
+            retryFailed = true;
+        } else if (a === '--sync') {
+            sync = true;
+        } else if (a === '--prune') {
+            sync = true;
+            prune = true;
+        } else if (a === '--batch') {
+            const v = args[i + 1]; if (v) { batchFile = v; i++; }
+        } else if (a.startsWith('--batch=')) {
+            batchFile = a.slice('--batch='.length);
+        } else if (a === '--quality') {
+            const v = args[i + 1]; if (v) { quality = v.trim().toLowerCase(); i++; }
+        } else if (a.startsWith('--quality=')) {
+            quality = a.slice('--quality='.length).trim().toLowerCase();
+        } else if (a === '--subtitle-format') {
+            const v = args[i + 1]; if (v) { subtitleFormat = v.trim().toLowerCase(); i++; }
+        } else if (a.startsWith('--subtitle-format=')) {
+            subtitleFormat = a.slice('--subtitle-format='.length).trim().toLowerCase();
+        } else if (a === '--list-sources') {
+            listSources = true;
+        } else if (a === '--interactive' || a === '-i') {
+            interactive = true;
+        } else if (a === '--match') {
+            const v = args[i + 1]; if (v) { match.push(v); i++; }
+        } else if (a.startsWith('--match=')) {
+            match.push(a.slice('--match='.length));
+        } else if (a === '--exclude') {
+            const v = args[i + 1]; if (v) { exclude.push(v); i++; }
+        } else if (a.startsWith('--exclude=')) {
+            exclude.push(a.slice('--exclude='.length));
+        } else if (a === '--export-text') {
+            exportText = 'md';
+        } else if (a.startsWith('--export-text=')) {
+            exportText = a.slice('--export-text='.length).trim().toLowerCase() || 'md';
+        } else if (a === '--my-courses') {
+            myCourses = 'list';
+        } else if (a.startsWith('--my-courses=')) {
+            myCourses = a.slice('--my-courses='.length).trim().toLowerCase() || 'list';
+        } else if (a === '--concurrency') {
+            const v = args[i + 1]; if (v) { concurrency = parsePositiveInt(v, concurrency); i++; }
+        } else if (a.startsWith('--concurrency=')) {
+            concurrency = parsePositiveInt(a.split('=')[1], concurrency);
+        } else if (a === '--segments') {
+            const v = args[i + 1]; if (v) { segments = parsePositiveInt(v, segments); i++; }
+        } else if (a.startsWith('--segments=')) {
+            segments = parsePositiveInt(a.split('=')[1], segments);
+        } else if (a === '--limit-rate') {
+            const v = args[i + 1]; if (v) { limitRateText = v; i++; }
+        } else if (a.startsWith('--limit-rate=')) {
+            limitRateText = a.slice('--limit-rate='.length);
+        } else if (a === '--unlimited-hours') {
+            const v = args[i + 1]; if (v) { unlimitedHoursText = v; i++; }
+        } else if (a.startsWith('--unlimited-hours=')) {
+            unlimitedHoursText = a.slice('--unlimited-hours='.length);
+        } else if (a === '--output' || a === '-o') {
+            const v = args[i + 1]; if (v) { outputDir = v; i++; }
+        } else if (a.startsWith('--output=')) {
+            outputDir = a.slice('--output='.length);
+        } else if (a === '--name-template') {
+            const v = args[i + 1]; if (v) { nameTemplate = v; i++; }
+        } else if (a.startsWith('--name-template=')) {
+            nameTemplate = a.slice('--name-template='.length);
+        } else if (a === '--latin-names') {
+            latinNames = true;
+        } else if (a === '--origin') {
+            const v = args[i + 1]; if (v) { origin = v; i++; }
+        } else if (a.startsWith('--origin=')) {
+            origin = a.slice('--origin='.length);
+        } else if (a === '--proxy') {
+            const v = args[i + 1]; if (v) { proxy = v; i++; }
+        } else if (a.startsWith('--proxy=')) {
+            proxy = a.slice('--proxy='.length);
+        } else if (a === '--cookies') {
+            const v = args[i + 1]; if (v) { cookiesFile = v; i++; }
+        } else if (a.startsWith('--cookies=')) {
+            cookiesFile = a.slice('--cookies='.length);
+        } else if (a === '--save-cookies') {
+            const v = args[i + 1]; if (v) { saveCookiesFile = v; i++; }
+        } else if (a.startsWith('--save-cookies=')) {
+            saveCookiesFile = a.slice('--save-cookies='.length);
+        } else if (!positionalCourseSet && command === 'download' && (a === 'verify' || a === 'playlists')) {
+            command = a;
         } else if (!positionalCourseSet) {
             inputCourseRef = a;
             positionalCourseSet = true;
         }
     }
+    ({ quality, subtitleFormat, exportText } = normalizeDownloadFormats({ quality, subtitleFormat, exportText }));
     const chapterSpecText = Array.isArray(chapterSpec) ? chapterSpec.join(',') : chapterSpec;
     const lessonSpecText = Array.isArray(lessonSpec) ? lessonSpec.join(',') : lessonSpec;
-    const selectedChapters = parseNumberSpec(chapterSpecText);
-    const selectedLessons = parseNumberSpec(lessonSpecText);
+    if (selectSpecText && (args.some(a => /^--(chapter|lesson)(=|$)/.test(a)))) {
+        logWarn('--select replaces --chapter/--lesson; those are ignored.');
+    }
+    const { selectedChapters, selectedLessons, selectSpec } = parseSelectionSpecs({
+        chapterSpec: chapterSpecText, lessonSpec: lessonSpecText, selectSpec: selectSpecText
+    });
+    compileTitleFilters({ match, exclude }); // bad patterns fail here, before any login
     return {
+        command,
         inputCourseRef,
         sampleBytesToDownload,
         isVerboseLoggingEnabled,
         isDryRun,
         forceLogin,
+        retryFailed,
+        sync,
+        prune,
+        noIndex,
+        playlists,
+        batchFile,
+        myCourses,
+        quality,
+        subtitleFormat,
+        listSources,
+        interactive,
+        match,
+        exclude,
+        exportText,
+        concurrency: Math.min(MAX_CONCURRENCY, concurrency),
+        segments: Math.min(MAX_SEGMENTS, segments),
+        limitRate: parseRateLimit(limitRateText),
+        unlimitedHours: parseRateSchedule(unlimitedHoursText),
+        outputDir,
+        nameTemplate,
+        latinNames,
+        proxy,
+        origin,
+        cookiesFile,
+        saveCookiesFile,
         selectedChapters,
         selectedLessons,
+        selectSpec,
         configPath
     };
 }
 
+// Validates --quality / --subtitle-format / --export-text values (shared by parseCLI and client.download).
+function normalizeDownloadFormats({ quality, subtitleFormat, exportText }) {
+    quality = String(quality || DEFAULT_VIDEO_QUALITY).trim().toLowerCase();
+    subtitleFormat = String(subtitleFormat || DEFAULT_SUBTITLE_FORMAT).trim().toLowerCase();
+    exportText = exportText === true ? 'md' : exportText ? String(exportText).trim().toLowerCase() : null;
+    if (!VIDEO_QUALITIES.includes(quality)) {
+        throw new Error(buildActionableError(
+            'QUALITY_FORMAT',
+            `Invalid --quality value: ${quality}`,
+            `Use one of: ${VIDEO_QUALITIES.join(', ')}`
+        ));
+    }
+    if (!SUBTITLE_FORMATS.includes(subtitleFormat)) {
+        throw new Error(buildActionableError(
+            'SUBTITLE_FORMAT',
+            `Invalid --subtitle-format value: ${subtitleFormat}`,
+            `Use one of: ${SUBTITLE_FORMATS.join(', ')}`
+        ));
+    }
+    if (exportText === 'markdown') exportText = 'md';
+    if (exportText && !['md', 'html'].includes(exportText)) {
+        throw new Error(buildActionableError(
+            'EXPORT_FORMAT',
+            `Invalid --export-text format: ${exportText}`,
+            'Use --export-text (Markdown) or --export-text=html'
+        ));
+    }
+    return { quality, subtitleFormat, exportText };
+}
+
 function createVerboseLogger(isVerbose) {
-    return { verbose: (...a) => { if (isVerbose) console.log(...a); } };
+    return { verbose: (...a) => { if (isVerbose) printLine(...a); } };
 }
 
 // Parse the course slug from the full course URL.
@@ -421,7 +960,10 @@ function extractCourseSlug(courseUrl) {
             throw new Error(buildActionableError(
                 'URL_ORIGIN',
                 `Unexpected origin: ${parsed.origin}. Only ${ORIGIN} is supported.`,
-                `Use a full course URL like: ${ACTIONABLE_URL_PLACEHOLDER}`
+                [
+                    `Use a full course URL like: ${ORIGIN}/course/<slug>/`,
+                    `Or point the tool at that site: --origin ${parsed.origin} (or runtime.origin / ${ORIGIN_ENV})`
+                ]
             ));
         }
         const parts = parsed.pathname.split('/').filter(Boolean);
@@ -450,11 +992,379 @@ function extractCourseSlug(courseUrl) {
 async function fetchWithTimeout(url, options = {}, timeoutMs = 60_000) {
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), timeoutMs);
+    const releaseAbort = linkAbortSignal(controller);
     try {
-        const res = await fetch(url, { ...options, signal: controller.signal });
+        const res = await httpFetch(url, { ...options, signal: controller.signal });
         return res;
     } finally {
         clearTimeout(t);
+        releaseAbort();
+    }
+}
+
+// Caller-provided AbortSignal (library `download({ signal })`); every in-flight request controller is linked to it.
+let ABORT_SIGNAL = null;
+const ABORT_TARGETS = new Set();
+
+function setAbortSignal(signal) {
+    ABORT_SIGNAL = signal || null;
+    ABORT_TARGETS.clear();
+    if (!signal) return;
+    signal.addEventListener('abort', () => {
+        for (const controller of ABORT_TARGETS) controller.abort(signal.reason);
+    }, { once: true });
+}
+
+function linkAbortSignal(controller) {
+    if (!ABORT_SIGNAL) return () => { };
+    if (ABORT_SIGNAL.aborted) controller.abort(ABORT_SIGNAL.reason);
+    ABORT_TARGETS.add(controller);
+    return () => ABORT_TARGETS.delete(controller);
+}
+
+// ===============
+// Proxy: runtime.proxy / --proxy, else HTTPS_PROXY / HTTP_PROXY / ALL_PROXY from the environment (NO_PROXY honored).
+// http(s):// proxies tunnel with CONNECT (plain-http targets use absolute-form requests); socks5:// does its own handshake.
+// Global fetch cannot take an agent, so proxied requests go through http/https.request wrapped as a fetch Response.
+// ===============
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks5h:'];
+
+function parseProxyUrl(value, source) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    let u = null;
+    try { u = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `http://${text}`); } catch { }
+    if (!u || !PROXY_PROTOCOLS.includes(u.protocol) || !u.hostname) {
+        throw new Error(buildActionableError(
+            'PROXY_FORMAT',
+            `Invalid proxy from ${source}: ${text}`,
+            'Use http://host:port, https://host:port or socks5://host:port (optionally user:pass@host), or "direct" to ignore proxies'
+        ));
+    }
+    return u;
+}
+
+// "localhost,.example.com,10.0.0.1:8080" / "*" -> [{ host, port }]
+function parseNoProxy(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return list.map(s => String(s).trim().toLowerCase()).filter(Boolean).map(entry => {
+        const m = entry.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+        return { host: (m ? m[1] : entry).replace(/^\*?\./, '.').replace(/^\[|\]$/g, ''), port: m?.[2] || '' };
+    });
+}
+
+// runtime.proxy wins over the environment; "direct"/"none" (or false) turns proxies off even if variables are set.
+function resolveProxySettings(proxy, noProxy, env = process.env) {
+    if (proxy && typeof proxy === 'object' && 'noProxy' in proxy) return proxy;
+    const explicit = proxy === false ? 'direct' : String(proxy || '').trim();
+    const noProxyList = parseNoProxy(noProxy ?? env.NO_PROXY ?? env.no_proxy ?? '');
+    if (/^(direct|none|off)$/i.test(explicit)) return { https: null, http: null, noProxy: noProxyList };
+    if (explicit) {
+        const u = parseProxyUrl(explicit, 'runtime.proxy / --proxy');
+        return { https: u, http: u, noProxy: noProxyList };
+    }
+    const all = parseProxyUrl(env.ALL_PROXY || env.all_proxy, 'ALL_PROXY');
+    return {
+        https: parseProxyUrl(env.HTTPS_PROXY || env.https_proxy, 'HTTPS_PROXY') || all,
+        http: parseProxyUrl(env.HTTP_PROXY || env.http_proxy, 'HTTP_PROXY') || all,
+        noProxy: noProxyList
+    };
+}
+
+function proxyForUrl(target, settings = RUNTIME_CONFIG.proxy) {
+    if (!settings) return null;
+    const proxy = target.protocol === 'https:' ? settings.https : settings.http;
+    if (!proxy) return null;
+    const host = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+    const bypass = settings.noProxy.some(e => {
+        if (e.host === '*') return true;
+        if (e.port && e.port !== port) return false;
+        return e.host.startsWith('.') ? (host.endsWith(e.host) || host === e.host.slice(1)) : (host === e.host || host.endsWith(`.${e.host}`));
+    });
+    return bypass ? null : proxy;
+}
+
+// Proxy URL with the password hidden, for logs
+function describeProxy(proxy) {
+    return `${proxy.protocol}//${proxy.username ? `${decodeURIComponent(proxy.username)}:***@` : ''}${proxy.host}`;
+}
+
+function proxyError(proxy, why, { auth = false, retriable = false } = {}) {
+    const err = new Error(buildActionableError(
+        auth ? 'PROXY_AUTH' : 'PROXY_CONNECT',
+        `Proxy ${describeProxy(proxy)}: ${why}`,
+        auth ? 'Check the proxy user:pass in runtime.proxy / --proxy / HTTPS_PROXY' : 'Check that the proxy is running, or bypass it with --proxy direct or NO_PROXY'
+    ));
+    err.retriable = retriable;
+    return err;
+}
+
+// Buffered reads over a raw socket during the proxy handshake; release() hands the socket back untouched.
+function createSocketReader(socket) {
+    let buffer = Buffer.alloc(0);
+    let waiter = null;
+    let failure = null;
+    const check = () => {
+        if (!waiter || !waiter.ready()) return;
+        const w = waiter; waiter = null; w.resolve();
+    };
+    const onData = (chunk) => { buffer = Buffer.concat([buffer, chunk]); check(); };
+    const onFail = (err) => {
+        failure = err || new Error('connection closed by proxy');
+        if (waiter) { const w = waiter; waiter = null; w.reject(failure); }
+    };
+    const onClose = () => onFail(null);
+    socket.on('data', onData);
+    socket.on('error', onFail);
+    socket.on('close', onClose);
+    const take = (n) => { const out = buffer.subarray(0, n); buffer = buffer.subarray(n); return out; };
+    const wait = (ready, result) => new Promise((resolve, reject) => {
+        if (failure) return reject(failure);
+        waiter = { ready, resolve: () => resolve(result()), reject };
+        check();
+    });
+    return {
+        read: (n) => wait(() => buffer.length >= n, () => take(n)),
+        readUntil: (marker) => wait(() => buffer.indexOf(marker) !== -1, () => take(buffer.indexOf(marker) + marker.length)),
+        release() {
+            socket.off('data', onData);
+            socket.off('error', onFail);
+            socket.off('close', onClose);
+            if (buffer.length) socket.unshift(buffer);
+        }
+    };
+}
+
+const SOCKS5_REPLIES = {
+    1: 'general failure', 2: 'connection not allowed by ruleset', 3: 'network unreachable', 4: 'host unreachable',
+    5: 'connection refused', 6: 'TTL expired', 7: 'command not supported', 8: 'address type not supported'
+};
+
+async function socks5Handshake(socket, reader, proxy, host, port) {
+    const user = decodeURIComponent(proxy.username || '');
+    const pass = decodeURIComponent(proxy.password || '');
+    socket.write(Buffer.from(user ? [0x05, 2, 0x00, 0x02] : [0x05, 1, 0x00]));
+    const [version, method] = await reader.read(2);
+    if (version !== 0x05) throw proxyError(proxy, 'not a SOCKS5 proxy');
+    if (method === 0xff) throw proxyError(proxy, 'no acceptable authentication method', { auth: true });
+    if (method === 0x02) {
+        const u = Buffer.from(user), p = Buffer.from(pass);
+        socket.write(Buffer.concat([Buffer.from([0x01, u.length]), u, Buffer.from([p.length]), p]));
+        const [, status] = await reader.read(2);
+        if (status !== 0x00) throw proxyError(proxy, 'username/password rejected', { auth: true });
+    }
+    let address;
+    if (net.isIPv4(host)) address = Buffer.from([0x01, ...host.split('.').map(Number)]);
+    else if (net.isIPv6(host)) {
+        // Expand "::" and write the 8 groups as 16 bytes
+        const [head, tail = ''] = host.split('::');
+        const h = head ? head.split(':') : [], t = tail ? tail.split(':') : [];
+        const groups = host.includes('::') ? [...h, ...Array(8 - h.length - t.length).fill('0'), ...t] : h;
+        address = Buffer.concat([Buffer.from([0x04]), Buffer.from(groups.flatMap(g => { const n = parseInt(g, 16); return [n >> 8, n & 0xff]; }))]);
+    } else {
+        const name = Buffer.from(host);
+        address = Buffer.concat([Buffer.from([0x03, name.length]), name]);
+    }
+    socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), address, Buffer.from([port >> 8, port & 0xff])]));
+    const reply = await reader.read(4);
+    if (reply[1] !== 0x00) throw proxyError(proxy, `SOCKS5 connect to ${host}:${port} failed (${SOCKS5_REPLIES[reply[1]] || `code ${reply[1]}`})`, { retriable: reply[1] === 1 });
+    const addressLength = reply[3] === 0x01 ? 4 : reply[3] === 0x04 ? 16 : (await reader.read(1))[0];
+    await reader.read(addressLength + 2);
+}
+
+async function httpConnectHandshake(socket, reader, proxy, host, port) {
+    const authority = `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+    const lines = [`CONNECT ${authority} HTTP/1.1`, `Host: ${authority}`];
+    const auth = proxyAuthorization(proxy);
+    if (auth) lines.push(`Proxy-Authorization: ${auth}`);
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+    const head = (await reader.readUntil('\r\n\r\n')).toString('latin1');
+    const status = Number((head.match(/^HTTP\/1\.[01] (\d{3})/) || [])[1] || 0);
+    if (status === 407) throw proxyError(proxy, 'proxy authentication required (HTTP 407)', { auth: true });
+    if (status < 200 || status > 299) throw proxyError(proxy, `CONNECT ${authority} answered HTTP ${status || '?'}`, { retriable: status >= 500 });
+}
+
+function proxyAuthorization(proxy) {
+    if (!proxy.username) return null;
+    return `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password || '')}`).toString('base64')}`;
+}
+
+// Raw TCP stream to host:port through the proxy (TLS to the proxy itself for https:// proxies).
+function openProxyTunnel(proxy, host, port) {
+    return new Promise((resolve, reject) => {
+        const isSocks = proxy.protocol.startsWith('socks5');
+        const proxyPort = Number(proxy.port) || (isSocks ? 1080 : proxy.protocol === 'https:' ? 443 : 80);
+        const proxyHost = proxy.hostname.replace(/^\[|\]$/g, '');
+        const socket = proxy.protocol === 'https:'
+            ? tls.connect({ host: proxyHost, port: proxyPort, servername: net.isIP(proxyHost) ? undefined : proxyHost })
+            : net.connect({ host: proxyHost, port: proxyPort });
+        const reader = createSocketReader(socket);
+        socket.setTimeout(RUNTIME_CONFIG.requestTimeoutMs, () => socket.destroy(Object.assign(new Error(`Proxy handshake timeout after ${RUNTIME_CONFIG.requestTimeoutMs}ms`), { code: 'ETIMEDOUT' })));
+        const handshake = isSocks ? socks5Handshake : httpConnectHandshake;
+        handshake(socket, reader, proxy, host, port).then(() => {
+            socket.setTimeout(0);
+            reader.release();
+            resolve(socket);
+        }, (err) => {
+            socket.destroy();
+            reject(err);
+        });
+    });
+}
+
+// Agent whose sockets are proxy tunnels; `protocol` is the target's, TLS to the target runs inside the tunnel.
+class ProxyTunnelAgent extends http.Agent {
+    constructor(proxy, targetProtocol) {
+        super({ keepAlive: true });
+        this.proxy = proxy;
+        this.protocol = targetProtocol;
+        this.defaultPort = targetProtocol === 'https:' ? 443 : 80;
+    }
+    createConnection(options, callback) {
+        const host = String(options.host || options.hostname).replace(/^\[|\]$/g, '');
+        openProxyTunnel(this.proxy, host, Number(options.port) || this.defaultPort).then((socket) => {
+            if (this.protocol !== 'https:') return callback(null, socket);
+            callback(null, tls.connect({ socket, servername: options.servername || (net.isIP(host) ? undefined : host), ALPNProtocols: ['http/1.1'] }));
+        }, (err) => callback(err));
+    }
+}
+
+const PROXY_AGENTS = new Map();
+function proxyAgentFor(proxy, targetProtocol) {
+    const key = `${proxy.href}|${targetProtocol}`;
+    if (!PROXY_AGENTS.has(key)) PROXY_AGENTS.set(key, new ProxyTunnelAgent(proxy, targetProtocol));
+    return PROXY_AGENTS.get(key);
+}
+
+// Options for http(s).request so the login flow (rawRequest) goes through the same proxy as fetch.
+function proxiedRequestOptions(target, { method = 'GET', headers = {} } = {}) {
+    const isHttps = target.protocol === 'https:';
+    const proxy = proxyForUrl(target);
+    if (proxy && !isHttps && !proxy.protocol.startsWith('socks5')) {
+        // Plain-http target through an HTTP proxy: absolute-form request, no tunnel
+        const auth = proxyAuthorization(proxy);
+        return {
+            transport: proxy.protocol === 'https:' ? https : http,
+            forwardProxy: proxy,
+            options: {
+                method, protocol: proxy.protocol, hostname: proxy.hostname.replace(/^\[|\]$/g, ''), port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+                path: target.href, headers: { ...headers, host: target.host, ...(auth ? { 'proxy-authorization': auth } : {}) }
+            }
+        };
+    }
+    return {
+        transport: isHttps ? https : http,
+        options: {
+            method, protocol: target.protocol, hostname: target.hostname.replace(/^\[|\]$/g, ''), port: target.port || undefined,
+            path: target.pathname + (target.search || ''), headers,
+            ...(proxy ? { agent: proxyAgentFor(proxy, target.protocol) } : {})
+        }
+    };
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Minimal fetch() over http(s).request for proxied URLs: one request per call (httpFetch follows redirects),
+// AbortSignal, gzip/deflate/br bodies.
+// Network errors are wrapped like undici's ("fetch failed" + cause) so the retry checks keep working.
+async function proxiedFetch(url, init = {}) {
+    let body = init.body ?? null;
+    const headers = Object.fromEntries(new Headers(init.headers || {}).entries());
+    if (body instanceof URLSearchParams) {
+        if (!headers['content-type']) headers['content-type'] = 'application/x-www-form-urlencoded;charset=UTF-8';
+        body = body.toString();
+    }
+    return proxiedRequestOnce(new URL(url), { method: String(init.method || 'GET').toUpperCase(), headers, body, signal: init.signal });
+}
+
+function proxiedRequestOnce(target, { method, headers, body, signal }) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => signal.reason ?? new DOMException('This operation was aborted', 'AbortError');
+        if (signal?.aborted) return reject(abortError());
+        const { transport, options, forwardProxy } = proxiedRequestOptions(target, { method, headers });
+        let response = null;
+        const onAbort = () => {
+            const err = abortError();
+            req.destroy(err);
+            response?.destroy(err);
+            reject(err);
+        };
+        const req = transport.request(options, (res) => {
+            const status = res.statusCode || 0;
+            if (status === 407 && forwardProxy) {
+                res.resume();
+                signal?.removeEventListener('abort', onAbort);
+                return reject(proxyError(forwardProxy, 'proxy authentication required (HTTP 407)', { auth: true }));
+            }
+            const responseHeaders = new Headers();
+            for (const [k, v] of Object.entries(res.headers)) {
+                if (Array.isArray(v)) v.forEach(x => responseHeaders.append(k, x));
+                else if (v != null) responseHeaders.set(k, String(v));
+            }
+            const noBody = method === 'HEAD' || [101, 204, 205, 304].includes(status);
+            if (noBody) {
+                res.resume();
+                signal?.removeEventListener('abort', onAbort);
+            } else {
+                const encoding = String(res.headers['content-encoding'] || '').toLowerCase();
+                const decoder = encoding === 'gzip' ? zlib.createGunzip() : encoding === 'deflate' ? zlib.createInflate() : encoding === 'br' ? zlib.createBrotliDecompress() : null;
+                response = decoder ? res.pipe(decoder) : res;
+                if (decoder) res.on('error', err => decoder.destroy(err));
+                response.on('close', () => signal?.removeEventListener('abort', onAbort));
+            }
+            resolve(new Response(noBody ? null : Readable.toWeb(response), { status, statusText: res.statusMessage || '', headers: responseHeaders }));
+        });
+        req.on('error', (err) => {
+            signal?.removeEventListener('abort', onAbort);
+            if (String(err?.message || '').includes('[PROXY_')) return reject(err);
+            const via = proxyForUrl(target);
+            reject(new TypeError(via ? `fetch failed via proxy ${describeProxy(via)} (${err?.code || err?.message})` : 'fetch failed', { cause: err }));
+        });
+        signal?.addEventListener('abort', onAbort, { once: true });
+        if (body != null) req.write(typeof body === 'string' || Buffer.isBuffer(body) ? body : Buffer.from(body));
+        req.end();
+    });
+}
+
+// Every HTTP call of the downloader goes through here: global fetch when no proxy applies.
+// Redirects are followed hop by hop so a Set-Cookie on a 3xx lands in COOKIE_JAR and the next hop is sent
+// with the cookies of its own URL (a cookie the caller set is kept only while the origin stays the same).
+// The returned response's `url` is the final URL, as with fetch's own redirect handling.
+async function httpFetch(url, init = {}) {
+    const jar = COOKIE_JAR;
+    const headers = new Headers(init.headers || {});
+    let callerCookie = headers.has('cookie');
+    let target = new URL(url);
+    let method = String(init.method || 'GET').toUpperCase();
+    let body = init.body ?? null;
+    for (let redirects = 0; ; redirects++) {
+        if (!callerCookie) {
+            const cookie = jar.cookieHeader(target.href);
+            if (cookie) headers.set('cookie', cookie);
+            else headers.delete('cookie');
+        }
+        const request = { ...init, method, body, headers, redirect: 'manual' };
+        const res = await (proxyForUrl(target) ? proxiedFetch(target.href, request) : fetch(target.href, request));
+        jar.applySetCookie(getSetCookieLines(res.headers), target.href);
+        const location = res.headers.get('location');
+        if (init.redirect === 'manual' || !REDIRECT_STATUSES.includes(res.status) || !location) {
+            if (res.url !== target.href) Object.defineProperty(res, 'url', { value: target.href });
+            return res;
+        }
+        if (redirects >= 20) throw new TypeError('fetch failed', { cause: new Error('redirect count exceeded') });
+        await res.body?.cancel().catch(() => { });
+        const next = new URL(location, target);
+        if (next.origin !== target.origin) {
+            callerCookie = false;
+            headers.delete('authorization');
+        }
+        if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === 'POST')) {
+            if (method !== 'HEAD') method = 'GET';
+            body = null;
+            headers.delete('content-type');
+        }
+        target = next;
     }
 }
 
@@ -471,7 +1381,7 @@ async function fetchWithRetry(url, options = {}, { retries = RUNTIME_CONFIG.retr
             return res;
         } catch (err) {
             lastErr = err;
-            if (attempt < retries && isRetriableNetworkError(err)) {
+            if (attempt < retries && !ABORT_SIGNAL?.aborted && isRetriableNetworkError(err)) {
                 if (typeof onRetry === 'function') onRetry({ attempt, retries, reason: err.message || String(err) });
                 await sleep(toBackoffMs(attempt));
                 continue;
@@ -535,9 +1445,9 @@ function printProfileSummary(core) {
     const hasSubscription = !!core?.auth?.conditions?.has_subscription;
     const hasCoursePurchase = !!core?.auth?.conditions?.has_course_purchase;
     const statusText = isAuthenticated ? paintGreen('Authenticated') : paintRed('NOT authenticated');
-    console.log(`🔐 Auth check: ${statusText}`);
-    console.log(`👤 User: ${paintCyan(email)}  | user_id: ${paintCyan(userId)}  | student_id: ${paintCyan(studentId)}`);
-    console.log(`💳 Subscription: ${hasSubscription ? paintGreen('yes') : paintYellow('no')}  | Has course purchase: ${hasCoursePurchase ? paintGreen('yes') : paintYellow('no')}`);
+    printLine(`🔐 Auth check: ${statusText}`);
+    printLine(`👤 User: ${paintCyan(email)}  | user_id: ${paintCyan(userId)}  | student_id: ${paintCyan(studentId)}`);
+    printLine(`💳 Subscription: ${hasSubscription ? paintGreen('yes') : paintYellow('no')}  | Has course purchase: ${hasCoursePurchase ? paintGreen('yes') : paintYellow('no')}`);
     return isAuthenticated;
 }
 
@@ -561,26 +1471,64 @@ function decodeHtmlEntities(str) {
         .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCharCode(parseInt(h, 16)));
 }
 
-// Extract <source ... src="..."> URLs from lecture page HTML.
-function extractVideoSources(html) {
-    const urls = [];
-    const re = /<source\b[^>]*?src=["']([^"'>]+)["'][^>]*>/gim;
-    let m;
-    while ((m = re.exec(html)) !== null) {
-        const raw = m[1];
-        const url = decodeHtmlEntities(raw);
-        if (url && url.includes('/videos/')) urls.push(url);
-    }
-    return Array.from(new Set(urls));
-}
-
-// Pick best source, prefer HQ.
 function pickBestSource(urls) {
     if (!urls || urls.length === 0) return null;
     const hq = urls.find(u => /\/videos\/hq\d+/.test(u) || u.includes('/videos/hq'));
     return hq || urls[0];
 }
 
+// Short quality tag from the CDN path, e.g. ".../videos/hq1/x.mp4" -> "hq"; "hls"/"dash" for streaming manifests
+function sourceQualityTag(url) {
+    const stream = streamKindOf(url);
+    if (stream) return stream;
+    const m = String(url || '').match(/\/videos\/([a-z]+)\d*\//i);
+    return m ? m[1].toLowerCase() : '?';
+}
+
+// HEAD every candidate source; size stays undefined when the server does not report it.
+async function probeVideoSources(urls, referer) {
+    const probed = [];
+    for (const url of urls) {
+        const info = streamKindOf(url) ? { size: await estimateStreamSize(url, referer, 'largest').catch(() => undefined) } : await getRemoteSizeAndRanges(url, referer);
+        probed.push({ url, size: Number.isFinite(info?.size) ? info.size : undefined });
+    }
+    return probed;
+}
+
+// { size } of the chosen source: HEAD/Range for files, a bandwidth x duration estimate for streams
+// (which also report the `container` they are saved in)
+async function chosenSourceSize(chosen, referer, quality) {
+    if (Number.isFinite(chosen.size)) return chosen;
+    if (!streamKindOf(chosen.url)) return getRemoteSizeAndRanges(chosen.url, referer);
+    return estimateStream(chosen.url, referer, quality).catch(() => ({ size: undefined }));
+}
+
+// Pick the source for the requested --quality. Size-based choices probe every candidate (or reuse `probed`).
+// Returns { url, size }; size is only set when it was probed.
+async function selectVideoSource(urls, quality = DEFAULT_VIDEO_QUALITY, referer, probed = null) {
+    if (!urls || urls.length === 0) return { url: null, size: undefined };
+    // Progressive files win; a stream (HLS before DASH) is the fallback and its variant is picked by --quality at download time
+    const files = urls.filter(u => !streamKindOf(u));
+    if (files.length === 0) return { url: urls.find(u => streamKindOf(u) === 'hls') || urls[0], size: undefined };
+    if (files.length < urls.length) {
+        urls = files;
+        probed = probed && probed.filter(p => !streamKindOf(p.url));
+    }
+    if (quality === 'lq') {
+        const lq = urls.find(u => sourceQualityTag(u) === 'lq') || urls.find(u => sourceQualityTag(u) !== 'hq');
+        return { url: lq || urls[0], size: undefined };
+    }
+    if (quality === 'smallest' || quality === 'largest') {
+        const known = (probed || await probeVideoSources(urls, referer)).filter(p => Number.isFinite(p.size));
+        if (known.length > 0) {
+            known.sort((a, b) => quality === 'smallest' ? a.size - b.size : b.size - a.size);
+            return { url: known[0].url, size: known[0].size };
+        }
+    }
+    // 'hq', or no sizes known for a size-based choice
+    return { url: pickBestSource(urls), size: undefined };
+}
+
 // Sanitize a string for safe Windows filenames.
 function sanitizeName(name) {
     return name.replace(/[\/:*?"<>|]/g, ' ').replace(/[\s\u200c\u200f\u202a\u202b]+/g, ' ').trim().slice(0, 150);
@@ -595,134 +1543,645 @@ function normalizeCourseFolderNameFromSlug(courseSlug) {
     return sanitizeName(spaced);
 }
 
-// Extract attachment links from lecture HTML.
-function extractAttachmentLinks(html) {
-    const results = new Set();
-    if (!html) return [];
-    // Regex to capture <div class="...unit-content--download..."> ... <a href="..."> inside
-    const blockRe = /<div[^>]*class=["'][^"'>]*unit-content--download[^"'>]*["'][^>]*>[\s\S]*?<\/div>/gim;
-    let m;
-    while ((m = blockRe.exec(html)) !== null) {
-        const block = m[0];
-        // Find anchor hrefs inside this block
-        const aRe = /<a[^>]+href=["']([^"'>]+)["'][^>]*>/gim;
-        let a;
-        while ((a = aRe.exec(block)) !== null) {
-            const raw = a[1];
-            const url = decodeHtmlEntities(raw);
-            if (url && /attachments/i.test(url)) {
-                results.add(url);
-            }
-        }
-    }
-    return Array.from(results);
-}
-
-// --- Session / Login helpers ---
-
-async function fetchJson(url, referer) {
-    const res = await fetchWithRetry(url, { headers: { ...commonHeaders(referer), accept: 'application/json' } });
-    const text = await res.text();
-    let json = null; try { json = JSON.parse(text); } catch { }
-    return { res, text, json };
-}
-
-function extractSetCookie(res) {
-    // Node fetch in Node 18 does not expose raw set-cookie headers directly. We rely on cookie from config or inline login.
-    return null;
-}
-
-async function obtainCsrfToken() {
-    const { json } = await fetchJson(`${ORIGIN}/api/v1/general/core-data/?profile=1`, ORIGIN);
-    let csrf = json?.auth?.csrf;
-    // Try to parse cookie from ACTIVE_COOKIE fallback
-    if (!csrf) {
-        // Not critical; some endpoints may still set it later.
-    }
-    return csrf;
-}
-
-import https from 'https';
-
-// Manual minimal cookie store (in-memory) for login flow only
-class SimpleCookieStore {
-    constructor() { this.map = new Map(); }
-    setCookieLine(line) {
-        if (!line) return;
-        const seg = line.split(';')[0];
-        const eq = seg.indexOf('=');
-        if (eq === -1) return;
-        const k = seg.slice(0, eq).trim();
-        const v = seg.slice(eq + 1).trim();
-        if (k) this.map.set(k, v);
-    }
-    applySetCookie(arr) { (arr || []).forEach(l => this.setCookieLine(l)); }
-    get(name) { return this.map.get(name); }
-    headerString() { return Array.from(this.map.entries()).map(([k, v]) => `${k}=${v}`).join('; '); }
-}
-
-function rawRequest(urlStr, { method = 'GET', headers = {}, body = null } = {}) {
-    const u = new URL(urlStr);
-    return new Promise((resolve, reject) => {
-        const opts = {
-            method,
-            hostname: u.hostname,
-            path: u.pathname + (u.search || ''),
-            protocol: u.protocol,
-            headers
-        };
-        const req = https.request(opts, (res) => {
-            const chunks = [];
-            res.setTimeout(RUNTIME_CONFIG.readTimeoutMs, () => req.destroy(new Error(`Read timeout after ${RUNTIME_CONFIG.readTimeoutMs}ms`)));
-            res.on('data', c => chunks.push(c));
-            res.on('end', () => {
-                resolve({
-                    status: res.statusCode || 0,
-                    headers: res.headers,
-                    body: Buffer.concat(chunks).toString('utf8')
-                });
-            });
-        });
-        req.setTimeout(RUNTIME_CONFIG.requestTimeoutMs, () => req.destroy(new Error(`Request timeout after ${RUNTIME_CONFIG.requestTimeoutMs}ms`)));
-        req.on('error', reject);
-        if (body) req.write(body);
-        req.end();
-    });
+// --- Tolerant HTML parsing ---
+const HTML_VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const HTML_RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Parse attributes; quoted, unquoted and bare (boolean) attributes are all accepted. Names are lowercased.
+function parseHtmlAttributes(text) {
+    const attrs = {};
+    const re = /([^\s"'=<>\/`]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let m;
+    while ((m = re.exec(text || '')) !== null) {
+        const name = m[1].toLowerCase();
+        if (name in attrs) continue;
+        attrs[name] = decodeHtmlEntities(m[2] ?? m[3] ?? m[4] ?? '');
+    }
+    return attrs;
 }
 
-async function rawRequestWithRetry(urlStr, reqOpts = {}, verbose = () => { }) {
-    let lastErr = null;
-    for (let attempt = 1; attempt <= RUNTIME_CONFIG.retryAttempts; attempt++) {
-        try {
-            const r = await rawRequest(urlStr, reqOpts);
-            if (isRetriableStatus(r.status) && attempt < RUNTIME_CONFIG.retryAttempts) {
-                verbose(`[retry] ${reqOpts.method || 'GET'} ${urlStr} -> HTTP ${r.status} (attempt ${attempt}/${RUNTIME_CONFIG.retryAttempts})`);
-                await sleep(toBackoffMs(attempt));
-                continue;
+// Build a lightweight element tree ({ name, attrs, children } / { text }) from arbitrary, possibly broken HTML.
+// Unmatched close tags are ignored and open elements are closed implicitly, so it never throws.
+function parseHtmlTree(html) {
+    const root = { name: '#root', attrs: {}, children: [] };
+    const stack = [root];
+    const top = () => stack[stack.length - 1];
+    const re = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/\s*([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+|<)/g;
+    const src = String(html || '');
+    let m;
+    while ((m = re.exec(src)) !== null) {
+        if (m[1]) {
+            const name = m[1].toLowerCase();
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].name === name) { stack.length = i; break; }
             }
-            return r;
-        } catch (err) {
-            lastErr = err;
-            if (attempt < RUNTIME_CONFIG.retryAttempts && isRetriableNetworkError(err)) {
-                verbose(`[retry] ${reqOpts.method || 'GET'} ${urlStr} -> ${err.message} (attempt ${attempt}/${RUNTIME_CONFIG.retryAttempts})`);
-                await sleep(toBackoffMs(attempt));
-                continue;
+        } else if (m[2]) {
+            const name = m[2].toLowerCase();
+            const rawAttrs = m[3] || '';
+            const node = { name, attrs: parseHtmlAttributes(rawAttrs.replace(/\/\s*$/, '')), children: [] };
+            // A new <p>/<li>/<option> implicitly closes an open sibling of the same kind
+            if (['p', 'li', 'option', 'tr', 'td', 'th'].includes(name) && top().name === name) stack.pop();
+            top().children.push(node);
+            if (HTML_RAW_TEXT_TAGS.has(name)) {
+                const end = src.toLowerCase().indexOf(`</${name}`, re.lastIndex);
+                const stop = end === -1 ? src.length : end;
+                node.children.push({ text: src.slice(re.lastIndex, stop), raw: true });
+                re.lastIndex = stop;
+            } else if (!HTML_VOID_TAGS.has(name) && !/\/\s*$/.test(rawAttrs)) {
+                stack.push(node);
             }
-            throw err;
+        } else if (m[4]) {
+            top().children.push({ text: m[4] });
         }
     }
-    throw lastErr || new Error('Raw request failed after retries');
+    return root;
 }
-
-async function loginWithCredentialsInline(email, password, verbose = () => { }) {
+
+function* walkHtmlTree(node) {
+    yield node;
+    for (const child of node.children || []) yield* walkHtmlTree(child);
+}
+
+function htmlClassList(node) {
+    return String(node?.attrs?.class || '').split(/\s+/).filter(Boolean);
+}
+
+function htmlTextContent(node) {
+    if (node.text != null) return node.raw ? '' : decodeHtmlEntities(node.text);
+    return (node.children || []).map(htmlTextContent).join('');
+}
+
+// --- Lecture media discovery ---
+// Lecture pages are read with the tree parser above. When the <video>/<source> tags give no video, the player config
+// in inline scripts / JSON blobs / data-* attributes is searched, then the iframe player pages. Each strategy reports
+// what it found, so a page without video can be diagnosed (see saveLectureDiagnostics).
+const DEBUG_FOLDER_NAME = '.mkd-debug';
+const MAX_PLAYER_IFRAMES = 3;
+
+function htmlRootOf(htmlOrRoot) {
+    return htmlOrRoot && typeof htmlOrRoot === 'object' ? htmlOrRoot : parseHtmlTree(htmlOrRoot || '');
+}
+
+// `src`, else a lazy-loading variant (data-src, data-lazy-src)
+function mediaAttr(node, name = 'src') {
+    const attrs = node.attrs || {};
+    return String(attrs[name] || attrs[`data-${name}`] || attrs[`data-lazy-${name}`] || '').trim();
+}
+
+function mediaPathOf(url) {
+    return String(url || '').split(/[?#]/)[0];
+}
+
+// <video>/<source> URLs: CDN "/videos/" paths, streaming manifests and plain video files
+function extractVideoSources(htmlOrRoot) {
+    const urls = [];
+    for (const node of walkHtmlTree(htmlRootOf(htmlOrRoot))) {
+        if (node.name !== 'video' && node.name !== 'source') continue;
+        const url = mediaAttr(node);
+        if (url && (url.includes('/videos/') || streamKindOf(url) || /\.(mp4|m4v|webm)$/i.test(mediaPathOf(url)))) urls.push(url);
+    }
+    return Array.from(new Set(urls));
+}
+
+// <a href> links to attachments inside "unit-content--download" blocks, nested blocks included
+function extractAttachmentLinks(htmlOrRoot) {
+    const results = new Set();
+    for (const block of walkHtmlTree(htmlRootOf(htmlOrRoot))) {
+        if (!htmlClassList(block).some(c => c.includes('unit-content--download'))) continue;
+        for (const a of walkHtmlTree(block)) {
+            const href = a.name === 'a' ? String(a.attrs.href || '').trim() : '';
+            if (href && /attachments/i.test(href)) results.add(href);
+        }
+    }
+    return Array.from(results);
+}
+
+// Quoted strings of inline scripts and data-* attributes, unescaped ("\/", "/")
+function inlineScriptStrings(root) {
+    const texts = [];
+    for (const node of walkHtmlTree(root)) {
+        if (node.name === 'script') texts.push(...(node.children || []).filter(c => c.raw).map(c => c.text));
+        for (const [name, value] of Object.entries(node.attrs || {})) {
+            if (name.startsWith('data-') && value) texts.push(/^\s*[[{]/.test(value) ? value : JSON.stringify(value));
+        }
+    }
+    const strings = [];
+    const re = /"((?:[^"\\\r\n]|\\.)*)"|'((?:[^'\\\r\n]|\\.)*)'/g;
+    for (const text of texts) {
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            const raw = m[1] ?? m[2].replace(/\\'/g, "'").replace(/"/g, '\\"');
+            try { strings.push(JSON.parse(`"${raw}"`).trim()); } catch { strings.push(raw.replace(/\\\//g, '/').trim()); }
+        }
+    }
+    return strings;
+}
+
+// Video and subtitle URLs from player configs; the language comes from names like "x.fa.vtt"
+function inlineJsonMedia(root) {
+    const videos = new Set();
+    const subtitles = new Map();
+    for (const s of inlineScriptStrings(root)) {
+        if (!/^(https?:)?\/\/|^\/[^/]/.test(s)) continue;
+        const pathname = mediaPathOf(s);
+        if (/\.(mp4|m4v|webm|m3u8|mpd)$/i.test(pathname)) videos.add(s);
+        else if (/\.(vtt|srt)$/i.test(pathname) && !subtitles.has(s)) {
+            subtitles.set(s, { url: s, srclang: (pathname.match(/[._-]([a-z]{2})\.(?:vtt|srt)$/i)?.[1] || '').toLowerCase(), label: '', kind: 'subtitles' });
+        }
+    }
+    return { videos: Array.from(videos), subtitles: Array.from(subtitles.values()) };
+}
+
+function iframeSources(root) {
+    const urls = [];
+    for (const node of walkHtmlTree(root)) {
+        const src = node.name === 'iframe' ? mediaAttr(node) : '';
+        if (src && !/^(about|javascript|data):/i.test(src)) urls.push(src);
+    }
+    return Array.from(new Set(urls));
+}
+
+// Tags, then inline JSON, then iframe pages. URLs come back absolute; `report` lists every strategy tried and
+// `frames` the iframe pages fetched.
+async function discoverLectureMedia(html, pageUrl) {
+    const root = parseHtmlTree(html);
+    const report = [];
+    const frames = [];
+    const videos = extractVideoSources(root).map(u => toAbsoluteUrl(u, pageUrl));
+    const subtitles = extractSubtitleLinks(root).map(t => ({ ...t, url: toAbsoluteUrl(t.url, pageUrl) }));
+    const attachments = extractAttachmentLinks(root).map(u => toAbsoluteUrl(u, pageUrl));
+    report.push({ strategy: 'tags', videos: videos.length, subtitles: subtitles.length, attachments: attachments.length });
+    if (videos.length === 0) {
+        const inline = inlineJsonMedia(root);
+        report.push({ strategy: 'inline-json', videos: inline.videos.length, subtitles: inline.subtitles.length });
+        videos.push(...inline.videos.map(u => toAbsoluteUrl(u, pageUrl)));
+        if (subtitles.length === 0) subtitles.push(...inline.subtitles.map(t => ({ ...t, url: toAbsoluteUrl(t.url, pageUrl) })));
+    }
+    if (videos.length === 0) {
+        const iframes = iframeSources(root).slice(0, MAX_PLAYER_IFRAMES);
+        if (iframes.length === 0) report.push({ strategy: 'iframe', url: null, videos: 0, subtitles: 0 });
+        for (const src of iframes) {
+            const frameUrl = toAbsoluteUrl(src, pageUrl);
+            const entry = { strategy: 'iframe', url: frameUrl, videos: 0, subtitles: 0 };
+            report.push(entry);
+            try {
+                const res = await fetchWithRetry(frameUrl, { headers: { ...commonHeaders(pageUrl), accept: 'text/html' } });
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                const frameHtml = await res.text();
+                frames.push({ url: frameUrl, html: frameHtml });
+                const frameRoot = parseHtmlTree(frameHtml);
+                const tagged = extractVideoSources(frameRoot);
+                const inline = tagged.length > 0 ? { videos: [], subtitles: [] } : inlineJsonMedia(frameRoot);
+                const frameVideos = [...tagged, ...inline.videos].map(u => toAbsoluteUrl(u, frameUrl));
+                const frameSubtitles = [...extractSubtitleLinks(frameRoot), ...inline.subtitles].map(t => ({ ...t, url: toAbsoluteUrl(t.url, frameUrl) }));
+                entry.videos = frameVideos.length;
+                entry.subtitles = frameSubtitles.length;
+                videos.push(...frameVideos);
+                if (subtitles.length === 0) subtitles.push(...frameSubtitles);
+                if (frameVideos.length > 0) break;
+            } catch (err) {
+                entry.error = String(err?.message || err).split('\n')[0];
+            }
+        }
+    }
+    const seenSubtitles = new Set();
+    return {
+        videos: Array.from(new Set(videos)),
+        subtitles: subtitles.filter(t => !seenSubtitles.has(t.url) && seenSubtitles.add(t.url)),
+        attachments,
+        report,
+        frames
+    };
+}
+
+// One line per strategy, e.g. "tags: 0 video(s), 1 subtitle(s), 0 attachment(s); inline JSON: 0 video(s), ..."
+function describeMediaDiscovery(report) {
+    return report.map(r => {
+        const found = `${r.videos} video(s), ${r.subtitles} subtitle(s)`;
+        if (r.strategy === 'tags') return `tags: ${found}, ${r.attachments} attachment(s)`;
+        if (r.strategy === 'inline-json') return `inline JSON: ${found}`;
+        if (!r.url) return 'iframes: none on page';
+        return `iframe ${r.url}: ${r.error || found}`;
+    }).join('; ');
+}
+
+// Keep the page (and any iframe pages) of a lecture without video as "<course>/.mkd-debug/unit-<id>.html"
+async function saveLectureDiagnostics(courseFolder, unitId, html, frames = []) {
+    const folder = path.join(courseFolder, DEBUG_FOLDER_NAME);
+    await fs.promises.mkdir(folder, { recursive: true });
+    const filePath = path.join(folder, `unit-${sanitizeName(String(unitId))}.html`);
+    await fs.promises.writeFile(filePath, html, 'utf8');
+    for (const [i, frame] of frames.entries()) {
+        await fs.promises.writeFile(path.join(folder, `unit-${sanitizeName(String(unitId))}.iframe${i + 1}.html`), `<!-- ${frame.url} -->\n${frame.html}`, 'utf8');
+    }
+    return filePath;
+}
+
+// Main content of a unit page: the first known content container, else <main>/<article>, else <body>.
+function findUnitContentNode(root) {
+    const markers = ['unit-content', 'course-unit', 'unit__content', 'exam', 'assignment', 'text-content', 'article-content'];
+    for (const marker of markers) {
+        for (const node of walkHtmlTree(root)) {
+            if (node.name && htmlClassList(node).some(c => c.includes(marker)) && htmlTextContent(node).trim()) return node;
+        }
+    }
+    for (const name of ['main', 'article', 'body']) {
+        for (const node of walkHtmlTree(root)) if (node.name === name) return node;
+    }
+    return root;
+}
+
+// --- HTML -> Markdown / sanitized HTML ---
+const HTML_DROP_TAGS = new Set(['script', 'style', 'noscript', 'svg', 'iframe', 'object', 'embed', 'template', 'head', 'button', 'select', 'nav']);
+const SANITIZED_HTML_TAGS = new Set(['p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup',
+    'a', 'img', 'ul', 'ol', 'li', 'pre', 'code', 'blockquote', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'div', 'span', 'section',
+    'article', 'label', 'figure', 'figcaption', 'dl', 'dt', 'dd']);
+const SANITIZED_HTML_ATTRS = new Set(['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'dir', 'lang']);
+
+function escapeHtml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Render an element tree as Markdown. `resolveImage(src)` returns the (local) path to reference.
+function htmlTreeToMarkdown(node, { baseUrl, resolveImage = s => s } = {}) {
+    const inline = (n, ctx) => (n.children || []).map(c => render(c, ctx)).join('');
+    const block = (s) => `\n\n${s.trim()}\n\n`;
+    const render = (n, ctx = { listDepth: 0, pre: false }) => {
+        if (n.text != null) {
+            if (n.raw) return '';
+            const t = decodeHtmlEntities(n.text);
+            return ctx.pre ? t : t.replace(/\s+/g, ' ');
+        }
+        const name = n.name;
+        if (HTML_DROP_TAGS.has(name)) return '';
+        switch (name) {
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                return block(`${'#'.repeat(Number(name[1]))} ${inline(n, ctx).trim()}`);
+            case 'p': case 'div': case 'section': case 'article': case 'header': case 'footer': case 'form': case 'fieldset': case 'figure':
+                return block(inline(n, ctx));
+            case 'br': return '  \n';
+            case 'hr': return block('---');
+            case 'strong': case 'b': { const t = inline(n, ctx).trim(); return t ? `**${t}**` : ''; }
+            case 'em': case 'i': { const t = inline(n, ctx).trim(); return t ? `_${t}_` : ''; }
+            case 'code': return ctx.pre ? inline(n, ctx) : `\`${inline(n, ctx).trim()}\``;
+            case 'pre': return block('```\n' + htmlTextContent(n).replace(/\n+$/, '') + '\n```');
+            case 'blockquote': return block(inline(n, ctx).trim().split('\n').map(l => `> ${l}`).join('\n'));
+            case 'a': {
+                const text = inline(n, ctx).trim();
+                const href = n.attrs.href ? toAbsoluteUrl(n.attrs.href, baseUrl) : '';
+                return href && !href.startsWith('javascript:') ? `[${text || href}](${href})` : text;
+            }
+            case 'img': {
+                const src = n.attrs.src || n.attrs['data-src'];
+                return src ? `![${(n.attrs.alt || '').replace(/[\[\]]/g, '')}](<${resolveImage(src)}>)` : '';
+            }
+            case 'input': {
+                const type = String(n.attrs.type || '').toLowerCase();
+                if (type === 'radio') return '( ) ';
+                if (type === 'checkbox') return '[ ] ';
+                return '';
+            }
+            case 'ul': case 'ol': {
+                let idx = 0;
+                const items = (n.children || []).filter(c => c.name === 'li').map(li => {
+                    idx++;
+                    const bullet = name === 'ol' ? `${idx}.` : '-';
+                    const body = inline(li, { ...ctx, listDepth: ctx.listDepth + 1 }).trim().replace(/\n{2,}/g, '\n');
+                    const pad = '  '.repeat(ctx.listDepth);
+                    return `${pad}${bullet} ${body.split('\n').join(`\n${pad}  `)}`;
+                });
+                return ctx.listDepth > 0 ? `\n${items.join('\n')}\n` : block(items.join('\n'));
+            }
+            case 'table': {
+                const rows = [];
+                for (const tr of walkHtmlTree(n)) {
+                    if (tr.name !== 'tr') continue;
+                    rows.push((tr.children || []).filter(c => c.name === 'td' || c.name === 'th')
+                        .map(c => inline(c, ctx).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()));
+                }
+                if (rows.length === 0) return '';
+                const width = Math.max(...rows.map(r => r.length));
+                const line = r => `| ${Array.from({ length: width }, (_, i) => r[i] || '').join(' | ')} |`;
+                return block([line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n'));
+            }
+            default:
+                return inline(n, ctx);
+        }
+    };
+    return render(node)
+        .replace(/[ \t]+\n/g, m => (m.endsWith('  \n') ? '  \n' : '\n'))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim() + '\n';
+}
+
+// Re-serialize an element tree keeping only a safe tag/attribute whitelist (no scripts, styles or handlers).
+function htmlTreeToSanitizedHtml(node, { baseUrl, resolveImage = s => s } = {}) {
+    const render = (n) => {
+        if (n.text != null) return n.raw ? '' : escapeHtml(decodeHtmlEntities(n.text));
+        if (HTML_DROP_TAGS.has(n.name)) return '';
+        const inner = (n.children || []).map(render).join('');
+        if (!SANITIZED_HTML_TAGS.has(n.name)) return inner;
+        const attrs = [];
+        for (const [k, v] of Object.entries(n.attrs || {})) {
+            if (!SANITIZED_HTML_ATTRS.has(k)) continue;
+            let value = v;
+            if (k === 'href') {
+                value = toAbsoluteUrl(v, baseUrl);
+                if (!/^(https?:|mailto:|#)/i.test(value)) continue;
+            }
+            if (k === 'src') value = resolveImage(v);
+            attrs.push(` ${k}="${escapeHtml(value)}"`);
+        }
+        if (n.name === 'img' && !n.attrs.src && n.attrs['data-src']) attrs.push(` src="${escapeHtml(resolveImage(n.attrs['data-src']))}"`);
+        if (HTML_VOID_TAGS.has(n.name)) return `<${n.name}${attrs.join('')}>`;
+        return `<${n.name}${attrs.join('')}>${inner}</${n.name}>`;
+    };
+    return render(node);
+}
+
+// --- Session / Login helpers ---
+
+async function fetchJson(url, referer) {
+    const res = await fetchWithRetry(url, { headers: { ...commonHeaders(referer), accept: 'application/json' } });
+    const text = await res.text();
+    let json = null; try { json = JSON.parse(text); } catch { }
+    return { res, text, json };
+}
+
+async function obtainCsrfToken() {
+    const { json } = await fetchJson(`${ORIGIN}/api/v1/general/core-data/?profile=1`, ORIGIN);
+    let csrf = json?.auth?.csrf;
+    // Fall back to the csrftoken cookie; not critical, some endpoints may still set it later.
+    if (!csrf) csrf = COOKIE_JAR.get('csrftoken') || null;
+    return csrf;
+}
+
+// ===============
+// Cookie jar: Set-Cookie attributes (Domain, Path, Expires/Max-Age, Secure), matching by domain and path,
+// Netscape cookies.txt import/export. COOKIE_JAR feeds every request and picks up cookies the server rotates.
+// ===============
+const NETSCAPE_COOKIE_HEADER = '# Netscape HTTP Cookie File';
+
+// RFC 6265 5.1.4: directory of the request path ("/a/b/c" -> "/a/b")
+function defaultCookiePath(pathname) {
+    if (!pathname || !pathname.startsWith('/')) return '/';
+    const cut = pathname.lastIndexOf('/');
+    return cut <= 0 ? '/' : pathname.slice(0, cut);
+}
+
+function cookiePathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+function cookieDomainMatches(host, domain) {
+    return host === domain || (host.endsWith(`.${domain}`) && !net.isIP(host));
+}
+
+class CookieJar {
+    constructor() {
+        this.cookies = new Map();
+        this.changed = false;
+        // Netscape file the jar was loaded from; rotated cookies are written back to it
+        this.file = null;
+    }
+    get size() { return this.cookies.size; }
+    store(cookie) {
+        const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+        const prev = this.cookies.get(key);
+        if (cookie.expires !== null && cookie.expires <= Date.now()) {
+            if (prev) { this.cookies.delete(key); this.changed = true; }
+            return;
+        }
+        if (prev && prev.value === cookie.value && prev.expires === cookie.expires) return;
+        this.cookies.set(key, cookie);
+        this.changed = true;
+    }
+    // One Set-Cookie header value received from `url`; cookies for a foreign domain are ignored
+    setCookie(line, url) {
+        const target = new URL(url);
+        const host = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        const [pair, ...attrs] = String(line || '').split(';');
+        const eq = pair.indexOf('=');
+        if (eq === -1) return;
+        const name = pair.slice(0, eq).trim();
+        if (!name) return;
+        const cookie = {
+            name, value: pair.slice(eq + 1).trim(), domain: host, hostOnly: true,
+            path: defaultCookiePath(target.pathname), expires: null, secure: false, httpOnly: false
+        };
+        let maxAge = null;
+        for (const attr of attrs) {
+            const i = attr.indexOf('=');
+            const key = (i === -1 ? attr : attr.slice(0, i)).trim().toLowerCase();
+            const val = i === -1 ? '' : attr.slice(i + 1).trim();
+            if (key === 'domain' && val) {
+                const domain = val.replace(/^\./, '').toLowerCase();
+                if (!cookieDomainMatches(host, domain)) return;
+                cookie.domain = domain;
+                cookie.hostOnly = false;
+            } else if (key === 'path') {
+                cookie.path = val.startsWith('/') ? val : defaultCookiePath(target.pathname);
+            } else if (key === 'expires') {
+                const t = Date.parse(val);
+                if (Number.isFinite(t)) cookie.expires = t;
+            } else if (key === 'max-age' && /^-?\d+$/.test(val)) {
+                maxAge = Number(val);
+            } else if (key === 'secure') {
+                cookie.secure = true;
+            } else if (key === 'httponly') {
+                cookie.httpOnly = true;
+            }
+        }
+        // Max-Age wins over Expires; zero or negative deletes the cookie
+        if (maxAge !== null) cookie.expires = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+        this.store(cookie);
+    }
+    applySetCookie(lines, url) { (lines || []).forEach(l => this.setCookie(l, url)); }
+    // Cookies to send to `url`, longest path first (RFC 6265 5.4); expired ones are dropped on the way
+    matching(url) {
+        const target = new URL(url);
+        const host = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        const requestPath = target.pathname || '/';
+        const secureChannel = target.protocol === 'https:' || host === 'localhost' || host === '127.0.0.1' || host === '::1';
+        const now = Date.now();
+        const out = [];
+        for (const [key, c] of this.cookies) {
+            if (c.expires !== null && c.expires <= now) { this.cookies.delete(key); this.changed = true; continue; }
+            if (c.hostOnly ? host !== c.domain : !cookieDomainMatches(host, c.domain)) continue;
+            if (!cookiePathMatches(requestPath, c.path)) continue;
+            if (c.secure && !secureChannel) continue;
+            out.push(c);
+        }
+        return out.sort((a, b) => b.path.length - a.path.length);
+    }
+    cookieHeader(url) { return this.matching(url).map(c => `${c.name}=${c.value}`).join('; '); }
+    get(name, url = `${ORIGIN}/`) { return this.matching(url).find(c => c.name === name)?.value; }
+    // "a=1; b=2" (auth.cookie, stored sessions): sent to the site and its subdomains, no expiry
+    importHeader(header, url = `${ORIGIN}/`) {
+        const domain = new URL(url).hostname.toLowerCase();
+        for (const part of String(header || '').split(';')) {
+            const eq = part.indexOf('=');
+            const name = eq === -1 ? '' : part.slice(0, eq).trim();
+            if (!name) continue;
+            this.store({ name, value: part.slice(eq + 1).trim(), domain, hostOnly: false, path: '/', expires: null, secure: false, httpOnly: false });
+        }
+    }
+    // Netscape format: domain, include-subdomains, path, secure, expiry (unix seconds, 0 = session), name, value
+    importNetscape(text) {
+        let count = 0;
+        for (const raw of String(text || '').split(/\r?\n/)) {
+            let line = raw.trim();
+            const httpOnly = line.startsWith('#HttpOnly_');
+            if (httpOnly) line = line.slice('#HttpOnly_'.length);
+            if (!line || line.startsWith('#')) continue;
+            const f = line.split('\t');
+            if (f.length < 7) continue;
+            const expiry = Number(f[4]);
+            this.store({
+                name: f[5], value: f.slice(6).join('\t'), domain: f[0].replace(/^\./, '').toLowerCase(),
+                hostOnly: f[1].toUpperCase() !== 'TRUE', path: f[2] || '/', secure: f[3].toUpperCase() === 'TRUE', httpOnly,
+                expires: Number.isFinite(expiry) && expiry > 0 ? expiry * 1000 : null
+            });
+            count++;
+        }
+        return count;
+    }
+    toNetscape() {
+        const now = Date.now();
+        const lines = [NETSCAPE_COOKIE_HEADER, '# Written by maktabkhooneh-downloader. Contains your session: keep it private.', ''];
+        for (const c of this.cookies.values()) {
+            if (c.expires !== null && c.expires <= now) continue;
+            lines.push([
+                `${c.httpOnly ? '#HttpOnly_' : ''}${c.hostOnly ? '' : '.'}${c.domain}`, c.hostOnly ? 'FALSE' : 'TRUE', c.path,
+                c.secure ? 'TRUE' : 'FALSE', c.expires === null ? 0 : Math.floor(c.expires / 1000), c.name, c.value
+            ].join('\t'));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function isNetscapeCookieText(text) {
+    return String(text).includes(NETSCAPE_COOKIE_HEADER) || /^(#HttpOnly_)?[^\s#][^\t\n]*\t(TRUE|FALSE)\t[^\t\n]*\t(TRUE|FALSE)\t/im.test(String(text));
+}
+
+// auth.cookieFile / --cookies: Netscape cookies.txt (browser export), or a single "name=value; ..." header line
+function loadCookieFile(file, origin = ORIGIN) {
+    let text = '';
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new Error(buildActionableError(
+            'COOKIE_FILE',
+            `Cannot read cookie file ${file}: ${e.message}`,
+            'Fix auth.cookieFile / --cookies, or export cookies.txt again from the browser.'
+        ));
+    }
+    const jar = new CookieJar();
+    if (isNetscapeCookieText(text)) {
+        jar.importNetscape(text);
+        jar.file = path.resolve(file);
+    } else {
+        jar.importHeader(text.trim(), `${origin}/`);
+    }
+    jar.changed = false;
+    return jar;
+}
+
+async function saveCookieFile(jar, file) {
+    await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.promises.writeFile(file, jar.toNetscape(), { encoding: 'utf8', mode: 0o600 });
+}
+
+// Write rotated cookies back to the cookies.txt the jar came from
+async function persistCookieJar(jar) {
+    if (!jar?.file || !jar.changed) return;
+    try {
+        await saveCookieFile(jar, jar.file);
+        jar.changed = false;
+    } catch (e) {
+        logWarn(`Cannot update cookie file ${jar.file}: ${e.message}`);
+    }
+}
+
+// Node 19.7+ has getSetCookie(); older fetch joins the headers with ", " (split where a new name=value starts)
+function getSetCookieLines(headers) {
+    if (typeof headers?.getSetCookie === 'function') return headers.getSetCookie();
+    const joined = headers?.get?.('set-cookie');
+    return joined ? joined.split(/,(?=\s*[^;,=\s]+=)/).map(s => s.trim()) : [];
+}
+
+let COOKIE_JAR = new CookieJar();
+
+// Cookie header the site gets (what is persisted as the session)
+function activeCookieHeader() {
+    return COOKIE_JAR.cookieHeader(`${ORIGIN}/`) || null;
+}
+
+// Replace the jar with a stored session (a jar or a "name=value; ..." header); the previous jar, and its file, are dropped
+function setActiveCookie(value) {
+    if (value instanceof CookieJar) { COOKIE_JAR = value; return; }
+    COOKIE_JAR = new CookieJar();
+    if (value) COOKIE_JAR.importHeader(value);
+}
+
+function rawRequest(urlStr, { method = 'GET', headers = {}, body = null } = {}) {
+    const u = new URL(urlStr);
+    return new Promise((resolve, reject) => {
+        const { transport, options: opts } = proxiedRequestOptions(u, { method, headers });
+        const req = transport.request(opts, (res) => {
+            const chunks = [];
+            res.setTimeout(RUNTIME_CONFIG.readTimeoutMs, () => req.destroy(new Error(`Read timeout after ${RUNTIME_CONFIG.readTimeoutMs}ms`)));
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => {
+                resolve({
+                    status: res.statusCode || 0,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString('utf8')
+                });
+            });
+        });
+        req.setTimeout(RUNTIME_CONFIG.requestTimeoutMs, () => req.destroy(new Error(`Request timeout after ${RUNTIME_CONFIG.requestTimeoutMs}ms`)));
+        req.on('error', reject);
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+async function rawRequestWithRetry(urlStr, reqOpts = {}, verbose = () => { }) {
+    let lastErr = null;
+    for (let attempt = 1; attempt <= RUNTIME_CONFIG.retryAttempts; attempt++) {
+        try {
+            const r = await rawRequest(urlStr, reqOpts);
+            if (isRetriableStatus(r.status) && attempt < RUNTIME_CONFIG.retryAttempts) {
+                verbose(`[retry] ${reqOpts.method || 'GET'} ${urlStr} -> HTTP ${r.status} (attempt ${attempt}/${RUNTIME_CONFIG.retryAttempts})`);
+                await sleep(toBackoffMs(attempt));
+                continue;
+            }
+            return r;
+        } catch (err) {
+            lastErr = err;
+            if (attempt < RUNTIME_CONFIG.retryAttempts && isRetriableNetworkError(err)) {
+                verbose(`[retry] ${reqOpts.method || 'GET'} ${urlStr} -> ${err.message} (attempt ${attempt}/${RUNTIME_CONFIG.retryAttempts})`);
+                await sleep(toBackoffMs(attempt));
+                continue;
+            }
+            throw err;
+        }
+    }
+    throw lastErr || new Error('Raw request failed after retries');
+}
+
+async function loginWithCredentialsInline(email, password, verbose = () => { }) {
     if (!email || !password) {
         throw new Error(buildActionableError(
             'LOGIN_INPUT',
             'Email and password are required for login.',
-            'Set auth.email and auth.password in config.json, then retry with --force-login.'
+            `Set auth.email in config.json and ${AUTH_ENV.password} (or type the password when prompted), then retry with --force-login.`
         ));
     }
-    const store = new SimpleCookieStore();
+    const store = new CookieJar();
     const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125 Safari/537.36';
     // Helper small debug printer (always go through verbose)
     const dbg = (...a) => verbose('[login]', ...a);
@@ -734,8 +2193,8 @@ async function loginWithCredentialsInline(email, password, verbose = () => { })
             'User-Agent': UA,
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
         }
-    }, verbose);
-    store.applySetCookie(r.headers['set-cookie']);
+    }, verbose);
+    store.applySetCookie(r.headers['set-cookie'], `${ORIGIN}/accounts/login/`);
     let csrf = store.get('csrftoken') || null;
     if (!csrf) {
         // 0b. fallback: core-data json endpoint (sometimes returns csrf in body)
@@ -743,7 +2202,7 @@ async function loginWithCredentialsInline(email, password, verbose = () => { })
             method: 'GET',
             headers: { 'User-Agent': UA, 'Accept': 'application/json' }
         }, verbose);
-        store.applySetCookie(r2.headers['set-cookie']);
+        store.applySetCookie(r2.headers['set-cookie'], `${ORIGIN}/api/v1/general/core-data/`);
         try { const j2 = JSON.parse(r2.body); csrf = csrf || j2?.auth?.csrf || null; } catch { }
         if (!csrf) csrf = store.get('csrftoken') || null;
         dbg('Fallback core-data for CSRF status:', r2.status);
@@ -760,7 +2219,7 @@ async function loginWithCredentialsInline(email, password, verbose = () => { })
     }
     dbg('CSRF token:', csrf.slice(0, 8) + '...');
 
-    const cookieHeader = () => store.headerString();
+    const cookieHeader = (url) => store.cookieHeader(url);
     const baseHeaders = () => ({
         'User-Agent': UA,
         'Accept': 'application/json, text/javascript, */*; q=0.01',
@@ -779,16 +2238,17 @@ async function loginWithCredentialsInline(email, password, verbose = () => { })
     formCheck.append('tessera', email);
     // recaptcha sometimes optional; keep param but empty to mimic browser before token set
     formCheck.append('g-recaptcha-response', '');
-    r = await rawRequestWithRetry(`${ORIGIN}/api/v1/auth/check-active-user`, {
+    const checkUrl = `${ORIGIN}/api/v1/auth/check-active-user`;
+    r = await rawRequestWithRetry(checkUrl, {
         method: 'POST',
         headers: addCsrfHeaders({
             ...baseHeaders(),
             'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-            'Cookie': cookieHeader()
+            'Cookie': cookieHeader(checkUrl)
         }),
         body: formCheck.toString()
     }, verbose);
-    store.applySetCookie(r.headers['set-cookie']);
+    store.applySetCookie(r.headers['set-cookie'], checkUrl);
     if (r.status < 200 || r.status >= 300) {
         throw new Error(explainHttpFailure(r.status, 'Login step check-active-user'));
     }
@@ -826,16 +2286,17 @@ async function loginWithCredentialsInline(email, password, verbose = () => { })
     formLogin.append('hidden_username', email);
     formLogin.append('password', password);
     formLogin.append('g-recaptcha-response', '');
-    r = await rawRequestWithRetry(`${ORIGIN}/api/v1/auth/login-authentication`, {
+    const loginUrl = `${ORIGIN}/api/v1/auth/login-authentication`;
+    r = await rawRequestWithRetry(loginUrl, {
         method: 'POST',
         headers: addCsrfHeaders({
             ...baseHeaders(),
             'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-            'Cookie': cookieHeader()
+            'Cookie': cookieHeader(loginUrl)
         }),
         body: formLogin.toString()
     }, verbose);
-    store.applySetCookie(r.headers['set-cookie']);
+    store.applySetCookie(r.headers['set-cookie'], loginUrl);
     if (r.status < 200 || r.status >= 300) {
         throw new Error(explainHttpFailure(r.status, 'Login step login-authentication'));
     }
@@ -853,31 +2314,242 @@ async function loginWithCredentialsInline(email, password, verbose = () => { })
         throw new Error(buildActionableError(
             'LOGIN_AUTH_FAILED',
             `login-authentication failed (message=${jLogin.message}).`,
-            'Check auth.email/auth.password in config.json and retry with --force-login.'
+            `Check auth.email in config.json and the password (${AUTH_ENV.password} or the prompt), then retry with --force-login.`
         ));
     }
     dbg('login-authentication OK');
 
-    // Compose final cookie header (only what we need for reuse)
-    const sessionid = store.get('sessionid');
-    const csrftoken = store.get('csrftoken') || csrf;
-    if (!sessionid) {
+    // The login jar (sessionid, csrftoken and whatever else the site set) becomes the active one
+    if (!store.get('sessionid')) {
         throw new Error(buildActionableError(
             'LOGIN_COOKIE',
             'Session cookie (sessionid) is missing after login.',
             'Retry with --verbose. Server response/cookies may have changed.'
         ));
     }
-    ACTIVE_COOKIE = `csrftoken=${csrftoken}; sessionid=${sessionid}`;
-    dbg('ACTIVE_COOKIE prepared');
+    if (!store.get('csrftoken')) store.importHeader(`csrftoken=${csrf}`);
+    COOKIE_JAR = store;
+    dbg('Session cookies prepared');
+    return true;
+}
+
+// ===============
+// Credentials: the password comes from MKD_PASSWORD or a no-echo prompt; the session (and a password migrated
+// from an old config.json) lives in "<config dir>/.mkd-auth.json" with mode 0600, never in config.json.
+// With a passphrase the file is encrypted: scrypt(passphrase, salt) -> AES-256-GCM key.
+// ===============
+const DEFAULT_AUTH_STORE_FILE = '.mkd-auth.json';
+
+// Other origins get their own store, so a mirror or the fixture server never receives the real session or password
+function defaultAuthStoreFile(origin = ORIGIN) {
+    if (origin === DEFAULT_ORIGIN) return DEFAULT_AUTH_STORE_FILE;
+    return `.mkd-auth.${new URL(origin).host.replace(/[^\w.-]+/g, '_')}.json`;
+}
+const AUTH_STORE_VERSION = 1;
+const AUTH_ENV = { email: 'MKD_EMAIL', password: 'MKD_PASSWORD', passphrase: 'MKD_PASSPHRASE' };
+const AUTH_STORE_SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const scryptAsync = promisify(crypto.scrypt);
+
+// Ctrl+C in a raw-mode prompt or the picker: thrown rather than exiting, so a library caller keeps its process;
+// the CLI exits with the usual 130
+function promptCancelledError() {
+    const err = new Error(buildActionableError('CANCELLED', 'Cancelled with Ctrl+C.', 'Run the command again when ready.'));
+    err.exitCode = 130;
+    return err;
+}
+
+// No-echo terminal prompt (password / passphrase) on stderr; null when stdin is not a terminal
+function promptHidden(question) {
+    const input = process.stdin;
+    if (!input.isTTY || typeof input.setRawMode !== 'function') return Promise.resolve(null);
+    return new Promise((resolve, reject) => {
+        let value = '';
+        const finish = (result, error = null) => {
+            input.off('data', onData);
+            input.setRawMode(false);
+            input.pause();
+            process.stderr.write('\n');
+            if (error) reject(error);
+            else resolve(result);
+        };
+        const onData = (chunk) => {
+            for (const ch of String(chunk)) {
+                if (ch === '\r' || ch === '\n' || ch === '\u0004') return finish(value);
+                if (ch === '\u0003') return finish(null, promptCancelledError());
+                if (ch === '\u007f' || ch === '\b') value = value.slice(0, -1);
+                else if (ch >= ' ') value += ch;
+            }
+        };
+        process.stderr.write(question);
+        input.setRawMode(true);
+        input.setEncoding('utf8');
+        input.on('data', onData);
+        input.resume();
+    });
+}
+
+async function deriveAuthStoreKey(passphrase, salt, params = AUTH_STORE_SCRYPT) {
+    return scryptAsync(passphrase, salt, 32, { ...params, maxmem: 256 * params.N * params.r });
+}
+
+async function encryptAuthStore(payload, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', await deriveAuthStoreKey(passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return {
+        version: AUTH_STORE_VERSION,
+        encrypted: {
+            kdf: 'scrypt', ...AUTH_STORE_SCRYPT, cipher: 'aes-256-gcm',
+            salt: salt.toString('base64'), iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64')
+        }
+    };
+}
+
+async function decryptAuthStore(envelope, passphrase, file) {
+    const e = envelope.encrypted;
+    try {
+        const key = await deriveAuthStoreKey(passphrase, Buffer.from(e.salt, 'base64'), { N: e.N, r: e.r, p: e.p });
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(e.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(e.tag, 'base64'));
+        const text = Buffer.concat([decipher.update(Buffer.from(e.data, 'base64')), decipher.final()]).toString('utf8');
+        return JSON.parse(text);
+    } catch {
+        throw new Error(buildActionableError(
+            'AUTH_STORE_PASSPHRASE',
+            `Cannot decrypt ${file}: wrong passphrase or the file is damaged.`,
+            [`Check ${AUTH_ENV.passphrase} (or the passphrase you typed)`, `Or delete ${path.basename(file)} and log in again with --force-login`]
+        ));
+    }
+}
+
+// { email, password? (encrypted stores only), session: { cookies (Netscape text), updated } } in one 0600 file, optionally encrypted
+class AuthStore {
+    constructor(file, { encrypt = null } = {}) {
+        this.file = file;
+        // null: keep the file as it is (encrypted stays encrypted); plain files become encrypted when MKD_PASSPHRASE is set
+        this.encrypt = encrypt;
+        this.passphrase = null;
+        this.data = {};
+    }
+    async getPassphrase(action) {
+        if (this.passphrase) return this.passphrase;
+        const passphrase = process.env[AUTH_ENV.passphrase] || await promptHidden(`🔐 Passphrase to ${action} ${path.basename(this.file)}: `);
+        if (!passphrase) {
+            throw new Error(buildActionableError(
+                'AUTH_STORE_PASSPHRASE',
+                `${path.basename(this.file)} ${action === 'unlock' ? 'is' : 'is set to be'} encrypted and no passphrase is available.`,
+                [
+                    `Set ${AUTH_ENV.passphrase}, or run in a terminal to be prompted`,
+                    action === 'unlock' ? `Or delete ${path.basename(this.file)} and log in again with --force-login` : 'Or set auth.encryptStore to false in config.json'
+                ]
+            ));
+        }
+        this.passphrase = passphrase;
+        return passphrase;
+    }
+    async load() {
+        if (!fs.existsSync(this.file)) return this.data;
+        let envelope = null;
+        try { envelope = JSON.parse(fs.readFileSync(this.file, 'utf8')); } catch { }
+        if (!envelope || typeof envelope !== 'object') {
+            logWarn(`Ignoring unreadable ${this.file}; a new one is written after the next login.`);
+            return this.data;
+        }
+        if (envelope.encrypted) {
+            if (this.encrypt === null) this.encrypt = true;
+            this.data = await decryptAuthStore(envelope, await this.getPassphrase('unlock'), this.file);
+        } else {
+            this.data = envelope.data && typeof envelope.data === 'object' ? envelope.data : {};
+        }
+        try { fs.chmodSync(this.file, 0o600); } catch { }
+        return this.data;
+    }
+    // Whether save() writes the encrypted form
+    get encrypted() {
+        return this.encrypt ?? !!process.env[AUTH_ENV.passphrase];
+    }
+    async save() {
+        const body = this.encrypted
+            ? await encryptAuthStore(this.data, await this.getPassphrase('encrypt'))
+            : { version: AUTH_STORE_VERSION, data: this.data };
+        const tmp = `${this.file}.tmp`;
+        try {
+            await fs.promises.writeFile(tmp, JSON.stringify(body, null, 2), { encoding: 'utf8', mode: 0o600 });
+            await fs.promises.rename(tmp, this.file);
+            try { fs.chmodSync(this.file, 0o600); } catch { }
+            return true;
+        } catch (e) {
+            logWarn(`Could not write ${this.file}: ${e.message}`);
+            return false;
+        }
+    }
+    // Stored session as a jar (null when there is none)
+    sessionJar() {
+        const text = this.data.session?.cookies;
+        if (!text) return null;
+        const jar = new CookieJar();
+        jar.importNetscape(text);
+        jar.changed = false;
+        return jar.size > 0 ? jar : null;
+    }
+    async saveSession(jar, email) {
+        this.data.session = { cookies: jar.toNetscape(), updated: new Date().toISOString() };
+        if (email) this.data.email = email;
+        jar.changed = false;
+        return this.save();
+    }
+}
+
+// auth.storeFile is relative to the config file; auth.encryptStore: true/false forces (or disables) encryption
+async function openAuthStore(config, configPath) {
+    const authCfg = (config.auth && typeof config.auth === 'object') ? config.auth : {};
+    const file = path.resolve(path.dirname(configPath), String(authCfg.storeFile || defaultAuthStoreFile()));
+    const store = new AuthStore(file, { encrypt: typeof authCfg.encryptStore === 'boolean' ? authCfg.encryptStore : null });
+    await store.load();
+    // Credentials left in config.json belong to the real site
+    if (ORIGIN === DEFAULT_ORIGIN) await migrateConfigCredentials(config, configPath, store);
+    return store;
+}
+
+// Older setups kept auth.password / auth.sessionCookie in config.json: move the session into the store, then strip
+// both. The password only moves into an encrypted store; otherwise it is dropped and comes from MKD_PASSWORD / the prompt.
+async function migrateConfigCredentials(config, configPath, store) {
+    const authCfg = config.auth;
+    if (!authCfg || typeof authCfg !== 'object') return false;
+    const moved = [];
+    const password = String(authCfg.password || '').trim();
+    const dropPassword = !!password && !store.encrypted;
+    if (password && !dropPassword) {
+        store.data.password = password;
+        moved.push('auth.password');
+    }
+    const sessionCookie = String(authCfg.sessionCookie || '').trim();
+    if (sessionCookie) {
+        if (!store.data.session) {
+            const jar = new CookieJar();
+            jar.importHeader(sessionCookie);
+            store.data.session = { cookies: jar.toNetscape(), updated: authCfg.sessionUpdated || new Date().toISOString() };
+        }
+        moved.push('auth.sessionCookie');
+    }
+    if (moved.length === 0 && !dropPassword) return false;
+    if (String(authCfg.email || '').trim()) store.data.email = String(authCfg.email).trim();
+    // Store first, so a failed write never loses the values
+    if (moved.length > 0 && !await store.save()) return false;
+    for (const k of ['password', 'sessionCookie', 'sessionUpdated']) delete authCfg[k];
+    if (await saveConfigFile(configPath, config)) {
+        if (moved.length > 0) logInfo(`Moved ${moved.join(' and ')} out of ${path.basename(configPath)} into ${path.basename(store.file)} (mode 0600${store.encrypted ? ', encrypted' : ''})`);
+        if (dropPassword) logWarn(`Removed auth.password from ${path.basename(configPath)}; passwords are not stored in plain text. Use ${AUTH_ENV.password} or type it when prompted (or turn on auth.encryptStore).`);
+    }
     return true;
 }
 
-async function prepareSession({ userEmail, userPassword, verbose, courseUrl, forceLogin, config, configPath }) {
-    // Helper to verify current ACTIVE_COOKIE by calling core-data
+async function prepareSession({ userEmail, userPassword, verbose, courseUrl, forceLogin, authStore }) {
+    // Helper to verify the current session cookies by calling core-data
     const verify = async () => {
         try {
-            if (!ACTIVE_COOKIE) return null;
+            if (!activeCookieHeader()) return null;
             verbose('Verifying existing session cookie...');
             const core = await fetchCoreData(courseUrl || ORIGIN);
             const ok = !!core?.auth?.details?.is_authenticated;
@@ -893,12 +2565,12 @@ async function prepareSession({ userEmail, userPassword, verbose, courseUrl, for
         }
     };
 
-    const authCfg = (config.auth && typeof config.auth === 'object') ? config.auth : (config.auth = {});
-    const storedSessionCookie = String(authCfg.sessionCookie || '').trim();
+    const storedSession = authStore.sessionJar();
+    const storeName = path.basename(authStore.file);
 
     // 1. Explicit cookie override from config has highest priority
+    // (already in COOKIE_JAR: the client loads auth.cookie / cookies.txt on activate)
     if (COOKIE && COOKIE !== 'PUT_YOUR_COOKIE_HERE') {
-        ACTIVE_COOKIE = COOKIE;
         verbose('Using cookie from config override');
         const core = await verify();
         if (core) return { core, source: 'config-cookie' };
@@ -907,41 +2579,41 @@ async function prepareSession({ userEmail, userPassword, verbose, courseUrl, for
         }
     }
 
-    // 2. Reuse session persisted in config.auth.sessionCookie
-    if (storedSessionCookie && !forceLogin) {
-        ACTIVE_COOKIE = storedSessionCookie;
-        logStep('Loaded stored session from config.auth.sessionCookie');
+    // 2. Reuse the session persisted in the auth store
+    if (storedSession && !forceLogin) {
+        setActiveCookie(storedSession);
+        logStep(`Loaded stored session from ${storeName}`);
         const core = await verify();
-        if (core) return { core, source: 'config-session' };
-        logWarn('Stored config session is invalid; will attempt fresh login.');
-        ACTIVE_COOKIE = null;
+        if (core) return { core, source: 'stored-session' };
+        logWarn('Stored session is invalid; will attempt fresh login.');
+        setActiveCookie(null);
     }
 
-    // 3. Login with credentials and persist session back into config
-    if (userEmail && userPassword && (!ACTIVE_COOKIE || forceLogin)) {
+    // 3. Login with credentials (password from MKD_PASSWORD / the store, else a no-echo prompt) and store the session
+    if (userEmail && (!activeCookieHeader() || forceLogin)) {
         try {
+            const password = userPassword || await promptHidden(`🔑 Password for ${userEmail}: `);
+            if (!password) throw new Error(`no password (set ${AUTH_ENV.password} or run in a terminal to be prompted)`);
             logStep('Attempting login for ' + userEmail.trim().toLowerCase());
-            await loginWithCredentialsInline(userEmail, userPassword, verbose);
-            if (ACTIVE_COOKIE) {
-                authCfg.sessionCookie = ACTIVE_COOKIE;
-                authCfg.sessionUpdated = new Date().toISOString();
-                await saveConfigFile(configPath, config);
-                logSuccess('Login success; session saved to config.auth.sessionCookie');
+            await loginWithCredentialsInline(userEmail, password, verbose);
+            if (activeCookieHeader() && await authStore.saveSession(COOKIE_JAR, userEmail)) {
+                logSuccess(`Login success; session saved to ${storeName}`);
             }
             const core = await verify();
             if (core) return { core, source: 'fresh-login' };
         } catch (e) {
+            if (e?.exitCode === 130) throw e; // Ctrl+C at the password / passphrase prompt
             logWarn('Inline login failed: ' + e.message);
         }
     }
 
-    // 4. If we reach here, maybe we still have ACTIVE_COOKIE but verification failed or no cookie
-    if (!ACTIVE_COOKIE) {
+    // 4. If we reach here, maybe we still have a cookie but verification failed, or no cookie at all
+    if (!activeCookieHeader()) {
         logWarn(buildActionableError(
             'SESSION_INVALID',
-            'No usable session found in config, or stored session is expired.',
+            'No usable session found, or the stored session is expired.',
             [
-                'Set auth.email and auth.password in config.json',
+                `Set auth.email in config.json and ${AUTH_ENV.password} (or type the password when prompted)`,
                 `Then run: node download.mjs "${trimUrlForHint(courseUrl)}" --force-login`
             ]
         ));
@@ -949,49 +2621,350 @@ async function prepareSession({ userEmail, userPassword, verbose, courseUrl, for
     return { core: null, source: 'none' };
 }
 
-// Extract <track ... src="..."> subtitle URLs from lecture HTML.
-function extractSubtitleLinks(html) {
-    const results = new Set();
-    if (!html) return [];
-    const re = /<track\b[^>]*?src=["']([^"'>]+)["'][^>]*>/gim;
-    let m;
-    while ((m = re.exec(html)) !== null) {
-        const raw = m[1];
-        const url = decodeHtmlEntities(raw);
-        if (url) results.add(url);
+// Extract <track> subtitle entries from lecture HTML (or its parsed tree): [{ url, srclang, label, kind }].
+function extractSubtitleLinks(htmlOrRoot) {
+    const results = [];
+    const seen = new Set();
+    for (const node of walkHtmlTree(htmlRootOf(htmlOrRoot))) {
+        if (node.name !== 'track') continue;
+        const attrs = node.attrs;
+        const url = mediaAttr(node);
+        if (!url || seen.has(url)) continue;
+        seen.add(url);
+        results.push({
+            url,
+            srclang: (attrs.srclang || '').trim(),
+            label: (attrs.label || '').trim(),
+            kind: (attrs.kind || 'subtitles').trim().toLowerCase()
+        });
     }
-    return Array.from(results);
+    return results;
 }
 
-// Transform stream to limit to first N bytes and optionally signal upstream.
-class ByteLimit extends Transform {
-    // Limits the stream to the first `limit` bytes, then signals upstream to stop.
-    constructor(limit, onLimit) { super(); this.limit = limit; this.seen = 0; this._hit = false; this._onLimit = onLimit; }
-    _transform(chunk, enc, cb) {
-        if (this.limit <= 0) { this.push(chunk); return cb(); }
-        const remaining = this.limit - this.seen;
-        if (remaining <= 0) { return cb(); }
-        const buf = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
-        this.push(buf);
-        this.seen += buf.length;
-        if (!this._hit && this.seen >= this.limit) {
-            this.end();
-            this._hit = true;
-            if (typeof this._onLimit === 'function') {
-                try { this._onLimit(); } catch { }
-            }
-        }
-        cb();
-    }
+const SUBTITLE_FORMATS = ['vtt', 'srt', 'both'];
+const DEFAULT_SUBTITLE_FORMAT = 'vtt';
+// Track labels seen without srclang, mapped to a language tag.
+const SUBTITLE_LABEL_LANGS = [
+    [/^(fa|fas|per|persian|farsi|فارسی|پارسی)$/i, 'fa'],
+    [/^(en|eng|english|انگلیسی)$/i, 'en'],
+    [/^(ar|ara|arabic|عربی)$/i, 'ar']
+];
+
+// Best-effort language tag for a track: srclang, then a known label, then a ".xx." / "_xx." hint in the file name.
+function subtitleLanguageTag(track) {
+    const clean = (s) => String(s || '').toLowerCase().replace(/_/g, '-').replace(/[^a-z0-9-]/g, '').slice(0, 12);
+    if (clean(track.srclang)) return clean(track.srclang);
+    const label = String(track.label || '').trim();
+    for (const [re, lang] of SUBTITLE_LABEL_LANGS) if (re.test(label)) return lang;
+    let base = '';
+    try { base = path.basename(new URL(track.url, ORIGIN).pathname); } catch { }
+    const hint = base.match(/[._-]([a-z]{2,3})\.(?:vtt|srt)$/i);
+    if (hint && SUBTITLE_LABEL_LANGS.some(([re]) => re.test(hint[1]))) return hint[1].toLowerCase();
+    return '';
 }
 
-// Download a URL to a file (with retries). If sampleBytes > 0, request a Range and also enforce a local limit.
-// label: optional display name to show in the progress line (e.g., final file name)
-async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFIG.retryAttempts, sampleBytes = 0, label = '') {
-    // Skip if already exists with non-zero size
+// Assign a file name per track: "<base>.<lang>[.<kind>].<ext>". A single untagged track keeps the plain "<base>.<ext>".
+function planSubtitleFiles(tracks, videoBaseNoExt) {
+    const used = new Set();
+    return tracks.map((track, i) => {
+        let ext = '.vtt';
+        try { ext = path.extname(new URL(track.url, ORIGIN).pathname).toLowerCase() || '.vtt'; } catch { }
+        const lang = subtitleLanguageTag(track);
+        const parts = [];
+        if (lang) parts.push(lang);
+        else if (tracks.length > 1) parts.push(String(i + 1));
+        if (track.kind && track.kind !== 'subtitles' && track.kind !== 'captions') parts.push(sanitizeName(track.kind));
+        let tag = parts.length ? `.${parts.join('.')}` : '';
+        for (let n = 2; used.has(tag); n++) tag = `.${[`${lang || i + 1}-${n}`, ...parts.slice(1)].join('.')}`;
+        used.add(tag);
+        return { ...track, lang, ext, fileName: `${videoBaseNoExt}${tag}${ext}` };
+    });
+}
+
+// "00:01.500" / "00:00:01.500" -> "00:00:01,500"
+function vttTimestampToSrt(ts) {
+    const m = String(ts).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+    if (!m) return null;
+    const pad = (v, n) => String(v || 0).padStart(n, '0');
+    return `${pad(m[1], 2)}:${pad(m[2], 2)}:${pad(m[3], 2)},${String(m[4] || '0').padEnd(3, '0')}`;
+}
+
+// Convert WebVTT text to SubRip. Header, NOTE/STYLE/REGION blocks, cue settings and non-SRT tags are dropped.
+function convertVttToSrt(vttText) {
+    const blocks = String(vttText || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const cues = [];
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(l => l.trim() !== '');
+        const timingIndex = lines.findIndex(l => l.includes('-->'));
+        if (timingIndex < 0) continue; // WEBVTT header, NOTE, STYLE, REGION
+        const [startRaw, rest = ''] = lines[timingIndex].split('-->');
+        const start = vttTimestampToSrt(startRaw);
+        const end = vttTimestampToSrt(rest.trim().split(/\s+/)[0]);
+        if (!start || !end) continue;
+        const text = lines.slice(timingIndex + 1)
+            .map(l => l.replace(/<(?!\/?[biu]>)[^>]*>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' '))
+            .join('\n');
+        cues.push(`${cues.length + 1}\n${start} --> ${end}\n${text}\n`);
+    }
+    return cues.join('\n');
+}
+
+// --- Bandwidth limiting ---
+
+// "2M", "500k", "1.5MB/s", "800000" -> bytes per second (binary units, like curl). Empty/0 -> 0 (unlimited).
+function parseRateLimit(value) {
+    const text = String(value ?? '').trim();
+    if (!text || text === '0') return 0;
+    const m = text.match(/^(\d+(?:\.\d+)?)\s*([kmg]?)(?:i?b)?(?:\/s)?$/i);
+    if (!m) {
+        throw new Error(buildActionableError(
+            'RATE_FORMAT',
+            `Invalid --limit-rate value: ${text}`,
+            'Use bytes per second with an optional k/M/G suffix, e.g. --limit-rate 500k or --limit-rate 2M'
+        ));
+    }
+    const factor = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[m[2].toLowerCase()];
+    return Math.max(1, Math.round(Number(m[1]) * factor));
+}
+
+// "22:00-07:00,12:30-13:30" -> [{ from, to }] in minutes of the day; windows may wrap past midnight
+// and "00:00-24:00" covers the whole day.
+function parseRateSchedule(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return [];
+    const toMinutes = (hhmm) => {
+        const m = String(hhmm).trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+        if (!m || Number(m[1]) > 24 || Number(m[2] || 0) > 59) return null;
+        return (Number(m[1]) * 60 + Number(m[2] || 0)) % (24 * 60);
+    };
+    return text.split(',').map(part => {
+        const [fromText, toText] = part.split('-');
+        const from = toMinutes(fromText);
+        const to = toMinutes(toText ?? '');
+        if (from === null || to === null) {
+            throw new Error(buildActionableError(
+                'RATE_SCHEDULE',
+                `Invalid --unlimited-hours window: ${part.trim()}`,
+                'Use local HH:MM-HH:MM windows, comma separated, e.g. --unlimited-hours 22:00-07:00'
+            ));
+        }
+        return { from, to };
+    });
+}
+
+function isWithinSchedule(windows, date = new Date()) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    return windows.some(({ from, to }) => from === to || (from < to ? (now >= from && now < to) : (now >= from || now < to)));
+}
+
+// Token bucket shared by every transfer; callers queue in order so concurrent streams split the rate fairly.
+// Burst capacity is one second worth of bytes. Outside the unlimited windows nothing is delayed.
+class RateLimiter {
+    constructor(bytesPerSecond, unlimitedWindows = []) {
+        this.rate = bytesPerSecond;
+        this.windows = unlimitedWindows;
+        this.tokens = bytesPerSecond;
+        this.last = Date.now();
+        this._queue = Promise.resolve();
+    }
+    isLimiting(date = new Date()) { return this.rate > 0 && !isWithinSchedule(this.windows, date); }
+    take(bytes) {
+        const next = this._queue.then(() => this._take(bytes));
+        this._queue = next.catch(() => { });
+        return next;
+    }
+    async _take(bytes) {
+        for (; ;) {
+            const now = Date.now();
+            this.tokens = Math.min(this.rate, this.tokens + (now - this.last) / 1000 * this.rate);
+            this.last = now;
+            if (!this.isLimiting()) { this.tokens = this.rate; return; }
+            if (this.tokens > 0) { this.tokens -= bytes; return; }
+            // Re-check at least every second so a schedule window opening mid-wait takes effect.
+            await sleep(Math.min(1000, Math.max(10, Math.ceil(-this.tokens / this.rate * 1000))));
+        }
+    }
+}
+
+let RATE_LIMITER = null;
+
+// Pipeline stage(s) that pace chunks through the global limiter; empty when no limit is configured.
+function rateLimitStages() {
+    if (!RATE_LIMITER) return [];
+    const limiter = RATE_LIMITER;
+    return [new Transform({
+        transform(chunk, _enc, cb) { limiter.take(chunk.length).then(() => cb(null, chunk), cb); }
+    })];
+}
+
+// Transform stream to limit to first N bytes and optionally signal upstream.
+class ByteLimit extends Transform {
+    // Limits the stream to the first `limit` bytes, then signals upstream to stop.
+    constructor(limit, onLimit) { super(); this.limit = limit; this.seen = 0; this._hit = false; this._onLimit = onLimit; }
+    _transform(chunk, enc, cb) {
+        if (this.limit <= 0) { this.push(chunk); return cb(); }
+        const remaining = this.limit - this.seen;
+        if (remaining <= 0) { return cb(); }
+        const buf = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+        this.push(buf);
+        this.seen += buf.length;
+        if (!this._hit && this.seen >= this.limit) {
+            this.end();
+            this._hit = true;
+            if (typeof this._onLimit === 'function') {
+                try { this._onLimit(); } catch { }
+            }
+        }
+        cb();
+    }
+}
+
+// --- Integrity checks ---
+
+function integrityError(code, message, retriable = false) {
+    const err = new Error(`[${code}] ${message}`);
+    err.code = code;
+    err.retriable = retriable;
+    return err;
+}
+
+function shouldCheckMp4Structure(filePath) {
+    return /\.mp4$/i.test(filePath) && !/\.sample\.mp4$/i.test(filePath);
+}
+
+// Walk top-level MP4 boxes and confirm the file holds a complete ftyp/moov/mdat layout.
+// Only box headers are read, so this is cheap even for multi-GB files.
+async function inspectMp4Structure(filePath) {
+    const fh = await fs.promises.open(filePath, 'r');
+    try {
+        const { size: fileSize } = await fh.stat();
+        const header = Buffer.alloc(16);
+        const boxes = [];
+        let offset = 0;
+        while (offset < fileSize) {
+            if (fileSize - offset < 8) {
+                return { ok: false, reason: `${fileSize - offset} trailing byte(s) after last box`, boxes };
+            }
+            const { bytesRead } = await fh.read(header, 0, 16, offset);
+            const type = header.toString('latin1', 4, 8);
+            let boxSize = header.readUInt32BE(0);
+            let headerSize = 8;
+            if (boxSize === 1) {
+                if (bytesRead < 16) return { ok: false, reason: `'${type}' box header is truncated`, boxes };
+                boxSize = Number(header.readBigUInt64BE(8));
+                headerSize = 16;
+            } else if (boxSize === 0) {
+                boxSize = fileSize - offset; // box runs to end of file
+            }
+            if (!/^[\x20-\x7e]{4}$/.test(type) || boxSize < headerSize) {
+                return { ok: false, reason: boxes.length === 0 ? 'Not an MP4 container' : `Invalid box at offset ${offset}`, boxes };
+            }
+            if (offset + boxSize > fileSize) {
+                return { ok: false, reason: `'${type}' box is truncated (${fileSize - offset}/${boxSize} bytes)`, boxes };
+            }
+            boxes.push(type);
+            offset += boxSize;
+        }
+        for (const required of ['ftyp', 'moov', 'mdat']) {
+            if (!boxes.includes(required)) return { ok: false, reason: `Missing '${required}' box`, boxes };
+        }
+        return { ok: true, reason: null, boxes };
+    } finally {
+        await fh.close();
+    }
+}
+
+// MPEG-TS is a run of 188-byte packets that each start with the 0x47 sync byte; sample the first, middle and last one.
+async function inspectTsStructure(filePath) {
+    const fh = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await fh.stat();
+        if (size % 188 !== 0) return { ok: false, reason: `${size % 188} trailing byte(s) after the last 188-byte packet` };
+        const packets = size / 188;
+        const sync = Buffer.alloc(1);
+        for (const packet of [0, Math.floor(packets / 2), packets - 1]) {
+            await fh.read(sync, 0, 1, packet * 188);
+            if (sync[0] !== 0x47) return { ok: false, reason: packet === 0 ? 'Not an MPEG-TS stream' : `Lost sync at packet ${packet}` };
+        }
+        return { ok: true, reason: null };
+    } finally {
+        await fh.close();
+    }
+}
+
+// Check a finished file: byte count against the expected total (when known) and MP4 structure for videos.
+// `structureOf` is the final file name, used to decide whether the MP4 check applies; `mpegTs` marks a joined HLS stream.
+async function verifyDownloadedFile(filePath, { expectedSize, structureOf = filePath, mpegTs = false } = {}) {
+    const problems = [];
+    let size = 0;
+    try { size = (await fs.promises.stat(filePath)).size; } catch (e) {
+        return { ok: false, size: 0, problems: [`Cannot read file: ${e.message}`] };
+    }
+    if (size === 0) problems.push('File is empty');
+    if (Number.isFinite(expectedSize) && expectedSize > 0 && size !== expectedSize) {
+        problems.push(`Size mismatch (${size}/${expectedSize} bytes)`);
+    }
+    if (size > 0 && shouldCheckMp4Structure(structureOf)) {
+        try {
+            const mp4 = await inspectMp4Structure(filePath);
+            if (!mp4.ok) problems.push(`MP4 check failed: ${mp4.reason}`);
+        } catch (e) {
+            problems.push(`MP4 check failed: ${e.message}`);
+        }
+    }
+    if (size > 0 && mpegTs) {
+        try {
+            const ts = await inspectTsStructure(filePath);
+            if (!ts.ok) problems.push(`MPEG-TS check failed: ${ts.reason}`);
+        } catch (e) {
+            problems.push(`MPEG-TS check failed: ${e.message}`);
+        }
+    }
+    return { ok: problems.length === 0, size, problems };
+}
+
+// Run post-download checks on the temp file; throws before it is renamed into place.
+async function assertDownloadIntegrity(tmpPath, filePath, expectedSize, { mpegTs = false } = {}) {
+    if (!RUNTIME_CONFIG.verifyDownloads) return;
+    let size = 0;
+    try { size = (await fs.promises.stat(tmpPath)).size; } catch { }
+    if (Number.isFinite(expectedSize) && expectedSize > 0 && size < expectedSize) {
+        // Keep the .part file: the next attempt resumes from here
+        throw integrityError('INTEGRITY_SIZE', `Incomplete download of ${path.basename(filePath)} (${size}/${expectedSize} bytes).`, true);
+    }
+    const result = await verifyDownloadedFile(tmpPath, { expectedSize, structureOf: filePath, mpegTs });
+    if (!result.ok) {
+        try { await fs.promises.unlink(tmpPath); } catch { }
+        throw integrityError('INTEGRITY_CHECK', `${path.basename(filePath)} failed verification: ${result.problems.join('; ')}`);
+    }
+}
+
+// Download `url` to `filePath` and report file-start/done/skip/fail events for --json.
+async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFIG.retryAttempts, sampleBytes = 0, label = '') {
+    emitEvent('file-start', { file: filePath, url });
+    try {
+        const status = await transferToFile(url, filePath, referer, maxRetries, sampleBytes, label);
+        let bytes = null;
+        try { bytes = fs.statSync(filePath).size; } catch { }
+        if (status === 'exists') emitEvent('file-skip', { file: filePath, reason: 'exists', bytes });
+        else emitEvent('file-done', { file: filePath, bytes });
+        return status;
+    } catch (err) {
+        emitEvent('file-fail', { file: filePath, url, code: errorCodeOf(err), message: err.message });
+        throw err;
+    }
+}
+
+// Download a URL to a file (with retries). If sampleBytes > 0, request a Range and also enforce a local limit.
+// label: optional display name to show in the progress line (e.g., final file name)
+async function transferToFile(url, filePath, referer, maxRetries, sampleBytes, label) {
+    // Skip if already exists with non-zero size
     let existingFinalSize = 0;
     try { const stat = fs.statSync(filePath); existingFinalSize = stat.size; if (existingFinalSize > 0 && sampleBytes > 0) return 'exists'; } catch { }
     const tmpPath = filePath + '.part';
+    // Inline \r progress bars only make sense when a single transfer owns the terminal line
+    const showProgress = RUNTIME_CONFIG.concurrency <= 1 && !JSON_EVENTS;
+    const endProgressLine = () => { if (showProgress) printRaw('\n'); };
     let existingTmpSize = 0;
     try { const stat = fs.statSync(tmpPath); existingTmpSize = stat.size; } catch { }
 
@@ -1004,7 +2977,23 @@ async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFI
         }
     }
 
+    // Segmented mode: large full downloads are split into parallel Range requests.
+    // An existing segment plan always wins so interrupted segmented downloads resume as such.
+    const hasSegmentPlan = fs.existsSync(`${filePath}.segments.json`);
+    if (sampleBytes === 0 && existingFinalSize === 0 && (hasSegmentPlan || (RUNTIME_CONFIG.segments > 1 && existingTmpSize === 0))) {
+        if (!remoteInfo) remoteInfo = await getRemoteSizeAndRanges(url, referer);
+        if (remoteInfo.acceptRanges && remoteInfo.size && (hasSegmentPlan || remoteInfo.size >= RUNTIME_CONFIG.segmentMinBytes)) {
+            return downloadSegmentedToFile(url, filePath, referer, {
+                totalSize: remoteInfo.size,
+                segmentCount: RUNTIME_CONFIG.segments,
+                maxRetries,
+                label
+            });
+        }
+    }
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let releaseAbort = () => { };
         try {
             // Decide resume offset
             let resumeOffset = 0;
@@ -1035,14 +3024,21 @@ async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFI
             }
 
             const controller = new AbortController();
-            const to = setTimeout(() => controller.abort(), RUNTIME_CONFIG.requestTimeoutMs);
-            const res = await fetch(url, { ...requestInit, signal: controller.signal });
-            if (!res.ok || !res.body) throw new Error(explainHttpFailure(res.status, 'Download'));
+            const to = setTimeout(() => controller.abort(), RUNTIME_CONFIG.requestTimeoutMs);
+            releaseAbort = linkAbortSignal(controller);
+            let res;
+            try {
+                res = await httpFetch(url, { ...requestInit, signal: controller.signal });
+            } finally {
+                // requestTimeoutMs covers the wait for headers only; the body is watched by the read-idle timer,
+                // so a transfer slowed down by --limit-rate may take as long as it needs
+                clearTimeout(to);
+            }
+            if (!res.ok || !res.body) throw new Error(explainHttpFailure(res.status, 'Download'));
             if (resumeOffset > 0 && res.status !== 206) {
                 // Server didn't honor Range; restart from 0
                 try { await fs.promises.unlink(tmpPath); } catch { }
                 existingTmpSize = 0; resumeOffset = 0;
-                clearTimeout(to);
                 throw new Error('Server did not honor range; restarting from 0');
             }
 
@@ -1072,39 +3068,13 @@ async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFI
             let downloadedBytes = resumeOffset;
             const startedAt = Date.now();
 
-            // Progress render helper
-            const truncate = (s, max = 70) => {
-                if (!s) return '';
-                const str = String(s);
-                return str.length > max ? str.slice(0, max - 1) + '…' : str;
-            };
-            const render = (final = false) => {
-                const elapsedSec = Math.max(0.001, (Date.now() - startedAt) / 1000);
-                const speed = downloadedBytes / elapsedSec;
-                // clamp bytes to expected total when finalizing or very close (to avoid 99.9% stuck)
-                let shownDownloaded = downloadedBytes;
-                if (expectedTotal && (final || downloadedBytes > expectedTotal)) {
-                    // Tolerate tiny overflow due to headers/rounding
-                    const overflow = downloadedBytes - expectedTotal;
-                    if (overflow <= 65536) shownDownloaded = expectedTotal;
-                }
-                // Decide ratio; if final, force full bar
-                let ratio = 0;
-                if (final) {
-                    ratio = 1;
-                } else if (expectedTotal) {
-                    ratio = (shownDownloaded / expectedTotal);
-                } else {
-                    ratio = 0; // unknown total
-                }
-                const bar = buildProgressBar(ratio);
-                const pct = final ? '100.0%' : (expectedTotal ? `${(Math.min(1, ratio) * 100).toFixed(1)}%` : '--%');
-                const sizeStr = `${formatBytes(shownDownloaded)}${expectedTotal ? ' / ' + formatBytes(expectedTotal) : ''}`;
-                const name = label ? `  -  ${truncate(label, 80)}` : '';
-                const line = `  ⬇️  [${bar}] ${pct}  ${sizeStr}  ${formatSpeed(speed)}${name}`;
-                process.stdout.write(`\r${line}`);
-            };
-
+            // Progress render helper
+            const render = (final = false) => {
+                emitFileProgress(filePath, downloadedBytes, expectedTotal, final);
+                if (!showProgress) return;
+                renderDownloadProgress({ downloadedBytes, expectedTotal, startedAt, label, final });
+            };
+
             // Counting transform
             const counter = new Transform({
                 transform(chunk, _enc, cb) {
@@ -1123,14 +3093,13 @@ async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFI
                         try { readable.destroy(new Error('byte-limit')); } catch { }
                         try { controller.abort(); } catch { }
                     });
-                    await pipeline(readable, counter, limiter, write);
+                    await pipeline(readable, counter, ...rateLimitStages(), limiter, write);
                 } else {
-                    await pipeline(readable, counter, write);
+                    await pipeline(readable, counter, ...rateLimitStages(), write);
                 }
             } catch (pipeErr) {
-                if (sampleBytes && byteLimitReached) {
-                    try { clearTimeout(to); } catch { }
-                    try { render(true); process.stdout.write('\n'); } catch { }
+                if (sampleBytes && byteLimitReached) {
+                    try { render(true); endProgressLine(); } catch { }
                     try {
                         await fs.promises.rename(tmpPath, filePath);
                     } catch (e) {
@@ -1140,14 +3109,15 @@ async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFI
                     return 'downloaded';
                 }
                 throw pipeErr;
-            } finally {
-                clearTimeout(to);
-                if (readIdleTimer) clearTimeout(readIdleTimer);
+            } finally {
+                if (readIdleTimer) clearTimeout(readIdleTimer);
             }
 
             // finalize progress bar to 100%
             try { render(true); } catch { }
-            process.stdout.write('\n');
+            endProgressLine();
+            // Sample downloads are cut short on purpose; only full downloads get the size check
+            await assertDownloadIntegrity(tmpPath, filePath, sampleBytes > 0 ? undefined : expectedTotal);
             try {
                 await fs.promises.rename(tmpPath, filePath);
             } catch (e) {
@@ -1156,195 +3126,2845 @@ async function downloadToFile(url, filePath, referer, maxRetries = RUNTIME_CONFI
             try { await fs.promises.unlink(tmpPath); } catch { }
             return 'downloaded';
             } catch (err) {
-                try { process.stdout.write('\n'); } catch { }
+                try { endProgressLine(); } catch { }
                 // Keep .part file for future resume; do not delete on error
-            const retryable = isRetriableNetworkError(err) || /HTTP (408|425|429|5\d\d)/.test(String(err?.message || ''));
-            if (attempt < maxRetries && retryable) {
+            if (attempt < maxRetries && isRetriableDownloadError(err)) {
                 logWarn(`Retry ${attempt}/${maxRetries} for ${path.basename(filePath)} after error: ${err.message}`);
+                // Continue from what reached the .part file instead of starting over
+                try { existingTmpSize = fs.statSync(tmpPath).size; } catch { existingTmpSize = 0; }
                 await sleep(toBackoffMs(attempt));
                 continue;
             }
             throw err;
+        } finally {
+            releaseAbort();
         }
     }
 }
 
-function toAbsoluteUrl(url, base = ORIGIN) {
-    try { return new URL(url, base).toString(); } catch { return url; }
+// Split [0, totalSize) into `count` contiguous inclusive byte ranges.
+function splitByteRanges(totalSize, count) {
+    const n = Math.max(1, Math.min(count, totalSize));
+    const chunk = Math.ceil(totalSize / n);
+    const ranges = [];
+    for (let start = 0; start < totalSize; start += chunk) {
+        ranges.push({ start, end: Math.min(totalSize, start + chunk) - 1 });
+    }
+    return ranges;
 }
-
-async function main() {
-    const argv = process.argv.slice(2);
-    const configArgPath = discoverConfigPath(argv);
-    const { config, configPath } = loadConfigFile(configArgPath);
-    const runtimeCfg = (config.runtime && typeof config.runtime === 'object') ? config.runtime : {};
-    const defaultsCfg = (config.defaults && typeof config.defaults === 'object') ? config.defaults : {};
-    const authCfg = (config.auth && typeof config.auth === 'object') ? config.auth : {};
-    const courseCfg = (config.course && typeof config.course === 'object') ? config.course : {};
-    const parserDefaults = {
-        sampleBytes: runtimeCfg.sampleBytes ?? defaultsCfg.sampleBytes ?? 0,
-        verbose: defaultsCfg.verbose ?? false,
-        dryRun: defaultsCfg.dryRun ?? false,
-        chapter: defaultsCfg.chapter ?? null,
-        lesson: defaultsCfg.lesson ?? null,
-        forceLogin: defaultsCfg.forceLogin ?? false
-    };
-    const {
-        inputCourseRef, sampleBytesToDownload, isVerboseLoggingEnabled, isDryRun, forceLogin, selectedChapters, selectedLessons
-    } = parseCLI(parserDefaults, configPath);
-    LOGIN_EMAIL = String(authCfg.email || '').trim();
-    LOGIN_PASSWORD = String(authCfg.password || '').trim();
-    if (authCfg.cookie && String(authCfg.cookie).trim()) {
-        COOKIE = String(authCfg.cookie).trim();
-    } else if (authCfg.cookieFile) {
-        try { COOKIE = fs.readFileSync(String(authCfg.cookieFile), 'utf8').trim() || 'PUT_YOUR_COOKIE_HERE'; } catch { COOKIE = 'PUT_YOUR_COOKIE_HERE'; }
-    } else {
-        COOKIE = 'PUT_YOUR_COOKIE_HERE';
+
+function segmentPartPath(filePath, index) {
+    return `${filePath}.seg${index}.part`;
+}
+
+// Fetch one byte range into its own .part file, resuming from whatever is already on disk.
+// `fileSignal` is shared by all segments of the file: once it aborts, this one stops too and is not retried.
+async function downloadSegment(url, segPath, referer, segment, maxRetries, onBytes, fileSignal = null) {
+    const expected = segment.end - segment.start + 1;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let have = 0;
+        try { have = fs.statSync(segPath).size; } catch { }
+        if (have > expected) {
+            // Stale segment from a different plan; start it over
+            try { await fs.promises.unlink(segPath); } catch { }
+            onBytes(-have);
+            have = 0;
+        }
+        if (have === expected) return;
+        fileSignal?.throwIfAborted();
+        const controller = new AbortController();
+        const to = setTimeout(() => controller.abort(), RUNTIME_CONFIG.requestTimeoutMs);
+        const releaseAbort = linkAbortSignal(controller);
+        const onFileAbort = () => controller.abort(fileSignal.reason);
+        fileSignal?.addEventListener('abort', onFileAbort, { once: true });
+        let readIdleTimer = null;
+        const resetReadTimeout = () => {
+            if (readIdleTimer) clearTimeout(readIdleTimer);
+            readIdleTimer = setTimeout(() => {
+                try { controller.abort(); } catch { }
+            }, RUNTIME_CONFIG.readTimeoutMs);
+        };
+        try {
+            const headers = { ...commonHeaders(referer), accept: 'video/mp4,application/octet-stream,*/*', range: `bytes=${segment.start + have}-${segment.end}` };
+            const res = await httpFetch(url, { method: 'GET', headers, signal: controller.signal });
+            // From here on the read-idle timer bounds the (possibly rate-limited) body
+            clearTimeout(to);
+            if (!res.ok || !res.body) throw new Error(explainHttpFailure(res.status, 'Download segment'));
+            if (res.status !== 206) throw new Error('Server did not honor range for segment');
+            resetReadTimeout();
+            const counter = new Transform({
+                transform(chunk, _enc, cb) {
+                    resetReadTimeout();
+                    onBytes(chunk.length);
+                    cb(null, chunk);
+                }
+            });
+            await pipeline(Readable.fromWeb(res.body), counter, ...rateLimitStages(), fs.createWriteStream(segPath, { flags: have > 0 ? 'a' : 'w' }));
+            const after = fs.statSync(segPath).size;
+            if (after === expected) return;
+            if (after > expected) throw integrityError('INTEGRITY_SIZE', `Segment overflow (${after} > ${expected} bytes).`);
+            throw integrityError('INTEGRITY_SIZE', `Segment ended early (${after}/${expected} bytes).`, true);
+        } catch (err) {
+            if (attempt < maxRetries && !fileSignal?.aborted && isRetriableDownloadError(err)) {
+                await sleep(toBackoffMs(attempt));
+                continue;
+            }
+            throw err;
+        } finally {
+            clearTimeout(to);
+            if (readIdleTimer) clearTimeout(readIdleTimer);
+            releaseAbort();
+            fileSignal?.removeEventListener('abort', onFileAbort);
+        }
+    }
+}
+
+// Download `url` as parallel byte-range segments, then concatenate them into `filePath`.
+// The segment plan is kept in `<file>.segments.json` so every segment resumes on its own after a crash.
+async function downloadSegmentedToFile(url, filePath, referer, { totalSize, segmentCount, maxRetries, label = '' }) {
+    const planPath = `${filePath}.segments.json`;
+    const tmpPath = filePath + '.part';
+    const showProgress = RUNTIME_CONFIG.concurrency <= 1 && !JSON_EVENTS;
+    let plan = null;
+    try { plan = JSON.parse(await fs.promises.readFile(planPath, 'utf8')); } catch { }
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    if (!plan || plan.totalSize !== totalSize || !Array.isArray(plan.segments) || plan.segments.length === 0) {
+        // Drop leftovers of an older plan before laying out new boundaries
+        const oldCount = Array.isArray(plan?.segments) ? plan.segments.length : 0;
+        for (let i = 0; i < Math.max(oldCount, segmentCount); i++) {
+            try { await fs.promises.unlink(segmentPartPath(filePath, i)); } catch { }
+        }
+        plan = { url, totalSize, segments: splitByteRanges(totalSize, segmentCount) };
+        await fs.promises.writeFile(planPath, JSON.stringify(plan, null, 2), 'utf8');
+    }
+
+    let downloadedBytes = 0;
+    for (let i = 0; i < plan.segments.length; i++) {
+        try { downloadedBytes += fs.statSync(segmentPartPath(filePath, i)).size; } catch { }
     }
-    RUNTIME_CONFIG = {
-        retryAttempts: parsePositiveInt(runtimeCfg.retryAttempts, DEFAULT_RETRY_ATTEMPTS),
-        requestTimeoutMs: parsePositiveInt(runtimeCfg.requestTimeoutMs, DEFAULT_REQUEST_TIMEOUT_MS),
-        readTimeoutMs: parsePositiveInt(runtimeCfg.readTimeoutMs, DEFAULT_READ_TIMEOUT_MS)
+    const startedAt = Date.now();
+    let lastRender = 0;
+    const render = (final = false) => {
+        emitFileProgress(filePath, downloadedBytes, totalSize, final);
+        if (!showProgress) return;
+        renderDownloadProgress({ downloadedBytes, expectedTotal: totalSize, startedAt, label, final });
     };
-    const userEmail = LOGIN_EMAIL || null;
-    const userPassword = LOGIN_PASSWORD || null;
-    const { verbose } = createVerboseLogger(isVerboseLoggingEnabled);
-    if (!inputCourseRef) { printUsage(); process.exit(1); }
-    const baseUrl = normalizeBaseUrl(courseCfg.baseUrl || `${ORIGIN}/course/`);
-    const resolvedCourseUrl = isLikelyFullUrl(inputCourseRef)
-        ? String(inputCourseRef).trim()
-        : buildCourseUrlFromSlug(baseUrl, inputCourseRef);
-    if (!resolvedCourseUrl) {
-        logError(buildActionableError(
-            'COURSE_INPUT',
-            'Course slug/url is missing.',
-            [
-                `Pass slug in CLI: node download.mjs "${ACTIONABLE_SLUG_PLACEHOLDER}"`,
-                `Or pass full URL: node download.mjs "${ACTIONABLE_URL_PLACEHOLDER}"`
-            ]
+    const onBytes = (n) => {
+        downloadedBytes += n;
+        const now = Date.now();
+        if (now - lastRender >= 200) { lastRender = now; render(); }
+    };
+    // The first segment that fails for good stops the others, and every segment has settled before this
+    // returns or throws, so no writer is left on a ".segN.part" file when the next attempt starts
+    const fileAbort = new AbortController();
+    const releaseAbort = linkAbortSignal(fileAbort);
+    try {
+        const results = await Promise.allSettled(plan.segments.map((segment, i) =>
+            downloadSegment(url, segmentPartPath(filePath, i), referer, segment, maxRetries, onBytes, fileAbort.signal)
+                .catch((err) => { fileAbort.abort(err); throw err; })
         ));
-        process.exit(1);
+        const failed = results.find(r => r.status === 'rejected');
+        if (failed) throw fileAbort.signal.reason ?? failed.reason;
+    } finally {
+        releaseAbort();
+        try { render(downloadedBytes >= totalSize); if (showProgress) printRaw('\n'); } catch { }
     }
-    verbose(`Config file: ${configPath}${fs.existsSync(configPath) ? '' : ' (not found, using defaults)'}`);
-    verbose(`Resolved course URL: ${resolvedCourseUrl}`);
-    verbose(`Runtime config => retries=${RUNTIME_CONFIG.retryAttempts}, request-timeout=${RUNTIME_CONFIG.requestTimeoutMs}ms, read-timeout=${RUNTIME_CONFIG.readTimeoutMs}ms`);
-    const normalizedCourseUrl = ensureTrailingSlash(resolvedCourseUrl.trim());
-    const courseSlug = extractCourseSlug(normalizedCourseUrl);
-    // Attempt to load / create / verify session (may already return core)
-    const prep = await prepareSession({ userEmail, userPassword, verbose, courseUrl: normalizedCourseUrl, forceLogin, config, configPath });
-    ensureCookiePresent();
-
-    // Build a cleaner course folder name: remove trailing mk id and replace dashes with spaces.
-    const courseDisplayName = normalizeCourseFolderNameFromSlug(courseSlug);
-    const outputRootFolder = path.resolve(process.cwd(), 'download', courseDisplayName);
-    // Ensure base output folder exists only for real downloads
-    if (!isDryRun) {
-        try { await fs.promises.mkdir(outputRootFolder, { recursive: true }); } catch { }
+
+    // Assemble in order; segment files are removed only after the final file is in place
+    const out = fs.createWriteStream(tmpPath, { flags: 'w' });
+    for (let i = 0; i < plan.segments.length; i++) {
+        await pipeline(fs.createReadStream(segmentPartPath(filePath, i)), out, { end: false });
     }
-
-    // Verify auth profile (reuse from prepareSession if available)
-    let coreData = prep.core;
-    if (!coreData) {
-        try {
-            coreData = await fetchCoreData(normalizedCourseUrl);
-        } catch (e) {
-            logError(buildActionableError(
-                'AUTH_VERIFY',
-                `Failed to verify authentication. ${e.message}`,
-                [
-                    `Retry login: node download.mjs "${trimUrlForHint(normalizedCourseUrl)}" --force-login`,
-                    'Or set auth.email/auth.password in config.json if missing.'
-                ]
-            ));
-            process.exit(1);
-        }
+    await new Promise((resolve, reject) => { out.on('error', reject); out.end(resolve); });
+    const assembledSize = fs.statSync(tmpPath).size;
+    if (assembledSize !== totalSize) {
+        throw integrityError('INTEGRITY_SIZE', `Assembled file size mismatch (${assembledSize}/${totalSize} bytes).`);
     }
-    const ok = printProfileSummary(coreData);
-    if (!ok) {
-        logError(buildActionableError(
-            'AUTH_REQUIRED',
-            'Not logged in. Session is invalid/expired.',
-            [
-                `Run: node download.mjs "${trimUrlForHint(normalizedCourseUrl)}" --force-login`,
-                'Or set auth.email/auth.password (or auth.cookie) in config.json.'
-            ]
-        ));
-        process.exit(1);
+    await assertDownloadIntegrity(tmpPath, filePath, totalSize);
+    await fs.promises.rename(tmpPath, filePath);
+    for (let i = 0; i < plan.segments.length; i++) {
+        try { await fs.promises.unlink(segmentPartPath(filePath, i)); } catch { }
     }
-
-    console.log(`📚 Course slug: ${paintBold(decodeURIComponent(courseSlug))}`);
-    console.log(`📁 Output folder: ${paintCyan(outputRootFolder)}`);
-    if (sampleBytesToDownload && sampleBytesToDownload > 0) {
-        console.log(`🎯 Sample mode: downloading first ${paintBold(String(sampleBytesToDownload))} bytes of each video (saved as .sample.mp4)`);
+    try { await fs.promises.unlink(planPath); } catch { }
+    return 'downloaded';
+}
+
+// ===============
+// Streaming manifests (HLS .m3u8 / DASH .mpd)
+// ===============
+// A stream is resolved into a plan of tracks (video, plus a separate audio track when the manifest has one), each an
+// optional init section and a list of segments. Segments land in "<file>.stream/" one file each, so an interrupted
+// download resumes segment by segment; the folder is removed once the joined file is in place.
+// MPEG-TS segments are joined into "<base>.ts"; fragmented MP4 (fMP4 HLS, DASH) into "<base>.mp4", with a separate
+// audio track merged in as a second track.
+const STREAM_STATE_SUFFIX = '.stream';
+const STREAM_KEY_CACHE = new Map();
+
+function streamKindOf(url) {
+    const pathname = String(url || '').split(/[?#]/)[0].toLowerCase();
+    if (pathname.endsWith('.m3u8')) return 'hls';
+    if (pathname.endsWith('.mpd')) return 'dash';
+    return null;
+}
+
+// MPEG-TS streams are saved as "<base>.ts" next to where "<base>.mp4" would go
+function streamOutputPath(filePath, container) {
+    return container === 'ts' ? filePath.replace(/\.mp4$/i, '.ts') : filePath;
+}
+
+function streamError(code, why, next = 'Run again with --verbose, or pick another source with --quality / --list-sources.') {
+    return new Error(buildActionableError(code, why, next));
+}
+
+async function fetchStreamText(url, referer, context) {
+    const res = await fetchWithRetry(url, { headers: { ...commonHeaders(referer), accept: '*/*' } });
+    if (!res.ok) throw new Error(explainHttpFailure(res.status, context));
+    // Relative segment URLs resolve against the final (redirected) manifest URL
+    return { text: await res.text(), url: res.url || url };
+}
+
+// Largest bandwidth for hq/largest, smallest for lq/smallest
+function pickStreamVariant(variants, quality) {
+    const sorted = [...variants].sort((a, b) => (a.bandwidth || 0) - (b.bandwidth || 0));
+    return quality === 'lq' || quality === 'smallest' ? sorted[0] : sorted[sorted.length - 1];
+}
+
+// --- HLS ---
+
+function parseM3u8Attributes(text) {
+    const attrs = {};
+    const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let m;
+    while ((m = re.exec(text)) !== null) attrs[m[1]] = m[2].replace(/^"|"$/g, '');
+    return attrs;
+}
+
+// "<length>[@<offset>]"; without an offset the range follows the previous one of the same URL
+function parseM3u8ByteRange(value, url, rangeEnds) {
+    const m = String(value).match(/^(\d+)(?:@(\d+))?$/);
+    if (!m) return null;
+    const start = m[2] !== undefined ? parseInt(m[2], 10) : (rangeEnds.get(url) || 0);
+    const end = start + parseInt(m[1], 10) - 1;
+    rangeEnds.set(url, end + 1);
+    return { start, end };
+}
+
+// Master playlists fill `variants`/`audio`, media playlists fill `segments`. Keys carry their IV as hex:
+// the IV attribute, else the segment's media sequence number (RFC 8216 §5.2).
+function parseM3u8(text, baseUrl) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines[0] !== '#EXTM3U') throw streamError('STREAM_MANIFEST', `${baseUrl} is not an HLS playlist (no #EXTM3U header).`);
+    const resolve = (u) => new URL(u, baseUrl).toString();
+    const playlist = { variants: [], audio: [], segments: [], endList: false, mediaSequence: 0 };
+    const rangeEnds = new Map();
+    let pending = {};
+    let key = null;
+    let init = null;
+    let start = 0;
+    for (const line of lines) {
+        if (!line.startsWith('#')) {
+            const url = resolve(line);
+            if (pending.variant) {
+                playlist.variants.push({ ...pending.variant, url });
+            } else {
+                const seq = playlist.mediaSequence + playlist.segments.length;
+                const duration = pending.duration || 0;
+                playlist.segments.push({
+                    url,
+                    range: pending.byteRange ? parseM3u8ByteRange(pending.byteRange, url, rangeEnds) : null,
+                    key: key && { ...key, iv: key.iv || seq.toString(16).padStart(32, '0') },
+                    init,
+                    start,
+                    duration
+                });
+                start += duration;
+            }
+            pending = {};
+            continue;
+        }
+        const colon = line.indexOf(':');
+        const tag = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1);
+        if (tag === '#EXT-X-STREAM-INF') {
+            const a = parseM3u8Attributes(value);
+            pending.variant = { bandwidth: parseInt(a.BANDWIDTH, 10) || 0, resolution: a.RESOLUTION || null, codecs: a.CODECS || null, audio: a.AUDIO || null };
+        } else if (tag === '#EXT-X-MEDIA') {
+            const a = parseM3u8Attributes(value);
+            if (a.TYPE === 'AUDIO' && a.URI) {
+                playlist.audio.push({ group: a['GROUP-ID'] || '', name: a.NAME || '', language: a.LANGUAGE || null, isDefault: a.DEFAULT === 'YES', url: resolve(a.URI) });
+            }
+        } else if (tag === '#EXTINF') {
+            pending.duration = parseFloat(value) || 0;
+        } else if (tag === '#EXT-X-BYTERANGE') {
+            pending.byteRange = value;
+        } else if (tag === '#EXT-X-MEDIA-SEQUENCE') {
+            playlist.mediaSequence = parseInt(value, 10) || 0;
+        } else if (tag === '#EXT-X-KEY') {
+            const a = parseM3u8Attributes(value);
+            if (!a.METHOD || a.METHOD === 'NONE') key = null;
+            else key = { method: a.METHOD, url: a.URI ? resolve(a.URI) : null, iv: a.IV ? a.IV.replace(/^0x/i, '').padStart(32, '0').toLowerCase() : null };
+        } else if (tag === '#EXT-X-MAP') {
+            const a = parseM3u8Attributes(value);
+            const url = resolve(a.URI);
+            init = { url, range: a.BYTERANGE ? parseM3u8ByteRange(a.BYTERANGE.includes('@') ? a.BYTERANGE : `${a.BYTERANGE}@0`, url, new Map()) : null };
+        } else if (tag === '#EXT-X-ENDLIST') {
+            playlist.endList = true;
+        }
     }
-    if (selectedChapters) {
-        console.log(`🧭 Chapter filter: ${paintCyan(Array.from(selectedChapters).sort((a, b) => a - b).join(', '))}`);
+    return playlist;
+}
+
+function hlsTrack(type, playlist, bandwidth = null) {
+    const unsupported = playlist.segments.find(s => s.key && (s.key.method !== 'AES-128' || !s.key.url));
+    if (unsupported) {
+        throw streamError('STREAM_UNSUPPORTED', `HLS encryption ${unsupported.key.method} is not supported (only AES-128 with a key URI).`,
+            'This lecture is DRM-protected or uses sample encryption; it cannot be saved with this tool.');
     }
-    if (selectedLessons) {
-        console.log(`🧭 Lesson filter: ${paintCyan(Array.from(selectedLessons).sort((a, b) => a - b).join(', '))}`);
+    const init = playlist.segments[0]?.init || null;
+    if (playlist.segments.some(s => (s.init?.url || null) !== (init?.url || null))) {
+        logWarn('HLS playlist switches init sections mid-stream; only the first one is used.');
     }
-    if (isDryRun) {
-        console.log(`🧪 Mode: ${paintYellow('DRY RUN')} (no files will be downloaded)`);
+    return {
+        type,
+        bandwidth,
+        init: init && { url: init.url, range: init.range },
+        segments: playlist.segments.map(({ url, range, key, start, duration }) => ({ url, range, key: key && { url: key.url, iv: key.iv }, start, duration }))
+    };
+}
+
+async function resolveHlsPlan(url, referer, quality) {
+    const master = await fetchStreamText(url, referer, 'Fetch HLS playlist');
+    let playlist = parseM3u8(master.text, master.url);
+    let variant = null;
+    let audio = null;
+    if (playlist.variants.length > 0) {
+        variant = pickStreamVariant(playlist.variants, quality);
+        const renditions = playlist.audio.filter(a => a.group === variant.audio);
+        const rendition = renditions.find(a => a.isDefault) || renditions[0];
+        const media = await fetchStreamText(variant.url, referer, 'Fetch HLS media playlist');
+        playlist = parseM3u8(media.text, media.url);
+        if (rendition) {
+            const audioText = await fetchStreamText(rendition.url, referer, 'Fetch HLS audio playlist');
+            audio = parseM3u8(audioText.text, audioText.url);
+        }
     }
-
-    // Fetch chapters
-    verbose(paintCyan('Fetching chapters...'));
-    const chaptersData = await fetchChapters(courseSlug, normalizedCourseUrl);
-    const chapters = Array.isArray(chaptersData?.chapters) ? chaptersData.chapters : [];
-    if (chapters.length === 0) {
-        logError(buildActionableError(
-            'CHAPTERS_EMPTY',
-            'No chapters returned for this course URL.',
-            [
-                'Check that the URL is a valid course page.',
-                'Ensure this account has access to the course.',
-                `Retry: node download.mjs "${trimUrlForHint(normalizedCourseUrl)}" --force-login`
-            ]
-        ));
-        process.exit(2);
+    if (playlist.segments.length === 0) throw streamError('STREAM_MANIFEST', `HLS playlist has no segments: ${url}`);
+    if (!playlist.endList) logWarn('HLS playlist is live (no #EXT-X-ENDLIST); only the segments listed right now are saved.');
+    const fragmented = !!playlist.segments[0].init || /\.(m4s|mp4|m4v|cmfv)$/i.test(playlist.segments[0].url.split(/[?#]/)[0]);
+    const tracks = [hlsTrack('video', playlist, variant?.bandwidth || null)];
+    if (audio?.segments.length) {
+        if (fragmented && audio.segments[0].init) tracks.push(hlsTrack('audio', audio));
+        else logWarn('The HLS variant keeps its audio in a separate MPEG-TS rendition, which cannot be merged; saving video only.');
     }
+    return {
+        kind: 'hls',
+        container: fragmented ? 'mp4' : 'ts',
+        bandwidth: variant?.bandwidth || null,
+        resolution: variant?.resolution || null,
+        duration: playlist.segments.reduce((sum, s) => sum + s.duration, 0),
+        tracks
+    };
+}
 
-    if (isDryRun) {
-        let totalLectures = 0;
-        let totalLocked = 0;
-        let totalUnknownSize = 0;
+// --- DASH ---
+
+// "PT1H2M3.5S" -> seconds
+function parseIsoDuration(value) {
+    const m = String(value || '').match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!m) return 0;
+    const [d, h, min, s] = m.slice(1).map(v => parseFloat(v || '0'));
+    return d * 86400 + h * 3600 + min * 60 + s;
+}
+
+function mpdChildren(node, name) {
+    return (node?.children || []).filter(c => c.name === name);
+}
+
+// "$RepresentationID$", "$Bandwidth$", "$Number%05d$", "$Time$" and "$$"
+function fillMpdTemplate(template, values) {
+    return String(template).replace(/\$(RepresentationID|Bandwidth|Number|Time)?(?:%0(\d+)d)?\$/g, (_, id, width) => {
+        if (!id) return '$';
+        const v = String(values[id] ?? '');
+        return width ? v.padStart(parseInt(width, 10), '0') : v;
+    });
+}
+
+function parseMpdRange(value) {
+    const m = String(value || '').match(/^(\d+)-(\d+)$/);
+    return m ? { start: parseInt(m[1], 10), end: parseInt(m[2], 10) } : null;
+}
+
+// Subsegment byte ranges listed by a 'sidx' box that starts at file offset `boxOffset`
+function parseSidxRanges(buf, boxOffset) {
+    const boxEnd = buf.readUInt32BE(0);
+    const version = buf[8];
+    let p = 12 + 8; // reference_ID, timescale
+    const timescale = buf.readUInt32BE(16);
+    const firstOffset = version === 0 ? buf.readUInt32BE(p + 4) : Number(buf.readBigUInt64BE(p + 8));
+    p += version === 0 ? 8 : 16;
+    const count = buf.readUInt16BE(p + 2);
+    p += 4;
+    let offset = boxOffset + boxEnd + firstOffset;
+    let start = 0;
+    const ranges = [];
+    for (let i = 0; i < count; i++, p += 12) {
+        const size = buf.readUInt32BE(p) & 0x7fffffff;
+        const duration = buf.readUInt32BE(p + 4) / timescale;
+        ranges.push({ start: offset, end: offset + size - 1, time: start, duration });
+        offset += size;
+        start += duration;
+    }
+    return ranges;
+}
+
+async function dashTrack(type, rep, { periodDuration, referer }) {
+    const { node, set, baseUrl } = rep;
+    const template = mpdChildren(node, 'segmenttemplate')[0] || mpdChildren(set, 'segmenttemplate')[0];
+    const list = mpdChildren(node, 'segmentlist')[0] || mpdChildren(set, 'segmentlist')[0];
+    const segmentBase = mpdChildren(node, 'segmentbase')[0] || mpdChildren(set, 'segmentbase')[0];
+    const track = { type, bandwidth: rep.bandwidth || null, init: null, segments: [] };
+    const resolve = (u) => new URL(u, baseUrl).toString();
+    if (template) {
+        const attrs = { ...(mpdChildren(set, 'segmenttemplate')[0]?.attrs || {}), ...template.attrs };
+        const values = { RepresentationID: rep.id, Bandwidth: rep.bandwidth };
+        const timescale = parseInt(attrs.timescale, 10) || 1;
+        let number = parseInt(attrs.startnumber ?? '1', 10);
+        if (attrs.initialization) track.init = { url: resolve(fillMpdTemplate(attrs.initialization, values)), range: null };
+        const timeline = mpdChildren(template, 'segmenttimeline')[0] || mpdChildren(mpdChildren(set, 'segmenttemplate')[0], 'segmenttimeline')[0];
+        if (timeline) {
+            let time = 0;
+            const entries = mpdChildren(timeline, 's');
+            entries.forEach((s, i) => {
+                if (s.attrs.t !== undefined) time = parseInt(s.attrs.t, 10);
+                const d = parseInt(s.attrs.d, 10);
+                let repeat = parseInt(s.attrs.r ?? '0', 10);
+                if (repeat < 0) {
+                    // r="-1": repeat up to the next S@t or the end of the period
+                    const until = entries[i + 1]?.attrs.t !== undefined ? parseInt(entries[i + 1].attrs.t, 10) : periodDuration * timescale;
+                    repeat = Math.max(0, Math.ceil((until - time) / d) - 1);
+                }
+                for (let k = 0; k <= repeat; k++) {
+                    track.segments.push({ url: resolve(fillMpdTemplate(attrs.media, { ...values, Number: number++, Time: time })), range: null, key: null, start: time / timescale, duration: d / timescale });
+                    time += d;
+                }
+            });
+        } else {
+            const duration = parseInt(attrs.duration, 10) / timescale;
+            if (!duration || !periodDuration) throw streamError('STREAM_MANIFEST', 'DASH SegmentTemplate has neither a SegmentTimeline nor a usable duration.');
+            const count = Math.ceil(periodDuration / duration - 1e-6);
+            for (let k = 0; k < count; k++) {
+                track.segments.push({ url: resolve(fillMpdTemplate(attrs.media, { ...values, Number: number + k, Time: Math.round(k * duration * timescale) })), range: null, key: null, start: k * duration, duration });
+            }
+        }
+    } else if (list) {
+        const initNode = mpdChildren(list, 'initialization')[0];
+        if (initNode) track.init = { url: resolve(initNode.attrs.sourceurl || baseUrl), range: parseMpdRange(initNode.attrs.range) };
+        const duration = (parseInt(list.attrs.duration, 10) || 0) / (parseInt(list.attrs.timescale, 10) || 1);
+        mpdChildren(list, 'segmenturl').forEach((s, k) => {
+            track.segments.push({ url: resolve(s.attrs.media || baseUrl), range: parseMpdRange(s.attrs.mediarange), key: null, start: k * duration, duration });
+        });
+    } else if (segmentBase?.attrs.indexrange) {
+        // Single indexed file: the 'sidx' box lists each fragment's byte range
+        const indexRange = parseMpdRange(segmentBase.attrs.indexrange);
+        const initNode = mpdChildren(segmentBase, 'initialization')[0];
+        const res = await fetchWithRetry(baseUrl, { headers: { ...commonHeaders(referer), accept: '*/*', range: `bytes=${indexRange.start}-${indexRange.end}` } });
+        if (res.status !== 206) throw new Error(explainHttpFailure(res.status, 'Fetch DASH segment index'));
+        const ranges = parseSidxRanges(Buffer.from(await res.arrayBuffer()), indexRange.start);
+        track.init = { url: baseUrl, range: parseMpdRange(initNode?.attrs.range) || { start: 0, end: indexRange.start - 1 } };
+        track.segments = ranges.map(r => ({ url: baseUrl, range: { start: r.start, end: r.end }, key: null, start: r.time, duration: r.duration }));
+    } else {
+        // Plain BaseURL: one self-contained file
+        track.segments.push({ url: baseUrl, range: null, key: null, start: 0, duration: periodDuration });
+    }
+    if (track.segments.length === 0) throw streamError('STREAM_MANIFEST', `DASH representation "${rep.id}" has no segments.`);
+    return track;
+}
+
+async function resolveDashPlan(url, referer, quality) {
+    const manifest = await fetchStreamText(url, referer, 'Fetch DASH manifest');
+    const root = parseHtmlTree(manifest.text);
+    const mpd = Array.from(walkHtmlTree(root)).find(n => n.name === 'mpd');
+    if (!mpd) throw streamError('STREAM_MANIFEST', `${url} is not a DASH manifest (no <MPD> element).`);
+    if (mpd.attrs.type === 'dynamic') throw streamError('STREAM_UNSUPPORTED', 'Live DASH streams are not supported.', 'Wait until the recording is published, then download again.');
+    const periods = mpdChildren(mpd, 'period');
+    if (periods.length === 0) throw streamError('STREAM_MANIFEST', 'DASH manifest has no <Period>.');
+    if (periods.length > 1) logWarn(`DASH manifest has ${periods.length} periods; only the first one is saved.`);
+    const period = periods[0];
+    const withBase = (base, node) => {
+        const text = mpdChildren(node, 'baseurl').map(htmlTextContent)[0]?.trim();
+        return text ? new URL(text, base).toString() : base;
+    };
+    const periodBase = withBase(withBase(manifest.url, mpd), period);
+    const periodDuration = parseIsoDuration(period.attrs.duration) || parseIsoDuration(mpd.attrs.mediapresentationduration);
+    const reps = { video: [], audio: [] };
+    for (const set of mpdChildren(period, 'adaptationset')) {
+        const setBase = withBase(periodBase, set);
+        for (const node of mpdChildren(set, 'representation')) {
+            const mime = node.attrs.mimetype || set.attrs.mimetype || '';
+            const type = set.attrs.contenttype || mime.split('/')[0];
+            if (!reps[type]) continue;
+            if (Array.from(walkHtmlTree(set)).some(n => n.name === 'contentprotection')) {
+                throw streamError('STREAM_UNSUPPORTED', 'DASH stream is DRM-protected (ContentProtection).', 'DRM-protected lectures cannot be saved with this tool.');
+            }
+            reps[type].push({
+                id: node.attrs.id || '',
+                bandwidth: parseInt(node.attrs.bandwidth, 10) || 0,
+                resolution: node.attrs.width && node.attrs.height ? `${node.attrs.width}x${node.attrs.height}` : null,
+                node,
+                set,
+                baseUrl: withBase(setBase, node)
+            });
+        }
+    }
+    const video = reps.video.length ? pickStreamVariant(reps.video, quality) : null;
+    const audio = reps.audio.length ? pickStreamVariant(reps.audio, quality) : null;
+    if (!video && !audio) throw streamError('STREAM_MANIFEST', 'DASH manifest has no video or audio representation.');
+    const tracks = [];
+    if (video) tracks.push(await dashTrack('video', video, { periodDuration, referer }));
+    if (audio) tracks.push(await dashTrack(video ? 'audio' : 'video', audio, { periodDuration, referer }));
+    if (tracks.length === 2 && (!tracks[0].init || !tracks[1].init)) {
+        logWarn('DASH audio cannot be merged into a single-file video representation; saving video only.');
+        tracks.pop();
+    }
+    return {
+        kind: 'dash',
+        container: 'mp4',
+        bandwidth: (video?.bandwidth || 0) + (audio?.bandwidth || 0) || null,
+        resolution: video?.resolution || null,
+        duration: periodDuration || tracks[0].segments.reduce((sum, s) => sum + s.duration, 0),
+        tracks
+    };
+}
+
+function resolveStreamPlan(url, referer, quality = DEFAULT_VIDEO_QUALITY) {
+    return streamKindOf(url) === 'dash' ? resolveDashPlan(url, referer, quality) : resolveHlsPlan(url, referer, quality);
+}
+
+// Bandwidth x duration; what --dry-run, --list-sources and the picker show for a stream
+async function estimateStreamSize(url, referer, quality) {
+    return (await estimateStream(url, referer, quality)).size;
+}
+
+// { size, container } of the variant --quality picks; "ts" streams are saved as "<base>.ts"
+async function estimateStream(url, referer, quality) {
+    const plan = await resolveStreamPlan(toAbsoluteUrl(url, referer), referer, quality);
+    const bitsPerSecond = plan.tracks.reduce((sum, t) => sum + (t.bandwidth || 0), 0);
+    return { size: bitsPerSecond > 0 && plan.duration > 0 ? Math.round(bitsPerSecond / 8 * plan.duration) : undefined, container: plan.container };
+}
+
+// --- Segment download ---
+
+function loadStreamKey(url, referer) {
+    if (!STREAM_KEY_CACHE.has(url)) {
+        const pending = (async () => {
+            const res = await fetchWithRetry(url, { headers: { ...commonHeaders(referer), accept: '*/*' } });
+            if (!res.ok) throw new Error(explainHttpFailure(res.status, 'Fetch HLS key'));
+            const key = Buffer.from(await res.arrayBuffer());
+            if (key.length !== 16) {
+                throw streamError('STREAM_KEY', `HLS key ${url} is ${key.length} bytes; AES-128 needs 16.`, 'The key URL probably returned an error page; re-login with --force-login and retry.');
+            }
+            return key;
+        })();
+        pending.catch(() => STREAM_KEY_CACHE.delete(url));
+        STREAM_KEY_CACHE.set(url, pending);
+    }
+    return STREAM_KEY_CACHE.get(url);
+}
+
+// Fetch one segment (or init section) into `piecePath`, decrypting AES-128 on the fly.
+// The file is written under ".tmp" and renamed when complete, so an existing piece is always a finished one.
+async function downloadStreamPiece(piece, piecePath, referer, maxRetries, onBytes) {
+    if (fs.existsSync(piecePath)) return;
+    const tmpPath = `${piecePath}.tmp`;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let received = 0;
+        const controller = new AbortController();
+        const to = setTimeout(() => controller.abort(), RUNTIME_CONFIG.requestTimeoutMs);
+        const releaseAbort = linkAbortSignal(controller);
+        let readIdleTimer = null;
+        const resetReadTimeout = () => {
+            if (readIdleTimer) clearTimeout(readIdleTimer);
+            readIdleTimer = setTimeout(() => {
+                try { controller.abort(); } catch { }
+            }, RUNTIME_CONFIG.readTimeoutMs);
+        };
+        try {
+            const key = piece.key ? await loadStreamKey(piece.key.url, referer) : null;
+            const headers = { ...commonHeaders(referer), accept: '*/*' };
+            if (piece.range) headers.range = `bytes=${piece.range.start}-${piece.range.end}`;
+            const res = await httpFetch(piece.url, { method: 'GET', headers, signal: controller.signal });
+            // From here on the read-idle timer bounds the (possibly rate-limited) body
+            clearTimeout(to);
+            if (!res.ok || !res.body) throw new Error(explainHttpFailure(res.status, 'Download stream segment'));
+            if (piece.range && res.status !== 206) throw new Error('Server did not honor range for stream segment');
+            const lengthHeader = res.headers.get('content-encoding') ? null : res.headers.get('content-length');
+            resetReadTimeout();
+            const counter = new Transform({
+                transform(chunk, _enc, cb) {
+                    resetReadTimeout();
+                    received += chunk.length;
+                    onBytes(chunk.length);
+                    cb(null, chunk);
+                }
+            });
+            const decrypt = key ? [crypto.createDecipheriv('aes-128-cbc', key, Buffer.from(piece.key.iv, 'hex'))] : [];
+            await pipeline(Readable.fromWeb(res.body), counter, ...rateLimitStages(), ...decrypt, fs.createWriteStream(tmpPath));
+            if (lengthHeader && received !== parseInt(lengthHeader, 10)) {
+                throw integrityError('INTEGRITY_SIZE', `Stream segment ended early (${received}/${lengthHeader} bytes).`, true);
+            }
+            await fs.promises.rename(tmpPath, piecePath);
+            return;
+        } catch (err) {
+            onBytes(-received);
+            try { await fs.promises.unlink(tmpPath); } catch { }
+            if (err?.code === 'ERR_OSSL_BAD_DECRYPT') {
+                throw streamError('STREAM_KEY', `Segment ${piece.url} did not decrypt with its AES-128 key.`, 'Re-login with --force-login and retry; the key URL may answer differently without a valid session.');
+            }
+            if (attempt < maxRetries && isRetriableDownloadError(err)) {
+                await sleep(toBackoffMs(attempt));
+                continue;
+            }
+            throw err;
+        } finally {
+            clearTimeout(to);
+            if (readIdleTimer) clearTimeout(readIdleTimer);
+            releaseAbort();
+        }
+    }
+}
+
+// --- fMP4 track merging ---
+
+function* mp4Boxes(buf, start = 0, end = buf.length) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buf.readUInt32BE(offset);
+        const type = buf.toString('latin1', offset + 4, offset + 8);
+        let header = 8;
+        if (size === 1) { size = Number(buf.readBigUInt64BE(offset + 8)); header = 16; } else if (size === 0) size = end - offset;
+        if (size < header || offset + size > end) throw integrityError('INTEGRITY_CHECK', `Invalid '${type}' box in fragmented MP4 data.`);
+        yield { type, start: offset, body: offset + header, end: offset + size };
+        offset += size;
+    }
+}
+
+function mp4Box(type, parts) {
+    const header = Buffer.alloc(8);
+    const body = Buffer.concat(parts);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+function mp4Child(buf, box, type) {
+    return Array.from(mp4Boxes(buf, box.body, box.end)).find(b => b.type === type) || null;
+}
+
+// Offset of track_ID inside a tkhd box (after version/flags and the 32/64-bit creation/modification times)
+function tkhdTrackIdOffset(buf, tkhd) {
+    return tkhd.body + 4 + (buf[tkhd.body] === 1 ? 16 : 8);
+}
+
+// One init segment holding both tracks: the audio trak/trex get `audioTrackId`, mvhd.next_track_ID moves past it.
+function mergeMp4InitSegments(videoInit, audioInit) {
+    const vTop = Array.from(mp4Boxes(videoInit));
+    const aTop = Array.from(mp4Boxes(audioInit));
+    const ftyp = vTop.find(b => b.type === 'ftyp');
+    const vMoov = vTop.find(b => b.type === 'moov');
+    const aMoov = aTop.find(b => b.type === 'moov');
+    if (!vMoov || !aMoov) throw integrityError('INTEGRITY_CHECK', "Stream init segment has no 'moov' box.");
+    const vChildren = Array.from(mp4Boxes(videoInit, vMoov.body, vMoov.end));
+    const videoIds = vChildren.filter(b => b.type === 'trak').map(t => videoInit.readUInt32BE(tkhdTrackIdOffset(videoInit, mp4Child(videoInit, t, 'tkhd'))));
+    const audioTrackId = Math.max(0, ...videoIds) + 1;
+    const audio = Buffer.from(audioInit);
+    const audioTraks = [];
+    let audioSourceId = null;
+    for (const box of mp4Boxes(audio, aMoov.body, aMoov.end)) {
+        if (box.type === 'trak') {
+            const at = tkhdTrackIdOffset(audio, mp4Child(audio, box, 'tkhd'));
+            audioSourceId = audio.readUInt32BE(at);
+            audio.writeUInt32BE(audioTrackId, at);
+            audioTraks.push(audio.subarray(box.start, box.end));
+        }
+    }
+    const aMvex = Array.from(mp4Boxes(audio, aMoov.body, aMoov.end)).find(b => b.type === 'mvex');
+    const audioTrex = aMvex ? Array.from(mp4Boxes(audio, aMvex.body, aMvex.end)).filter(b => b.type === 'trex').map(b => {
+        audio.writeUInt32BE(audioTrackId, b.body + 4);
+        return audio.subarray(b.start, b.end);
+    }) : [];
+    const lastTrak = vChildren.map(b => b.type).lastIndexOf('trak');
+    const moovParts = [];
+    vChildren.forEach((box, i) => {
+        const bytes = Buffer.from(videoInit.subarray(box.start, box.end));
+        if (box.type === 'mvhd') bytes.writeUInt32BE(audioTrackId + 1, bytes.length - 4);
+        if (box.type === 'mvex') moovParts.push(mp4Box('mvex', [bytes.subarray(box.body - box.start), ...audioTrex]));
+        else moovParts.push(bytes);
+        if (i === lastTrak) moovParts.push(...audioTraks);
+    });
+    return { init: Buffer.concat([ftyp ? videoInit.subarray(ftyp.start, ftyp.end) : Buffer.alloc(0), mp4Box('moov', moovParts)]), audioSourceId, audioTrackId };
+}
+
+// Renumber a fragment (moof+mdat) for the merged file: running mfhd sequence numbers, and the audio track_ID in tfhd.
+// 'styp'/'sidx' boxes are dropped since their offsets no longer hold.
+function rewriteMp4Fragment(buf, { sequence, fromTrackId = null, toTrackId = null }) {
+    const out = [];
+    for (const box of mp4Boxes(buf)) {
+        if (['styp', 'sidx', 'ssix'].includes(box.type)) continue;
+        if (box.type === 'moof') {
+            for (const child of mp4Boxes(buf, box.body, box.end)) {
+                if (child.type === 'mfhd') buf.writeUInt32BE(sequence.next++, child.body + 4);
+                if (child.type === 'traf' && toTrackId !== null) {
+                    const tfhd = mp4Child(buf, child, 'tfhd');
+                    if (tfhd && buf.readUInt32BE(tfhd.body + 4) === fromTrackId) buf.writeUInt32BE(toTrackId, tfhd.body + 4);
+                }
+            }
+        }
+        out.push(buf.subarray(box.start, box.end));
+    }
+    return Buffer.concat(out);
+}
+
+// --- Stream download ---
+
+function streamPiecePath(stateDir, trackIndex, index) {
+    return path.join(stateDir, `${trackIndex}-${index === 'init' ? 'init' : String(index).padStart(5, '0')}.part`);
+}
+
+// Same variant and segment layout as the saved plan: pieces on disk can be reused
+function streamPlanSignature(plan) {
+    return JSON.stringify([plan.kind, plan.container, plan.bandwidth, plan.tracks.map(t => [t.type, !!t.init, t.segments.length])]);
+}
+
+// Join the pieces into `tmpPath`: init + segments per track, and with a separate audio track the merged init
+// followed by both tracks' fragments in presentation order.
+async function assembleStreamPieces(plan, stateDir, tmpPath, segmentCounts) {
+    const out = fs.createWriteStream(tmpPath, { flags: 'w' });
+    const write = (buf) => new Promise((resolve, reject) => out.write(buf, err => (err ? reject(err) : resolve())));
+    try {
+        if (plan.tracks.length === 1 || plan.container !== 'mp4') {
+            const paths = Array.from({ length: segmentCounts[0] }, (_, i) => streamPiecePath(stateDir, 0, i));
+            if (plan.tracks[0].init) paths.unshift(streamPiecePath(stateDir, 0, 'init'));
+            for (const piecePath of paths) {
+                for await (const chunk of fs.createReadStream(piecePath)) await write(chunk);
+            }
+        } else {
+            const [video, audio] = plan.tracks;
+            const readInit = (t, track) => (track.init ? fs.promises.readFile(streamPiecePath(stateDir, t, 'init')) : Promise.resolve(Buffer.alloc(0)));
+            const merged = mergeMp4InitSegments(await readInit(0, video), await readInit(1, audio));
+            await write(merged.init);
+            const order = [0, 1].flatMap(t => plan.tracks[t].segments.slice(0, segmentCounts[t]).map((s, i) => ({ t, i, start: s.start })))
+                .sort((a, b) => a.start - b.start || a.t - b.t);
+            const sequence = { next: 1 };
+            for (const { t, i } of order) {
+                const buf = await fs.promises.readFile(streamPiecePath(stateDir, t, i));
+                await write(rewriteMp4Fragment(buf, t === 1 ? { sequence, fromTrackId: merged.audioSourceId, toTrackId: merged.audioTrackId } : { sequence }));
+            }
+        }
+    } finally {
+        await new Promise((resolve, reject) => { out.on('error', reject); out.end(resolve); });
+    }
+}
+
+// Download an HLS/DASH stream to `filePath` (or its ".ts" sibling for MPEG-TS streams).
+// Returns { status, filePath, stream } and reports file-* events like downloadToFile; `onTarget` gets the actual path first.
+async function downloadStreamToFile(url, filePath, referer, { quality = DEFAULT_VIDEO_QUALITY, sampleBytes = 0, maxRetries = RUNTIME_CONFIG.retryAttempts, label = '', onTarget = async () => { }, verbose = () => { } } = {}) {
+    const stateDir = filePath + STREAM_STATE_SUFFIX;
+    if (!fs.existsSync(stateDir)) {
+        for (const container of ['mp4', 'ts']) {
+            const existing = streamOutputPath(filePath, container);
+            let size = 0;
+            try { size = fs.statSync(existing).size; } catch { }
+            if (size > 0) {
+                await onTarget(existing);
+                emitEvent('file-start', { file: existing, url });
+                emitEvent('file-skip', { file: existing, reason: 'exists', bytes: size });
+                return { status: 'exists', filePath: existing, stream: null };
+            }
+        }
+    }
+    const sourceUrl = toAbsoluteUrl(url, referer);
+    let targetPath = filePath;
+    try {
+        const plan = await resolveStreamPlan(sourceUrl, referer, quality);
+        targetPath = streamOutputPath(filePath, plan.container);
+        await onTarget(targetPath);
+        emitEvent('file-start', { file: targetPath, url: sourceUrl });
+        const stream = { kind: plan.kind, container: plan.container, bandwidth: plan.bandwidth, resolution: plan.resolution, tracks: plan.tracks.map(t => t.type) };
+        verbose(`  📡 ${plan.kind.toUpperCase()} ${plan.resolution || ''} ${plan.bandwidth ? formatBytes(plan.bandwidth / 8) + '/s' : ''} ${plan.tracks.map(t => `${t.type}: ${t.segments.length} segment(s)`).join(', ')}`);
+
+        const planPath = path.join(stateDir, 'plan.json');
+        let saved = null;
+        try { saved = JSON.parse(await fs.promises.readFile(planPath, 'utf8')); } catch { }
+        if (saved && saved.signature !== streamPlanSignature(plan)) {
+            logWarn(`Stream layout changed since the last attempt; restarting ${path.basename(targetPath)}.`);
+            await fs.promises.rm(stateDir, { recursive: true, force: true });
+        }
+        await fs.promises.mkdir(stateDir, { recursive: true });
+        await fs.promises.writeFile(planPath, JSON.stringify({ url: sourceUrl, signature: streamPlanSignature(plan), ...plan }, null, 2), 'utf8');
+
+        // Samples take the first segments of the first track until sampleBytes is reached
+        const trackCount = sampleBytes > 0 ? 1 : plan.tracks.length;
+        const pieces = [];
+        for (let t = 0; t < trackCount; t++) {
+            const track = plan.tracks[t];
+            if (track.init) pieces.push({ ...track.init, key: null, path: streamPiecePath(stateDir, t, 'init') });
+            track.segments.forEach((s, i) => pieces.push({ ...s, path: streamPiecePath(stateDir, t, i), track: t, index: i }));
+        }
+        let downloadedBytes = 0;
+        let donePieces = 0;
+        for (const p of pieces) {
+            try { downloadedBytes += fs.statSync(p.path).size; donePieces++; } catch { }
+        }
+        const showProgress = RUNTIME_CONFIG.concurrency <= 1 && !JSON_EVENTS;
+        const startedAt = Date.now();
+        let lastRender = 0;
+        const estimatedTotal = () => (sampleBytes > 0 ? sampleBytes : donePieces > 0 ? Math.round(downloadedBytes / donePieces * pieces.length) : undefined);
+        const render = (final = false) => {
+            emitFileProgress(targetPath, downloadedBytes, final ? downloadedBytes : estimatedTotal(), final);
+            if (!showProgress) return;
+            renderDownloadProgress({ downloadedBytes, expectedTotal: final ? downloadedBytes : estimatedTotal(), startedAt, label: label || `${donePieces}/${pieces.length} segments`, final });
+        };
+        const onBytes = (n) => {
+            downloadedBytes += n;
+            const now = Date.now();
+            if (now - lastRender >= 200) { lastRender = now; render(); }
+        };
+        const segmentCounts = plan.tracks.map(t => t.segments.length);
+        try {
+            if (sampleBytes > 0) {
+                segmentCounts[0] = 0;
+                for (const piece of pieces) {
+                    await downloadStreamPiece(piece, piece.path, referer, maxRetries, onBytes);
+                    donePieces++;
+                    if (piece.index !== undefined) segmentCounts[0] = piece.index + 1;
+                    if (downloadedBytes >= sampleBytes) break;
+                }
+            } else {
+                await runWithConcurrency(pieces, Math.max(1, RUNTIME_CONFIG.segments), async (piece) => {
+                    const had = fs.existsSync(piece.path);
+                    await downloadStreamPiece(piece, piece.path, referer, maxRetries, onBytes);
+                    if (!had) donePieces++;
+                });
+            }
+        } finally {
+            try { render(donePieces === pieces.length || sampleBytes > 0); if (showProgress) printRaw('\n'); } catch { }
+        }
+
+        const tmpPath = targetPath + '.part';
+        await assembleStreamPieces(plan, stateDir, tmpPath, segmentCounts);
+        if (sampleBytes > 0) {
+            await fs.promises.rename(tmpPath, targetPath);
+        } else {
+            await assertDownloadIntegrity(tmpPath, targetPath, undefined, { mpegTs: plan.container === 'ts' });
+            await fs.promises.rename(tmpPath, targetPath);
+        }
+        await fs.promises.rm(stateDir, { recursive: true, force: true });
+        let bytes = null;
+        try { bytes = fs.statSync(targetPath).size; } catch { }
+        emitEvent('file-done', { file: targetPath, bytes });
+        return { status: 'downloaded', filePath: targetPath, stream };
+    } catch (err) {
+        emitEvent('file-fail', { file: targetPath, url: sourceUrl, code: errorCodeOf(err), message: err.message });
+        throw err;
+    }
+}
+
+function toAbsoluteUrl(url, base = ORIGIN) {
+    try { return new URL(url, base).toString(); } catch { return url; }
+}
+
+// --- Per-course download manifest ---
+const MANIFEST_FILE_NAME = '.mkd-state.json';
+const MANIFEST_VERSION = 1;
+// Units in these states are picked up again by --retry-failed
+const MANIFEST_RETRY_STATUSES = new Set(['failed', 'incomplete', 'pending', 'downloading']);
+
+// Tracks per-unit download state in download/<course>/.mkd-state.json.
+// Every update is flushed to disk (atomically, one write at a time) so the file survives crashes.
+class CourseManifest {
+    constructor(filePath, data = {}) {
+        this.filePath = filePath;
+        this.data = {
+            version: MANIFEST_VERSION,
+            course: data.course || {},
+            units: (data.units && typeof data.units === 'object') ? data.units : {},
+            updatedAt: data.updatedAt || null
+        };
+        this._writing = Promise.resolve();
+    }
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) return new CourseManifest(filePath);
+        try {
+            const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return new CourseManifest(filePath, parsed && typeof parsed === 'object' ? parsed : {});
+        } catch (e) {
+            throw new Error(buildActionableError(
+                'MANIFEST_PARSE',
+                `Cannot parse download manifest: ${filePath}. ${e.message}`,
+                'Delete or fix the file; it will be rebuilt on the next run.'
+            ));
+        }
+    }
+    exists() { return fs.existsSync(this.filePath); }
+    setCourse(info) { this.data.course = { ...this.data.course, ...info }; }
+    getUnit(unitId) { return this.data.units[String(unitId)] || null; }
+    // Absolute path of a unit's recorded file ("<base>.ts" once it was saved from an MPEG-TS stream)
+    unitFilePath(unitId) {
+        const file = this.getUnit(unitId)?.file;
+        return file ? path.resolve(path.dirname(this.filePath), file) : null;
+    }
+    // Register a planned lecture job; keeps any status recorded by an earlier run.
+    register(job) {
+        const key = String(job.unit.id);
+        const prev = this.data.units[key] || {};
+        this.data.units[key] = {
+            ...prev,
+            chapterId: job.chapter.id,
+            chapterNo: job.chapterNo,
+            unitId: job.unit.id,
+            unitNo: job.unitNo,
+            title: job.unit.title || job.unit.slug || '',
+            // Keep "<base>.ts" once a lecture was saved from an MPEG-TS stream
+            file: path.relative(path.dirname(this.filePath), streamOutputPath(job.outputFilePath, /\.ts$/i.test(prev.file || '') ? 'ts' : 'mp4')),
+            status: prev.status || 'pending'
+        };
+    }
+    update(unitId, patch) {
+        const key = String(unitId);
+        this.data.units[key] = { ...(this.data.units[key] || { unitId }), ...patch, updatedAt: new Date().toISOString() };
+        return this.save();
+    }
+    retryUnitIds() {
+        const ids = new Set();
+        for (const [key, u] of Object.entries(this.data.units)) {
+            if (MANIFEST_RETRY_STATUSES.has(u?.status)) ids.add(key);
+        }
+        return ids;
+    }
+    save() {
+        this._writing = this._writing.then(async () => {
+            this.data.updatedAt = new Date().toISOString();
+            const tmp = `${this.filePath}.tmp`;
+            try {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(tmp, JSON.stringify(this.data, null, 2), 'utf8');
+                await fs.promises.rename(tmp, this.filePath);
+            } catch (e) {
+                logWarn(`Could not write manifest (${this.filePath}): ${e.message}`);
+            }
+        });
+        return this._writing;
+    }
+}
+
+// Run `worker(item, index)` over `items` with at most `limit` calls in flight.
+// Items are picked up in order, so lower indexes always start first.
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const laneCount = Math.max(1, Math.min(limit || 1, items.length));
+    const lanes = Array.from({ length: laneCount }, async () => {
+        // A caller abort stops handing out new items; in-flight ones fail through their linked requests
+        while (nextIndex < items.length && !ABORT_SIGNAL?.aborted) {
+            const i = nextIndex++;
+            await worker(items[i], i);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+// Output naming: a template relative to the course folder, "/" separates folders.
+// "{field}" or "{field:0N}" (zero-padded to N digits; "3.1" text-unit numbers pad the part before the dot).
+const NAME_TEMPLATE_FIELDS = ['courseTitle', 'courseSlug', 'chapterNo', 'chapterTitle', 'chapterId', 'chapterSlug', 'lessonNo', 'lessonTitle', 'unitId', 'unitSlug', 'ext'];
+const UNIT_TEMPLATE_FIELDS = new Set(['lessonNo', 'lessonTitle', 'unitId', 'unitSlug', 'ext']);
+const NAME_TEMPLATE_PLACEHOLDER_RE = /\{([A-Za-z]+)(?::([^}]*))?\}/g;
+
+function parseNameTemplate(template) {
+    const text = String(template ?? '').trim().replace(/\\/g, '/');
+    const fail = (why) => {
+        throw new Error(buildActionableError(
+            'NAMING_TEMPLATE',
+            `${why} (template: ${text || '<empty>'})`,
+            [
+                'Example: --name-template "{chapterNo:02} - {chapterTitle}/{lessonNo:03} - {lessonTitle}.{ext}"',
+                `Fields: ${NAME_TEMPLATE_FIELDS.join(', ')}`
+            ]
+        ));
+    };
+    const segments = text.split('/').map(s => s.trim()).filter(Boolean);
+    if (segments.length === 0) fail('Naming template is empty.');
+    if (segments.some(s => /^\.+$/.test(s))) fail('Template folders cannot be "." or "..".');
+    const used = new Set();
+    const segmentFields = segments.map(segment => {
+        const fields = new Set();
+        for (const m of segment.matchAll(NAME_TEMPLATE_PLACEHOLDER_RE)) {
+            if (!NAME_TEMPLATE_FIELDS.includes(m[1])) fail(`Unknown field {${m[1]}}.`);
+            if (m[2] !== undefined && !/^0?\d{1,2}$/.test(m[2])) fail(`Invalid format ":${m[2]}" in {${m[1]}}; use a width like :02.`);
+            fields.add(m[1]);
+            used.add(m[1]);
+        }
+        return fields;
+    });
+    // lessonNo restarts in every chapter, so it only identifies a unit together with a chapter field
+    const identifiesUnit = used.has('unitId') || used.has('unitSlug')
+        || (used.has('lessonNo') && ['chapterNo', 'chapterId', 'chapterSlug'].some(f => used.has(f)));
+    if (!identifiesUnit) fail('Template would give different units the same name; include {unitId}, or {lessonNo} with {chapterNo}.');
+    let chapterDepth = 0;
+    while (chapterDepth < segments.length - 1 && ![...segmentFields[chapterDepth]].some(f => UNIT_TEMPLATE_FIELDS.has(f))) chapterDepth++;
+    return { text, segments, chapterDepth, hasExt: segmentFields[segments.length - 1].has('ext') };
+}
+
+// Explicit template, else the default Persian names (or Latin "Chapter N"/"Lesson N" prefixes).
+function resolveNameTemplate(template, latinNames = false) {
+    const text = template && String(template).trim() ? String(template).trim() : latinNames ? LATIN_NAME_TEMPLATE : DEFAULT_NAME_TEMPLATE;
+    return parseNameTemplate(text).text;
+}
+
+function formatNameField(value, format) {
+    const text = sanitizeName(String(value ?? ''));
+    if (!format) return text;
+    return text.replace(/^\d+/, d => d.padStart(Number(format), '0'));
+}
+
+// Paths of one unit: { chapterFolder, unitFolder, fileName, filePath }. chapterFolder is the template part
+// before the first unit-level field (where chapter playlists go); unitFolder holds the file and its siblings.
+// naming = { outputRootFolder, nameTemplate, courseTitle, courseSlug }.
+function resolveUnitPath(naming, { chapter, chapterNo, unit = {}, lessonNo = 0, ext = 'mp4' }) {
+    const { segments, chapterDepth, hasExt } = parseNameTemplate(naming.nameTemplate || RUNTIME_CONFIG.nameTemplate);
+    const fields = {
+        courseTitle: naming.courseTitle || normalizeCourseFolderNameFromSlug(naming.courseSlug),
+        courseSlug: decodeURIComponent(naming.courseSlug || ''),
+        chapterNo,
+        chapterTitle: chapter.title || chapter.slug || 'chapter',
+        chapterId: chapter.id ?? '',
+        chapterSlug: chapter.slug || '',
+        lessonNo,
+        lessonTitle: unit.title || unit.slug || (unit.type && unit.type !== 'lecture' ? unit.type : 'lecture'),
+        unitId: unit.id ?? '',
+        unitSlug: unit.slug || '',
+        ext
+    };
+    const rendered = segments.map(segment => {
+        const text = segment
+            .replace(NAME_TEMPLATE_PLACEHOLDER_RE, (_, name, format) => formatNameField(fields[name], format))
+            .replace(/[:*?"<>|]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return !text || /^\.+$/.test(text) ? '_' : text;
+    });
+    let fileName = rendered.pop();
+    if (!hasExt) fileName = `${fileName}.${ext}`;
+    const chapterFolder = path.join(naming.outputRootFolder, ...rendered.slice(0, chapterDepth));
+    const unitFolder = path.join(naming.outputRootFolder, ...rendered);
+    return { chapterFolder, unitFolder, fileName, filePath: path.join(unitFolder, fileName) };
+}
+
+// Naming used when a course was downloaded (older manifests predate templates and used the default names).
+function courseManifestNaming(manifest) {
+    const course = manifest.data.course || {};
+    return {
+        nameTemplate: course.nameTemplate || DEFAULT_NAME_TEMPLATE,
+        courseTitle: course.title || '',
+        courseSlug: course.slug || ''
+    };
+}
+
+// Unit selection: `selectedUnits` (Map chapterNo -> Set of lecture numbers, or null for the whole chapter) replaces the
+// --chapter x --lesson sets when present. Non-lecture units follow the lecture they come after.
+function isChapterSelected({ selectedChapters = null, selectedUnits = null }, chapterNo) {
+    if (selectedUnits) return selectedUnits.has(chapterNo);
+    return !selectedChapters || selectedChapters.has(chapterNo);
+}
+
+function isLessonSelected({ selectedLessons = null, selectedUnits = null }, chapterNo, lectureNo) {
+    if (selectedUnits) {
+        const lessons = selectedUnits.get(chapterNo);
+        return lessons === null || (lessons instanceof Set && lessons.has(lectureNo));
+    }
+    return !selectedLessons || selectedLessons.has(lectureNo);
+}
+
+// "1: all; 2: 1, 3" for the console and `course` events
+function describeUnitSelection(selectedUnits) {
+    return Array.from(selectedUnits.keys()).sort((a, b) => a - b).map(chapterNo => {
+        const lessons = selectedUnits.get(chapterNo);
+        return `${chapterNo}: ${lessons ? Array.from(lessons).sort((a, b) => a - b).join(', ') : 'all'}`;
+    }).join('; ');
+}
+
+// Title filters (--match / --exclude): "/regex/flags" or a glob (* and ?) found anywhere in the chapter or unit title.
+// Both sides are compared case- and diacritic-insensitively, with Arabic letter forms folded into Persian ones.
+const TITLE_LETTER_FOLDS = { 'ي': 'ی', 'ى': 'ی', 'ك': 'ک', 'ة': 'ه', 'ە': 'ه', '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9', '۰': '0', '۱': '1', '۲': '2', '۳': '3', '۴': '4', '۵': '5', '۶': '6', '۷': '7', '۸': '8', '۹': '9' };
+const TITLE_FILTER_EXAMPLES = 'Examples: --match "django*form" | --match "/^جلسه \\d+/" | --exclude "رفع اشکال"';
+
+// NFKD splits accents, hamza and madda off their letters (ۀ becomes ە + hamza); marks and tatweel are then dropped
+function foldTitleLetters(text) {
+    return String(text ?? '').normalize('NFKD')
+        .replace(/[\p{M}\u0640]/gu, '')
+        .replace(/[يىكةە٠-٩۰-۹]/g, ch => TITLE_LETTER_FOLDS[ch]);
+}
+
+function normalizeTitleForMatch(text) {
+    return foldTitleLetters(text).toLowerCase().replace(/[\u200c\s]+/g, ' ').trim();
+}
+
+function compileTitlePattern(pattern, flag) {
+    const raw = String(pattern ?? '').trim();
+    const fail = (why) => {
+        const err = new Error(buildActionableError('FILTER_FORMAT', `Invalid ${flag} pattern "${raw}": ${why}`, TITLE_FILTER_EXAMPLES));
+        err.exitCode = 2;
+        return err;
+    };
+    if (!raw) throw fail('empty pattern');
+    const re = raw.match(/^\/(.+)\/([a-z]*)$/s);
+    let regex;
+    if (re) {
+        // Regex source is only letter-folded (and ZWNJ spaced like titles): lowercasing it would turn \D or \W into other classes
+        try { regex = new RegExp(foldTitleLetters(re[1]).replace(/\u200c/g, ' '), `${re[2].replace(/[gyi]/g, '')}iu`); } catch (e) { throw fail(e.message); }
+    } else {
+        const glob = normalizeTitleForMatch(raw).split('').map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('');
+        regex = new RegExp(glob, 'u');
+    }
+    return { flag, pattern: raw, test: (title) => regex.test(normalizeTitleForMatch(title)) };
+}
+
+// null when no filter was given
+function compileTitleFilters({ match = [], exclude = [] } = {}) {
+    const toList = (v) => (Array.isArray(v) ? v : v == null || v === '' ? [] : [v]);
+    const filters = {
+        match: toList(match).map(p => compileTitlePattern(p, '--match')),
+        exclude: toList(exclude).map(p => compileTitlePattern(p, '--exclude'))
+    };
+    return filters.match.length || filters.exclude.length ? filters : null;
+}
+
+// { included, reason } for one unit; an --exclude hit wins over any --match hit
+function evaluateTitleFilters(filters, { chapterTitle, unitTitle }) {
+    const hit = (list) => {
+        for (const f of list) {
+            if (f.test(unitTitle)) return { flag: f.flag, pattern: f.pattern, field: 'unit title' };
+            if (f.test(chapterTitle)) return { flag: f.flag, pattern: f.pattern, field: 'chapter title' };
+        }
+        return null;
+    };
+    const excluded = hit(filters.exclude);
+    if (excluded) return { included: false, reason: excluded };
+    if (filters.match.length === 0) return { included: true, reason: null };
+    const matched = hit(filters.match);
+    return matched ? { included: true, reason: matched } : { included: false, reason: { flag: '--match', pattern: null, field: null } };
+}
+
+function describeTitleFilterReason(reason) {
+    if (!reason) return '';
+    if (!reason.pattern) return 'no --match pattern found in the title';
+    return `${reason.flag} "${reason.pattern}" (${reason.field})`;
+}
+
+// Walk selected chapters/lectures once and build the ordered list of lecture jobs.
+// Numbering (chapterNo / unitNo) is fixed here so output folders stay deterministic under concurrency.
+// With `exportText`, non-lecture units become 'text' jobs numbered after the lecture they follow (e.g. 3.1).
+// File names come from the naming template (`naming` = { nameTemplate, courseTitle, courseSlug }).
+function buildLectureJobs(chapters, { selectedChapters, selectedLessons, selectedUnits = null, titleFilters = null, sampleBytesToDownload, outputRootFolder, exportText = null, naming = {} }) {
+    const selection = { selectedChapters, selectedLessons, selectedUnits };
+    const jobs = [];
+    let nonLectureUnits = 0;
+    let filteredUnits = 0;
+    const filteredOut = (chapter, unit) => {
+        if (!titleFilters || evaluateTitleFilters(titleFilters, { chapterTitle: chapter.title || chapter.slug, unitTitle: unit.title || unit.slug }).included) return false;
+        filteredUnits++;
+        return true;
+    };
+    const unitNaming = { ...naming, outputRootFolder };
+    for (let chapterIndex = 0; chapterIndex < chapters.length; chapterIndex++) {
+        const chapter = chapters[chapterIndex];
+        const chapterNo = chapterIndex + 1;
+        if (!isChapterSelected(selection, chapterNo)) continue;
+        const units = Array.isArray(chapter.unit_set) ? chapter.unit_set : [];
+        let chapterLectureNo = 0;
+        let textSinceLecture = 0;
+        for (let unitIndex = 0; unitIndex < units.length; unitIndex++) {
+            const unit = units[unitIndex];
+            if (!unit?.status) continue; // inactive
+            if (unit?.type !== 'lecture') {
+                nonLectureUnits++;
+                if (!exportText) continue; // skip non-video units
+                textSinceLecture++;
+                if (!isLessonSelected(selection, chapterNo, chapterLectureNo) || filteredOut(chapter, unit)) continue;
+                const unitNo = `${chapterLectureNo}.${textSinceLecture}`;
+                const { chapterFolder, unitFolder, fileName, filePath } = resolveUnitPath(unitNaming, {
+                    chapter, chapterNo, unit, lessonNo: unitNo, ext: exportText === 'html' ? 'html' : 'md'
+                });
+                jobs.push({
+                    kind: 'text',
+                    chapter, chapterIndex, chapterNo, chapterCount: chapters.length, chapterFolder, unitFolder,
+                    unit, unitIndex, unitCount: units.length, unitNo,
+                    finalFileName: fileName,
+                    outputFilePath: filePath
+                });
+                continue;
+            }
+            chapterLectureNo++;
+            textSinceLecture = 0;
+            if (!isLessonSelected(selection, chapterNo, chapterLectureNo) || filteredOut(chapter, unit)) continue;
+            const unitNo = chapterLectureNo;
+            const { chapterFolder, unitFolder, fileName: baseFileName } = resolveUnitPath(unitNaming, { chapter, chapterNo, unit, lessonNo: unitNo, ext: 'mp4' });
+            const finalFileName = (sampleBytesToDownload && sampleBytesToDownload > 0)
+                ? baseFileName.replace(/\.mp4$/i, '.sample.mp4')
+                : baseFileName;
+            jobs.push({
+                kind: 'lecture',
+                chapter, chapterIndex, chapterNo, chapterCount: chapters.length, chapterFolder, unitFolder,
+                unit, unitIndex, unitCount: units.length, unitNo,
+                finalFileName,
+                outputFilePath: path.join(unitFolder, finalFileName)
+            });
+        }
+    }
+    return { jobs, nonLectureUnits, filteredUnits };
+}
+
+// Record a unit state change in the manifest (if any) and report status changes as `unit` events.
+// Events name the file the manifest records, which follows a stream saved as "<base>.ts".
+function unitTracker(job, manifest) {
+    return (patch) => {
+        if (patch.status) {
+            emitEvent('unit', {
+                unitId: job.unit.id, chapterNo: job.chapterNo, unitNo: job.unitNo, kind: job.kind,
+                file: (patch.file && manifest ? path.resolve(path.dirname(manifest.filePath), patch.file) : manifest?.unitFilePath(job.unit.id)) || job.outputFilePath,
+                status: patch.status, error: patch.error ?? null, code: patch.error ? errorCodeOf(patch.error) : null
+            });
+        }
+        return manifest ? manifest.update(job.unit.id, patch) : Promise.resolve();
+    };
+}
+
+// Process one lecture: fetch its page, then video, subtitles and attachments. Updates ctx.stats in place.
+async function processLectureJob(job, ctx) {
+    const { courseSlug, normalizedCourseUrl, outputRootFolder, sampleBytesToDownload, quality, subtitleFormat = DEFAULT_SUBTITLE_FORMAT, verbose, stats, manifest } = ctx;
+    const { chapter, unitFolder, unit, unitIndex, unitCount, finalFileName, outputFilePath } = job;
+    const track = unitTracker(job, manifest);
+    verbose(`  🎬 Unit ${unitIndex + 1}/${unitCount}: ${unit.title || unit.slug}`);
+
+    // Skip locked content or content requiring purchase
+    if (unit.locked) {
+        logWarn(`🔒 Locked/No access: ${finalFileName}`);
+        stats.skippedCount++;
+        await track({ status: 'locked', error: null });
+        return;
+    }
+
+    const lectureUrl = buildLectureUrl(courseSlug, chapter, unit);
+    const subFileErrors = [];
+    try {
+        await track({ lectureUrl, error: null });
+        // Fetch lecture page HTML
+        const res = await fetchWithRetry(lectureUrl, { headers: { ...commonHeaders(normalizedCourseUrl), accept: 'text/html' } });
+        if (!res.ok) throw new Error(explainHttpFailure(res.status, 'Fetch lecture page'));
+        const html = await res.text();
+        const media = await discoverLectureMedia(html, lectureUrl);
+        const { url: bestSourceUrl } = await selectVideoSource(media.videos, quality, lectureUrl);
+        if (!bestSourceUrl) {
+            logWarn(`No video source found for: ${finalFileName}`);
+            printLine(`   🔍 Tried: ${describeMediaDiscovery(media.report)}`);
+            let pageFile = null;
+            try {
+                pageFile = await saveLectureDiagnostics(outputRootFolder, unit.id, html, media.frames);
+                printLine(`   📄 Page saved for diagnosis: ${paintCyan(pageFile)}`);
+            } catch (e) { logWarn(`Could not save the lecture page: ${e.message}`); }
+            stats.skippedCount++;
+            await track({
+                status: 'no-source', error: 'No video source found on lecture page',
+                discovery: { tried: media.report, page: pageFile && outputRootFolder ? path.relative(outputRootFolder, pageFile) : null }
+            });
+            return;
+        }
+
+        // Print the filename on its own line; progress bar will render on the next line. Streams know their
+        // file name (".ts" for MPEG-TS) only once the playlist is resolved, so they announce it from there.
+        const streamKind = streamKindOf(bestSourceUrl);
+        const startVideo = async (targetPath) => {
+            printLine(`📥 Downloading: ${path.basename(targetPath)}${streamKind ? ` (${streamKind.toUpperCase()} stream)` : ''}`);
+            await track({ status: 'downloading', ...(manifest ? { file: path.relative(path.dirname(manifest.filePath), targetPath) } : {}) });
+        };
+        let status;
+        let savedPath = outputFilePath;
+        let stream = null;
+        if (streamKind) {
+            ({ status, filePath: savedPath, stream } = await downloadStreamToFile(bestSourceUrl, outputFilePath, lectureUrl, { quality, sampleBytes: sampleBytesToDownload, onTarget: startVideo, verbose }));
+        } else {
+            await startVideo(outputFilePath);
+            status = await downloadToFile(bestSourceUrl, outputFilePath, lectureUrl, RUNTIME_CONFIG.retryAttempts, sampleBytesToDownload, '');
+        }
+        const savedName = path.basename(savedPath);
+        if (status === 'exists') { printLine(paintYellow(`🟡 SKIP exists: ${savedName}`)); stats.skippedCount++; }
+        else { logSuccess(`DOWNLOADED: ${savedName}`); stats.downloadedCount++; }
+        let videoSize = null;
+        try { videoSize = fs.statSync(savedPath).size; } catch { }
+        // An MPEG-TS stream lands in "<base>.ts"; the manifest follows the file actually written
+        const savedFile = manifest ? { file: path.relative(path.dirname(manifest.filePath), savedPath) } : {};
+        await track({ sourceUrl: bestSourceUrl, size: videoSize, ...savedFile, ...(stream ? { stream } : {}) });
+
+        // ---- Subtitles (download beside video, one file per language: "<base>.fa.vtt", "<base>.en.vtt") ----
+        try {
+            const subtitleLinks = media.subtitles;
+            if (subtitleLinks.length > 0) {
+                const videoBaseNoExt = finalFileName.replace(/\.sample\.mp4$/i, '').replace(/\.mp4$/i, '');
+                const savedSubtitles = [];
+                const hasFile = (name) => fs.existsSync(path.join(unitFolder, name)) && fs.statSync(path.join(unitFolder, name)).size > 0;
+                for (const sub of planSubtitleFiles(subtitleLinks, videoBaseNoExt)) {
+                    try {
+                        const absUrl = (() => { try { return new URL(sub.url, ORIGIN).toString(); } catch { return sub.url; } })();
+                        const subtitleName = sub.fileName;
+                        const subtitlePath = path.join(unitFolder, subtitleName);
+                        const convertToSrt = subtitleFormat !== 'vtt' && sub.ext === '.vtt';
+                        const srtName = subtitleName.replace(/\.vtt$/i, '.srt');
+                        const wanted = [(!convertToSrt || subtitleFormat === 'both') && subtitleName, convertToSrt && srtName].filter(Boolean);
+                        const entry = { files: wanted, lang: sub.lang || null, label: sub.label || null, kind: sub.kind };
+                        if (wanted.every(hasFile)) {
+                            printLine(paintYellow(`🟡 Subtitle exists: ${wanted.join(', ')}`));
+                            savedSubtitles.push(entry);
+                            continue;
+                        }
+                        printLine(`📝 Subtitle${sub.lang ? ` [${sub.lang}]` : ''}: ${subtitleName}`);
+                        const sStatus = await downloadToFile(absUrl, subtitlePath, lectureUrl, RUNTIME_CONFIG.retryAttempts, 0, '');
+                        if (sStatus === 'exists') printLine(paintYellow(`🟡 Subtitle exists: ${subtitleName}`));
+                        else logSuccess(`SUBTITLE: ${subtitleName}`);
+                        if (convertToSrt) {
+                            const vttText = await fs.promises.readFile(subtitlePath, 'utf8');
+                            await fs.promises.writeFile(path.join(unitFolder, srtName), convertVttToSrt(vttText), 'utf8');
+                            if (subtitleFormat === 'srt') await fs.promises.unlink(subtitlePath);
+                            logSuccess(`SRT: ${srtName}`);
+                        }
+                        savedSubtitles.push(entry);
+                        await sleep(150);
+                    } catch (subErr) { logWarn(`Subtitle fail: ${subErr.message}`); subFileErrors.push(`subtitle: ${subErr.message}`); }
+                }
+                await track({ subtitles: savedSubtitles });
+            }
+        } catch (subOuter) { logWarn(`Subtitle parse error: ${subOuter.message}`); subFileErrors.push(`subtitle: ${subOuter.message}`); }
+
+        // ---- Attachments (download beside video) ----
+        try {
+            const attachmentLinks = media.attachments;
+            if (attachmentLinks.length > 0) {
+                // Derive base (remove .sample.mp4 or .mp4)
+                const videoBaseNoExt = finalFileName.replace(/\.sample\.mp4$/i, '').replace(/\.mp4$/i, '');
+                for (const attUrl of attachmentLinks) {
+                    try {
+                        // Extract original filename from URL path (strip query)
+                        let filePart;
+                        try {
+                            const u = new URL(attUrl);
+                            filePart = u.pathname.split('/').pop() || 'attachment.bin';
+                        } catch { filePart = attUrl.split('?')[0].split('/').pop() || 'attachment.bin'; }
+                        // Keep original name (with underscores) but sanitize forbidden characters
+                        const sanitizedAttachment = sanitizeName(filePart);
+                        const finalAttachmentName = `${videoBaseNoExt} - ${sanitizedAttachment}`;
+                        const attachmentPath = path.join(unitFolder, finalAttachmentName);
+                        if (fs.existsSync(attachmentPath) && fs.statSync(attachmentPath).size > 0) {
+                            printLine(paintYellow(`🟡 Attachment exists: ${finalAttachmentName}`));
+                            continue;
+                        }
+                        printLine(`📎 Attachment: ${finalAttachmentName}`);
+                        const aStatus = await downloadToFile(attUrl, attachmentPath, lectureUrl, RUNTIME_CONFIG.retryAttempts, 0, '');
+                        if (aStatus === 'exists') printLine(paintYellow(`🟡 Attachment exists: ${finalAttachmentName}`));
+                        else logSuccess(`ATTACHMENT: ${finalAttachmentName}`);
+                        await sleep(200);
+                    } catch (attErr) {
+                        logWarn(`Attachment fail: ${attErr.message}`);
+                        subFileErrors.push(`attachment: ${attErr.message}`);
+                    }
+                }
+            }
+        } catch (attOuterErr) {
+            logWarn(`Attachment parse error: ${attOuterErr.message}`);
+            subFileErrors.push(`attachment: ${attOuterErr.message}`);
+        }
+        // Video is fine but a subtitle/attachment failed: keep it retryable
+        await track(subFileErrors.length > 0
+            ? { status: 'incomplete', error: subFileErrors.join('\n') }
+            : { status: status === 'exists' ? 'exists' : 'downloaded', error: null });
+        // polite pause
+        await sleep(400);
+    } catch (err) {
+        logError(`FAIL ${finalFileName}: ${err.message}`);
+        stats.failedCount++;
+        await track({ status: 'failed', error: err.message });
+    }
+}
+
+// Resolve `verify` target: an existing folder, or a course slug/URL mapped to download/<course>.
+function resolveCourseFolder(ref, baseUrl) {
+    const text = String(ref || '').trim();
+    if (text && fs.existsSync(text) && fs.statSync(text).isDirectory()) return path.resolve(text);
+    const courseUrl = isLikelyFullUrl(text) ? text : buildCourseUrlFromSlug(baseUrl, text);
+    if (!courseUrl) return null;
+    const courseSlug = extractCourseSlug(ensureTrailingSlash(courseUrl));
+    return courseOutputFolder(courseSlug);
+}
+
+// "<--output dir>/<course name>"; the course name drops the trailing mk id and turns dashes into spaces.
+function courseOutputFolder(courseSlug) {
+    return path.resolve(process.cwd(), RUNTIME_CONFIG.outputDir || DEFAULT_OUTPUT_DIR, normalizeCourseFolderNameFromSlug(courseSlug));
+}
+
+async function listFilesRecursive(dir) {
+    const out = [];
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        if (entry.name === TRASH_FOLDER_NAME || entry.name === DEBUG_FOLDER_NAME) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) out.push(...await listFilesRecursive(full));
+        else if (entry.isFile()) out.push(full);
+    }
+    return out;
+}
+
+// Offline check of an existing course folder; failing units are marked in the manifest for --retry-failed.
+async function runVerify(courseFolder) {
+    if (!fs.existsSync(courseFolder)) {
+        throw new Error(buildActionableError(
+            'VERIFY_FOLDER',
+            `Course folder not found: ${courseFolder}`,
+            'Pass the course slug/URL you downloaded, or the path of the course folder.'
+        ));
+    }
+    const manifest = CourseManifest.load(path.join(courseFolder, MANIFEST_FILE_NAME));
+    const unitsByFile = new Map(Object.values(manifest.data.units).filter(u => u?.file).map(u => [path.resolve(courseFolder, u.file), u]));
+    const needsDownload = new Map(); // final file path -> reasons
+    const addProblem = (finalPath, reason) => {
+        if (!needsDownload.has(finalPath)) needsDownload.set(finalPath, []);
+        if (!needsDownload.get(finalPath).includes(reason)) needsDownload.get(finalPath).push(reason);
+    };
+    // "Files checked" counts lecture files (video, subtitles, attachments); the course index, playlists and
+    // exported text pages (with their "<base>_files/" images) are still checked but not counted
+    const textBases = Object.values(manifest.data.units).filter(u => u?.file && /\.(md|html)$/i.test(u.file))
+        .map(u => path.resolve(courseFolder, u.file).replace(/\.(md|html)$/i, ''));
+    const isCourseFile = (file) => {
+        const base = path.basename(file);
+        if (file === path.join(courseFolder, COURSE_INDEX_FILE_NAME)) return false;
+        if (PLAYLIST_FORMATS.some(format => base === `${PLAYLIST_FILE_BASE}.${format}`)) return false;
+        if (/\.(md|html)$/i.test(base) && textBases.includes(file.replace(/\.(md|html)$/i, ''))) return false;
+        return !textBases.some(t => file.startsWith(`${t}_files${path.sep}`));
+    };
+    printLine(`🔎 Verifying: ${paintCyan(courseFolder)}`);
+    let checked = 0;
+    for (const file of (await listFilesRecursive(courseFolder)).sort()) {
+        const base = path.basename(file);
+        if (base === MANIFEST_FILE_NAME || base.endsWith('.tmp')) continue;
+        const streamDir = path.basename(path.dirname(file)).match(/^(.*)\.stream$/);
+        if (streamDir) {
+            addProblem(path.join(path.dirname(path.dirname(file)), streamDir[1]), `unfinished stream download (${streamDir[0]}/)`);
+            continue;
+        }
+        const leftover = base.match(/^(.*?)(?:\.seg\d+)?\.part$/) || base.match(/^(.*)\.segments\.json$/);
+        if (leftover) {
+            addProblem(path.join(path.dirname(file), leftover[1]), `unfinished download (${base})`);
+            continue;
+        }
+        if (isCourseFile(file)) checked++;
+        const unit = unitsByFile.get(file);
+        const expectedSize = Number.isFinite(unit?.size) ? unit.size : undefined;
+        const result = await verifyDownloadedFile(file, { expectedSize, mpegTs: !!unit && /\.ts$/i.test(file) });
+        if (!result.ok) for (const p of result.problems) addProblem(file, p);
+    }
+    for (const [file, unit] of unitsByFile) {
+        if (['downloaded', 'exists'].includes(unit.status) && !fs.existsSync(file)) addProblem(file, 'file is missing');
+    }
+
+    for (const [file, reasons] of needsDownload) {
+        printLine(`  ❌ ${path.relative(courseFolder, file)}`);
+        for (const r of reasons) printLine(`     ${paintYellow(r)}`);
+        const unit = unitsByFile.get(file);
+        if (unit) manifest.update(unit.unitId, { status: 'failed', error: `verify: ${reasons.join('; ')}` });
+    }
+    if (manifest.exists()) await manifest.save();
+    printLine('—'.repeat(40));
+    printLine(`🔎 Files checked: ${paintBold(String(checked))}`);
+    printLine(needsDownload.size ? `❌ Need re-download: ${paintRed(String(needsDownload.size))}` : `✅ Need re-download: ${paintGreen('0')}`);
+    if (needsDownload.size > 0 && manifest.exists()) {
+        logInfo(`Affected units were marked failed in ${MANIFEST_FILE_NAME}; re-download them with --retry-failed.`);
+    }
+    return needsDownload.size === 0;
+}
+
+// --- "My courses" (enrolled course list) ---
+// Dashboard endpoints tried in order; override with course.myCoursesPath in config.json
+const MY_COURSES_PATHS = ['/api/v1/dashboard/courses/', '/api/v1/profile/courses/'];
+
+function slugFromCourseUrl(url) {
+    try {
+        const parts = new URL(url, ORIGIN).pathname.split('/').filter(Boolean);
+        const idx = parts.indexOf('course');
+        return idx !== -1 ? parts[idx + 1] || null : null;
+    } catch { return null; }
+}
+
+// Accept the shapes the dashboard API may return: a plain course or an enrollment wrapping one.
+function normalizeMyCourseItem(raw) {
+    const c = (raw?.course && typeof raw.course === 'object') ? raw.course : raw;
+    const slug = c?.slug || slugFromCourseUrl(c?.url || c?.link || '');
+    if (!slug) return null;
+    let access = raw?.access_type || c?.access_type || null;
+    if (!access && (raw?.is_subscription || raw?.subscription)) access = 'subscription';
+    if (!access && (raw?.is_purchased || raw?.purchased || raw?.order_id)) access = 'purchase';
+    const chapterCount = c?.chapters_count ?? c?.chapter_count ?? null;
+    return {
+        slug: String(slug),
+        title: String(c?.title || c?.name || slug),
+        access: access || 'enrolled',
+        chapterCount: Number.isFinite(chapterCount) ? chapterCount : null
+    };
+}
+
+// API: list the courses the logged-in account can access (purchased + subscription), following pagination.
+async function fetchMyCourses(myCoursesPath, verbose = () => { }) {
+    const paths = myCoursesPath ? [myCoursesPath] : MY_COURSES_PATHS;
+    let lastStatus = null;
+    for (const p of paths) {
+        let url = toAbsoluteUrl(p, ORIGIN);
+        const items = [];
+        let found = false;
+        for (let page = 0; url && page < 50; page++) {
+            const { res, json } = await fetchJson(url, `${ORIGIN}/`);
+            verbose(`[my-courses] GET ${url} -> HTTP ${res.status}`);
+            if (res.status === 401 || res.status === 403) throw new Error(explainHttpFailure(res.status, 'Fetch my courses'));
+            if (!res.ok || !json) { lastStatus = res.status; break; }
+            const list = Array.isArray(json) ? json : (json.results || json.courses || json.data || []);
+            if (!Array.isArray(list)) break;
+            found = true;
+            items.push(...list);
+            url = json.next ? toAbsoluteUrl(json.next, url) : null;
+        }
+        if (!found) continue;
+        const seen = new Set();
+        return items.map(normalizeMyCourseItem).filter(c => c && !seen.has(c.slug) && seen.add(c.slug));
+    }
+    throw new Error(buildActionableError(
+        'MY_COURSES_API',
+        `Cannot load the enrolled course list${lastStatus ? ` (HTTP ${lastStatus})` : ''}.`,
+        [
+            'Set course.myCoursesPath in config.json to the dashboard API path used by the site.',
+            'Or download courses by slug / with --batch.'
+        ]
+    ));
+}
+
+// One line from stdin; null when stdin ends before an answer
+async function promptLine(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: JSON_EVENTS ? process.stderr : process.stdout });
+    try {
+        return await new Promise(resolve => {
+            rl.once('close', () => resolve(null));
+            rl.question(question, resolve);
+        });
+    } finally {
+        rl.close();
+    }
+}
+
+// List enrolled courses, then turn the --my-courses selection (list|all|pick|SPEC) into course entries.
+async function selectMyCourses(selection, { baseUrl, myCoursesPath, selectedChapters, selectedLessons, selectSpec = null, verbose }) {
+    logStep('Loading your enrolled courses...');
+    const myCourses = await fetchMyCourses(myCoursesPath, verbose);
+    if (myCourses.length === 0) {
+        logInfo('No purchased or subscribed courses found for this account.');
+        return [];
+    }
+    for (const c of myCourses) {
+        if (c.chapterCount != null) continue;
+        try {
+            const data = await fetchChapters(c.slug, `${ORIGIN}/`);
+            c.chapterCount = Array.isArray(data?.chapters) ? data.chapters.length : 0;
+        } catch (e) {
+            verbose(`[my-courses] chapters for ${c.slug}: ${e.message}`);
+        }
+    }
+    printLine(paintBold(`\nYour courses (${myCourses.length}):`));
+    myCourses.forEach((c, i) => {
+        const chapters = c.chapterCount == null ? '?' : String(c.chapterCount);
+        printLine(`  ${paintYellow(String(i + 1).padStart(3))}. ${paintBold(c.title)}  | slug: ${paintCyan(decodeURIComponent(c.slug))}  | chapters: ${chapters}  | ${c.access}`);
+    });
+    if (selection === 'list') return [];
+
+    let picked;
+    if (selection === 'all') {
+        picked = new Set(myCourses.map((_, i) => i + 1));
+    } else {
+        let spec = selection;
+        if (selection === 'pick') {
+            if (!process.stdin.isTTY) {
+                throw new Error(buildActionableError(
+                    'MY_COURSES_PICK',
+                    'Interactive course selection needs a terminal (stdin is not a TTY).',
+                    'Pass the numbers directly, e.g. --my-courses=1,3-5 or --my-courses=all'
+                ));
+            }
+            spec = (await promptLine('\nCourses to download (e.g. 1,3-5 or all, empty to cancel): ') ?? '').trim();
+            if (!spec) return [];
+            if (spec.toLowerCase() === 'all') spec = `1-${myCourses.length}`;
+        }
+        picked = parseNumberSpec(spec) || new Set();
+    }
+    const courses = [];
+    for (const n of Array.from(picked).sort((a, b) => a - b)) {
+        const c = myCourses[n - 1];
+        if (!c) { logWarn(`No course #${n} in the list; ignored.`); continue; }
+        const courseUrl = buildCourseUrlFromSlug(baseUrl, c.slug);
+        courses.push({ ref: c.title, title: c.title, courseUrl, courseSlug: c.slug, selectedChapters, selectedLessons, selectSpec });
+    }
+    return courses;
+}
+
+// Split a batch line into tokens; double/single quotes group words with spaces.
+function tokenizeBatchLine(line) {
+    const tokens = [];
+    const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let m;
+    while ((m = re.exec(line)) !== null) tokens.push(m[1] ?? m[2] ?? m[3]);
+    return tokens;
+}
+
+// Read a --batch list: one slug/URL per line with optional --chapter/--lesson overrides; `#` starts a comment.
+// Lines without overrides inherit the --chapter/--lesson given on the command line.
+function parseBatchFile(filePath, { baseUrl, selectedChapters, selectedLessons, selectSpec = null }) {
+    const resolved = path.resolve(process.cwd(), filePath);
+    let text;
+    try {
+        text = fs.readFileSync(resolved, 'utf8');
+    } catch (e) {
+        throw new Error(buildActionableError(
+            'BATCH_FILE',
+            `Cannot read batch file: ${resolved}. ${e.message}`,
+            'Pass an existing text file: --batch courses.txt'
+        ));
+    }
+    const courses = [];
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/(^|\s)#.*$/, '').trim();
+        if (!line) continue;
+        const fail = (why) => {
+            throw new Error(buildActionableError(
+                'BATCH_FORMAT',
+                `${path.basename(resolved)}:${i + 1}: ${why}`,
+                'Line format: <slug|course_url> [--chapter SPEC] [--lesson SPEC] [--select SPEC]'
+            ));
+        };
+        const tokens = tokenizeBatchLine(line);
+        const ref = tokens.shift();
+        if (ref.startsWith('--')) fail(`missing course slug/URL before ${ref}`);
+        const specs = { chapter: null, lesson: null, select: null };
+        for (let t = 0; t < tokens.length; t++) {
+            const m = tokens[t].match(/^--(chapter|lesson|select)(?:=(.*))?$/);
+            if (!m) fail(`unknown option: ${tokens[t]}`);
+            const value = m[2] ?? tokens[++t];
+            if (!value) fail(`missing value for --${m[1]}`);
+            specs[m[1]] = value;
+        }
+        // Without overrides the line keeps the command-line selection; a lone --chapter or --lesson keeps the other one
+        let selection = { selectedChapters, selectedLessons, selectSpec };
+        if (specs.chapter != null || specs.lesson != null || specs.select != null) {
+            try {
+                selection = parseSelectionSpecs({
+                    chapterSpec: specs.chapter ?? numberSetToSpec(selectedChapters),
+                    lessonSpec: specs.lesson ?? numberSetToSpec(selectedLessons),
+                    selectSpec: specs.select
+                });
+            } catch (e) {
+                fail(`invalid --chapter/--lesson/--select: ${String(e.message).split('\n')[0].replace(/^\[FILTER_FORMAT\] /, '')}`);
+            }
+        }
+        const courseUrl = ensureTrailingSlash(isLikelyFullUrl(ref) ? ref : buildCourseUrlFromSlug(baseUrl, ref));
+        let courseSlug;
+        try { courseSlug = extractCourseSlug(courseUrl); } catch (e) { fail(String(e.message).split('\n')[0]); }
+        courses.push({ ref, line: i + 1, courseUrl, courseSlug, ...selection });
+    }
+    if (courses.length === 0) {
+        throw new Error(buildActionableError(
+            'BATCH_EMPTY',
+            `Batch file has no courses: ${resolved}`,
+            'Add one course slug or URL per line.'
+        ));
+    }
+    return courses;
+}
+
+function printBatchSummary(results) {
+    const totals = { totalUnits: 0, downloadedCount: 0, skippedCount: 0, failedCount: 0, knownBytes: 0 };
+    let errorCount = 0;
+    emitEvent('batch-summary', {
+        courses: results.map(r => r.error
+            ? { slug: r.course.courseSlug || null, ref: r.course.ref, error: String(r.error.message || r.error), code: errorCodeOf(r.error) }
+            : { slug: r.course.courseSlug, ref: r.course.ref, dryRun: !!r.dryRun, totalUnits: r.totalUnits || 0, downloadedCount: r.downloadedCount ?? null, skippedCount: r.skippedCount ?? null, failedCount: r.failedCount ?? null, knownBytes: r.knownBytes ?? null })
+    });
+    printLine('\n' + '═'.repeat(40));
+    printLine(paintBold('Summary (all courses):'));
+    for (const r of results) {
+        const name = decodeURIComponent(r.course.courseSlug || r.course.ref);
+        if (r.error) {
+            errorCount++;
+            printLine(`  ❌ ${name}  | ${paintRed(String(r.error.message || r.error).split('\n')[0])}`);
+            continue;
+        }
+        totals.totalUnits += r.totalUnits || 0;
+        if (r.dryRun) {
+            totals.knownBytes += r.knownBytes || 0;
+            printLine(`  🧪 ${name}  | lectures=${r.totalUnits}, estimated=${formatBytes(r.knownBytes)}${r.unknownCount ? ` + ${r.unknownCount} unknown` : ''}`);
+            continue;
+        }
+        totals.downloadedCount += r.downloadedCount;
+        totals.skippedCount += r.skippedCount;
+        totals.failedCount += r.failedCount;
+        const icon = r.failedCount > 0 ? '⚠️' : '✅';
+        printLine(`  ${icon} ${name}  | units=${r.totalUnits}, downloaded=${r.downloadedCount}, skipped=${r.skippedCount}, failed=${r.failedCount}`);
+    }
+    printLine('—'.repeat(40));
+    printLine(`📚 Courses: ${paintBold(String(results.length))}${errorCount ? `  (${paintRed(String(errorCount))} with errors)` : ''}`);
+    printLine(`📊 Total lecture units: ${paintBold(String(totals.totalUnits))}`);
+    if (results.some(r => r.dryRun)) {
+        printLine(`💾 Estimated total (known sizes): ${paintGreen(formatBytes(totals.knownBytes))}`);
+        return;
+    }
+    printLine(`✅ Downloaded: ${paintGreen(String(totals.downloadedCount))}`);
+    printLine(`🟡 Skipped: ${paintYellow(String(totals.skippedCount))}`);
+    printLine(`❌ Failed: ${paintRed(String(totals.failedCount))}`);
+}
+
+// --list-sources: print every video URL found per selected lecture with its size, marking the --quality pick.
+async function listLectureSources(chapters, { courseSlug, normalizedCourseUrl, selectedChapters, selectedLessons, selectedUnits = null, titleFilters = null, quality, outputRootFolder, naming }) {
+    const { jobs } = buildLectureJobs(chapters, { selectedChapters, selectedLessons, selectedUnits, titleFilters, sampleBytesToDownload: 0, outputRootFolder, naming });
+    let selectedKnownBytes = 0;
+    let lastChapterNo = null;
+    printLine('—'.repeat(40));
+    printLine(paintBold(`Video sources (selected by --quality ${quality}):`));
+    for (const job of jobs) {
+        ABORT_SIGNAL?.throwIfAborted();
+        if (job.chapterNo !== lastChapterNo) {
+            lastChapterNo = job.chapterNo;
+            printLine(`\n📖 Chapter ${job.chapterNo}: ${paintBold(job.chapter.title || job.chapter.slug)}`);
+        }
+        if (job.unit.locked) {
+            printLine(`  🔒 ${job.finalFileName}  | locked / no access`);
+            continue;
+        }
+        printLine(`  🎬 ${job.finalFileName}`);
+        const lectureUrl = buildLectureUrl(courseSlug, job.chapter, job.unit);
+        try {
+            const res = await fetchWithRetry(lectureUrl, { headers: { ...commonHeaders(normalizedCourseUrl), accept: 'text/html' } });
+            if (!res.ok) throw new Error(explainHttpFailure(res.status, 'Fetch lecture page'));
+            const media = await discoverLectureMedia(await res.text(), lectureUrl);
+            const videoSources = media.videos;
+            if (videoSources.length === 0) {
+                printLine(`     ⚠️ no video source found  | tried ${describeMediaDiscovery(media.report)}`);
+                continue;
+            }
+            const probed = await probeVideoSources(videoSources, lectureUrl);
+            const chosen = await selectVideoSource(videoSources, quality, lectureUrl, probed);
+            emitEvent('sources', {
+                unitId: job.unit.id, chapterNo: job.chapterNo, unitNo: job.unitNo, file: job.outputFilePath,
+                sources: probed.map(p => ({ url: p.url, quality: sourceQualityTag(p.url), size: Number.isFinite(p.size) ? p.size : null })),
+                chosen: chosen.url
+            });
+            for (const p of probed) {
+                const isChosen = p.url === chosen.url;
+                const size = Number.isFinite(p.size) ? formatBytes(p.size) : 'unknown';
+                const line = `[${sourceQualityTag(p.url)}] ${size.padEnd(9)} ${p.url}`;
+                printLine(isChosen ? `     ▶ ${paintGreen(line)}` : `       ${paint(COLOR.dim, line)}`);
+                if (isChosen && Number.isFinite(p.size)) selectedKnownBytes += p.size;
+            }
+        } catch (err) {
+            printLine(`     ⚠️ ${err.message}`);
+        }
+    }
+    printLine('\n' + '—'.repeat(40));
+    printLine(`💾 Selected sources total (known sizes): ${paintGreen(formatBytes(selectedKnownBytes))}`);
+    emitEvent('summary', { slug: courseSlug, dryRun: true, listSources: true, totalUnits: jobs.length, knownBytes: selectedKnownBytes });
+    return { dryRun: true, totalUnits: jobs.length, knownBytes: selectedKnownBytes };
+}
+
+// Process one non-lecture unit (quiz, assignment, text lesson): save its page as Markdown or sanitized HTML,
+// with local copies of its images in "<file name>_files/". Updates ctx.stats in place.
+async function processTextUnitJob(job, ctx) {
+    const { courseSlug, normalizedCourseUrl, exportText, verbose, stats, manifest } = ctx;
+    const { chapter, unitFolder, unit, unitIndex, unitCount, finalFileName, outputFilePath } = job;
+    const track = unitTracker(job, manifest);
+    verbose(`  📄 Unit ${unitIndex + 1}/${unitCount}: ${unit.title || unit.slug} (${unit.type})`);
+
+    if (unit.locked) {
+        logWarn(`🔒 Locked/No access: ${finalFileName}`);
+        stats.textSkippedCount++;
+        await track({ status: 'locked', error: null });
+        return;
+    }
+    if (fs.existsSync(outputFilePath) && fs.statSync(outputFilePath).size > 0) {
+        printLine(paintYellow(`🟡 SKIP exists: ${finalFileName}`));
+        stats.textSkippedCount++;
+        await track({ status: 'exists', error: null });
+        return;
+    }
+
+    const pageUrl = buildLectureUrl(courseSlug, chapter, unit);
+    try {
+        await track({ status: 'downloading', lectureUrl: pageUrl, error: null });
+        const res = await fetchWithRetry(pageUrl, { headers: { ...commonHeaders(normalizedCourseUrl), accept: 'text/html' } });
+        if (!res.ok) throw new Error(explainHttpFailure(res.status, 'Fetch unit page'));
+        const content = findUnitContentNode(parseHtmlTree(await res.text()));
+
+        const assetsDirName = `${path.basename(outputFilePath, path.extname(outputFilePath))}_files`;
+        const images = new Map(); // absolute URL -> path relative to the chapter folder
+        const resolveImage = (src) => {
+            const abs = toAbsoluteUrl(src, pageUrl);
+            if (!images.has(abs)) {
+                let name = 'image';
+                try { name = decodeURIComponent(path.basename(new URL(abs).pathname)) || 'image'; } catch { }
+                images.set(abs, `${assetsDirName}/${String(images.size + 1).padStart(2, '0')}-${sanitizeName(name)}`);
+            }
+            return images.get(abs);
+        };
+        const title = unit.title || unit.slug || '';
+        let document;
+        if (exportText === 'html') {
+            const body = htmlTreeToSanitizedHtml(content, { baseUrl: pageUrl, resolveImage });
+            document = `<!doctype html>\n<html dir="rtl" lang="fa">\n<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>\n<body>\n<h1>${escapeHtml(title)}</h1>\n<p><small>${escapeHtml(unit.type || '')} · <a href="${escapeHtml(pageUrl)}">${escapeHtml(pageUrl)}</a></small></p>\n${body}\n</body>\n</html>\n`;
+        } else {
+            const body = htmlTreeToMarkdown(content, { baseUrl: pageUrl, resolveImage });
+            document = `# ${title}\n\n> ${unit.type || 'unit'} · ${pageUrl}\n\n${body}`;
+        }
+
+        const imageErrors = [];
+        for (const [imageUrl, relPath] of images) {
+            try {
+                await downloadToFile(imageUrl, path.join(unitFolder, relPath), pageUrl, RUNTIME_CONFIG.retryAttempts, 0, '');
+            } catch (imgErr) {
+                logWarn(`Image fail (${path.basename(relPath)}): ${imgErr.message}`);
+                imageErrors.push(`image: ${imgErr.message}`);
+            }
+        }
+        await fs.promises.mkdir(unitFolder, { recursive: true });
+        await fs.promises.writeFile(`${outputFilePath}.part`, document, 'utf8');
+        await fs.promises.rename(`${outputFilePath}.part`, outputFilePath);
+        logSuccess(`TEXT: ${finalFileName}${images.size ? ` (+${images.size} image(s))` : ''}`);
+        stats.textSavedCount++;
+        await track(imageErrors.length > 0
+            ? { status: 'incomplete', size: Buffer.byteLength(document), error: imageErrors.join('\n') }
+            : { status: 'downloaded', size: Buffer.byteLength(document), error: null });
+        // polite pause
+        await sleep(400);
+    } catch (err) {
+        logError(`FAIL ${finalFileName}: ${err.message}`);
+        stats.textFailedCount++;
+        await track({ status: 'failed', error: err.message });
+    }
+}
+
+// --- Offline course index ---
+const COURSE_INDEX_FILE_NAME = 'index.html';
+const SUBTITLE_LANG_LABELS = { fa: 'فارسی', en: 'English', ar: 'العربية' };
+
+// Path relative to the course root, URL-encoded per segment so it works as a local href/src.
+function toRelativeHref(rootFolder, filePath) {
+    return path.relative(rootFolder, filePath).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// Match the course outline against what is on disk: every lecture with its local video, subtitles
+// ("<base>.<lang>.vtt") and attachments ("<base> - <name>"), plus exported text units. No network access.
+function collectOfflineCourse(chapters, { outputRootFolder, sampleBytesToDownload, naming }) {
+    const { jobs } = buildLectureJobs(chapters, {
+        selectedChapters: null, selectedLessons: null, sampleBytesToDownload, outputRootFolder, exportText: 'md', naming
+    });
+    const dirCache = new Map();
+    const listDir = (dir) => {
+        if (!dirCache.has(dir)) {
+            let names = [];
+            try { names = fs.readdirSync(dir); } catch { }
+            dirCache.set(dir, names);
+        }
+        return dirCache.get(dir);
+    };
+    const result = [];
+    for (const job of jobs) {
+        let chapterEntry = result[result.length - 1];
+        if (!chapterEntry || chapterEntry.chapterNo !== job.chapterNo) {
+            chapterEntry = { chapterNo: job.chapterNo, title: job.chapter.title || job.chapter.slug || '', folder: job.chapterFolder, units: [] };
+            result.push(chapterEntry);
+        }
+        const names = listDir(job.unitFolder);
+        const unitEntry = { kind: job.kind, unitId: job.unit.id, unitNo: job.unitNo, title: job.unit.title || job.unit.slug || '', locked: !!job.unit.locked, type: job.unit.type };
+        if (job.kind === 'text') {
+            const base = job.finalFileName.replace(/\.md$/i, '');
+            const fileName = ['.md', '.html'].map(ext => base + ext).find(n => names.includes(n));
+            if (!fileName) continue;
+            unitEntry.file = path.join(job.unitFolder, fileName);
+        } else {
+            Object.assign(unitEntry, discoverLectureFiles(names, job.unitFolder, job.finalFileName));
+        }
+        chapterEntry.units.push(unitEntry);
+    }
+    return result;
+}
+
+// Local files of one lecture among a chapter folder's `names`: the video, "<base>.<lang>.vtt|srt" subtitles
+// and "<base> - <name>" attachments.
+function discoverLectureFiles(names, chapterFolder, videoFileName) {
+    const base = unitFileBase(videoFileName);
+    // Lectures saved from an MPEG-TS stream are "<base>.ts"
+    const videoName = [videoFileName, streamOutputPath(videoFileName, 'ts')].find(n => names.includes(n));
+    return {
+        file: videoName ? path.join(chapterFolder, videoName) : null,
+        subtitles: names
+            .filter(n => n.startsWith(`${base}.`) && /\.(vtt|srt)$/i.test(n))
+            .map(n => {
+                const lang = n.slice(base.length + 1).replace(/\.(vtt|srt)$/i, '').split('.')[0] || '';
+                return { file: path.join(chapterFolder, n), lang, format: path.extname(n).slice(1).toLowerCase() };
+            }),
+        attachments: names
+            .filter(n => n.startsWith(`${base} - `) && !/\.part$/i.test(n))
+            .map(n => ({ file: path.join(chapterFolder, n), name: n.slice(base.length + 3) }))
+    };
+}
+
+// Write "<course>/index.html": chapter/lecture navigation, a local <video> player with <track> subtitles,
+// attachment links and watched state kept in localStorage. Returns the file path.
+async function writeCourseIndex(chapters, { courseSlug, courseTitle, normalizedCourseUrl, outputRootFolder, sampleBytesToDownload, naming }) {
+    const offline = collectOfflineCourse(chapters, { outputRootFolder, sampleBytesToDownload, naming });
+    const href = (p) => toRelativeHref(outputRootFolder, p);
+    const data = offline.map(ch => ({
+        no: ch.chapterNo,
+        title: ch.title,
+        units: ch.units.map(u => ({
+            id: String(u.unitId),
+            no: u.unitNo,
+            kind: u.kind,
+            type: u.type,
+            title: u.title,
+            locked: u.locked,
+            file: u.file ? href(u.file) : null,
+            subtitles: (u.subtitles || []).filter(s => s.format === 'vtt').map(s => ({
+                src: href(s.file), lang: s.lang, label: SUBTITLE_LANG_LABELS[s.lang] || s.lang || 'زیرنویس'
+            })),
+            attachments: (u.attachments || []).map(a => ({ href: href(a.file), name: a.name }))
+        }))
+    }));
+    const title = courseTitle || decodeURIComponent(courseSlug);
+    const json = JSON.stringify({ slug: courseSlug, title, url: normalizedCourseUrl, chapters: data }).replace(/</g, '\\u003c');
+    const page = `<!doctype html>
+<html dir="rtl" lang="fa">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; font-family: Vazirmatn, Tahoma, sans-serif; background: #f5f6f8; color: #222; display: flex; height: 100vh; }
+aside { width: 340px; overflow-y: auto; background: #fff; border-left: 1px solid #ddd; }
+aside h1 { font-size: 1.05rem; margin: 0; padding: 16px; border-bottom: 1px solid #eee; }
+aside h2 { font-size: .95rem; margin: 0; padding: 10px 16px; background: #fafafa; border-bottom: 1px solid #eee; }
+aside ul { list-style: none; margin: 0; padding: 0; }
+aside li { padding: 8px 16px; border-bottom: 1px solid #f2f2f2; cursor: pointer; font-size: .9rem; }
+aside li:hover, aside li.active { background: #eaf4ff; }
+aside li.watched::before { content: "✓ "; color: #1a9c4a; }
+aside li.missing, aside li.locked { color: #999; }
+main { flex: 1; overflow-y: auto; padding: 20px; }
+video { width: 100%; max-height: 70vh; background: #000; border-radius: 6px; }
+.meta { margin-top: 12px; display: flex; gap: 12px; align-items: center; flex-wrap: wrap; }
+.attachments a { display: block; margin: 4px 0; }
+.empty { color: #888; padding: 40px 0; text-align: center; }
+</style>
+</head>
+<body>
+<aside><h1 id="course-title"></h1><nav id="toc"></nav></aside>
+<main>
+<h2 id="lecture-title"></h2>
+<div id="player"></div>
+<div class="meta"><label><input type="checkbox" id="watched-toggle"> دیده شده</label><button id="next-btn" type="button">قسمت بعد</button></div>
+<div class="attachments" id="attachments"></div>
+</main>
+<script id="course-data" type="application/json">${json}</script>
+<script>
+(function () {
+  var course = JSON.parse(document.getElementById('course-data').textContent);
+  var storeKey = 'mkd-watched:' + course.slug;
+  var watched = {};
+  try { watched = JSON.parse(localStorage.getItem(storeKey) || '{}') || {}; } catch (e) { }
+  function save() { try { localStorage.setItem(storeKey, JSON.stringify(watched)); } catch (e) { } }
+  var items = [];
+  var toc = document.getElementById('toc');
+  document.getElementById('course-title').textContent = course.title;
+  document.title = course.title;
+  course.chapters.forEach(function (ch) {
+    var h = document.createElement('h2');
+    h.textContent = 'فصل ' + ch.no + ' - ' + ch.title;
+    toc.appendChild(h);
+    var ul = document.createElement('ul');
+    ch.units.forEach(function (u) {
+      var li = document.createElement('li');
+      li.textContent = (u.kind === 'text' ? '📄 ' : '') + 'قسمت ' + u.no + ' - ' + u.title;
+      if (u.locked) li.className = 'locked';
+      else if (!u.file) li.className = 'missing';
+      u.li = li;
+      u.index = items.length;
+      items.push(u);
+      li.addEventListener('click', function () { show(u.index); });
+      ul.appendChild(li);
+    });
+    toc.appendChild(ul);
+  });
+  function refreshMarks() { items.forEach(function (u) { u.li.classList.toggle('watched', !!watched[u.id]); }); }
+  var current = -1;
+  function show(i) {
+    var u = items[i];
+    if (!u) return;
+    if (current >= 0) items[current].li.classList.remove('active');
+    current = i;
+    u.li.classList.add('active');
+    try { localStorage.setItem(storeKey + ':last', u.id); } catch (e) { }
+    document.getElementById('lecture-title').textContent = 'قسمت ' + u.no + ' - ' + u.title;
+    var player = document.getElementById('player');
+    player.innerHTML = '';
+    if (!u.file) {
+      var empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = u.locked ? 'این قسمت قفل است.' : 'این قسمت دانلود نشده است.';
+      player.appendChild(empty);
+    } else if (u.kind === 'text') {
+      var frame = document.createElement('iframe');
+      frame.src = u.file;
+      frame.style.cssText = 'width:100%;height:70vh;border:1px solid #ddd;background:#fff';
+      player.appendChild(frame);
+    } else {
+      var video = document.createElement('video');
+      video.controls = true;
+      video.preload = 'metadata';
+      video.src = u.file;
+      var preferred = 0;
+      u.subtitles.forEach(function (s, k) { if (s.lang === 'fa') preferred = k; });
+      u.subtitles.forEach(function (s, k) {
+        var t = document.createElement('track');
+        t.kind = 'subtitles';
+        t.src = s.src;
+        if (s.lang) t.srclang = s.lang;
+        t.label = s.label;
+        if (k === preferred) t.default = true;
+        video.appendChild(t);
+      });
+      video.addEventListener('timeupdate', function () {
+        if (!watched[u.id] && video.duration && video.currentTime / video.duration > 0.9) { watched[u.id] = true; save(); refreshMarks(); syncToggle(); }
+      });
+      video.addEventListener('ended', function () { show(current + 1); });
+      player.appendChild(video);
+    }
+    var att = document.getElementById('attachments');
+    att.innerHTML = '';
+    (u.attachments || []).forEach(function (a) {
+      var link = document.createElement('a');
+      link.href = a.href;
+      link.textContent = '📎 ' + a.name;
+      att.appendChild(link);
+    });
+    syncToggle();
+  }
+  function syncToggle() { document.getElementById('watched-toggle').checked = current >= 0 && !!watched[items[current].id]; }
+  document.getElementById('watched-toggle').addEventListener('change', function (e) {
+    if (current < 0) return;
+    if (e.target.checked) watched[items[current].id] = true; else delete watched[items[current].id];
+    save();
+    refreshMarks();
+  });
+  document.getElementById('next-btn').addEventListener('click', function () { show(current + 1); });
+  refreshMarks();
+  var last = null;
+  try { last = localStorage.getItem(storeKey + ':last'); } catch (e) { }
+  var start = items.findIndex(function (u) { return u.id === last; });
+  if (start < 0) start = items.findIndex(function (u) { return u.file && !watched[u.id]; });
+  show(start < 0 ? 0 : start);
+})();
+</script>
+</body>
+</html>
+`;
+    const indexPath = path.join(outputRootFolder, COURSE_INDEX_FILE_NAME);
+    await fs.promises.writeFile(`${indexPath}.part`, page, 'utf8');
+    await fs.promises.rename(`${indexPath}.part`, indexPath);
+    return indexPath;
+}
+
+// --- Playlists ---
+const PLAYLIST_FILE_BASE = 'playlist';
+
+// Parse a playlist format list ("m3u8,xspf", ["xspf"], "none") into known formats.
+function parsePlaylistFormats(value) {
+    if (value === false || value === null) return [];
+    const list = Array.isArray(value) ? value : String(value ?? PLAYLIST_FORMATS.join(',')).split(',');
+    const formats = list.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+    if (formats.includes('none') || formats.includes('off')) return [];
+    const unknown = formats.filter(f => !PLAYLIST_FORMATS.includes(f));
+    if (unknown.length > 0) {
+        throw new Error(buildActionableError(
+            'PLAYLIST_FORMAT',
+            `Unknown playlist format: ${unknown.join(', ')}`,
+            `Use a comma-separated list of ${PLAYLIST_FORMATS.join(', ')} or "none"`
+        ));
+    }
+    return Array.from(new Set(formats));
+}
+
+// Chapter/unit skeleton saved in the manifest so playlists can be rebuilt later without network access.
+function buildCourseOutline(chapters) {
+    return chapters.map(ch => ({
+        id: ch.id,
+        slug: ch.slug,
+        title: ch.title,
+        unit_set: (Array.isArray(ch.unit_set) ? ch.unit_set : []).map(u => ({
+            id: u.id, slug: u.slug, title: u.title, type: u.type, status: u.status, locked: u.locked
+        }))
+    }));
+}
+
+// Fallback for folders without a manifest outline: order chapters/lectures by the numbers in
+// "فصل N - …" / "قسمت M - ….mp4" or the Latin "Chapter N" / "Lesson M" names (numeric, so 10 sorts after 9
+// regardless of locale). Custom --name-template layouts need the manifest outline.
+function collectOfflineCourseFromFolder(outputRootFolder) {
+    const numbered = (name, word) => {
+        const m = name.match(new RegExp(`^(?:${word}) (\\d+(?:\\.\\d+)?) - (.*)$`));
+        return m ? { no: Number(m[1]), title: m[2] } : null;
+    };
+    let entries = [];
+    try { entries = fs.readdirSync(outputRootFolder, { withFileTypes: true }); } catch { }
+    return entries
+        .filter(e => e.isDirectory())
+        .map(e => ({ name: e.name, info: numbered(e.name, 'فصل|Chapter') }))
+        .filter(e => e.info)
+        .sort((a, b) => a.info.no - b.info.no)
+        .map(({ name, info }) => {
+            const folder = path.join(outputRootFolder, name);
+            const names = fs.readdirSync(folder);
+            const videos = names.filter(n => /\.(mp4|ts)$/i.test(n));
+            const units = videos
+                // "<base> - <name>.ts" next to a video is an attachment, not a lecture
+                .filter(n => !videos.some(o => o !== n && n.startsWith(`${unitFileBase(o)} - `)))
+                .map(n => ({ n, info: numbered(unitFileBase(n), 'قسمت|Lesson') }))
+                .filter(v => v.info)
+                .sort((a, b) => a.info.no - b.info.no)
+                .map(({ n, info: unitInfo }) => ({
+                    kind: 'lecture', unitId: null, unitNo: unitInfo.no, title: unitInfo.title, locked: false, type: 'lecture',
+                    ...discoverLectureFiles(names, folder, n)
+                }));
+            return { chapterNo: info.no, title: info.title, folder, units };
+        });
+}
+
+// Relative playlist entry path: plain for M3U8 (players read UTF-8 paths), URL-encoded for XSPF <location>.
+function playlistRelativePath(fromFolder, filePath, encode = false) {
+    const parts = path.relative(fromFolder, filePath).split(path.sep);
+    return (encode ? parts.map(encodeURIComponent) : parts).join('/');
+}
+
+function renderM3u8Playlist(title, items, playlistFolder) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+    for (const item of items) {
+        lines.push(`#EXTINF:-1,${item.title}`);
+        if (item.subtitle) lines.push(`#EXTVLCOPT:sub-file=${playlistRelativePath(playlistFolder, item.subtitle)}`);
+        lines.push(playlistRelativePath(playlistFolder, item.file));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function renderXspfPlaylist(title, items, playlistFolder) {
+    const tracks = items.map((item, i) => [
+        '    <track>',
+        `      <location>${escapeHtml(playlistRelativePath(playlistFolder, item.file, true))}</location>`,
+        `      <title>${escapeHtml(item.title)}</title>`,
+        `      <trackNum>${i + 1}</trackNum>`,
+        ...(item.subtitle ? [
+            '      <extension application="http://www.videolan.org/vlc/playlist/0">',
+            `        <vlc:option>sub-file=${escapeHtml(playlistRelativePath(playlistFolder, item.subtitle))}</vlc:option>`,
+            '      </extension>'
+        ] : []),
+        '    </track>'
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/" xmlns:vlc="http://www.videolan.org/vlc/playlist/ns/0/">',
+        `  <title>${escapeHtml(title)}</title>`,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n');
+}
+
+// Write "playlist.<fmt>" into each chapter folder and the course root, in course order. Returns written paths.
+async function writeCoursePlaylists(offline, { outputRootFolder, courseTitle, formats = PLAYLIST_FORMATS }) {
+    const written = [];
+    const writeAll = async (folder, title, items) => {
+        if (items.length === 0) return;
+        for (const format of formats) {
+            const filePath = path.join(folder, `${PLAYLIST_FILE_BASE}.${format}`);
+            const body = format === 'xspf' ? renderXspfPlaylist(title, items, folder) : renderM3u8Playlist(title, items, folder);
+            await fs.promises.writeFile(filePath, body, 'utf8');
+            written.push(filePath);
+        }
+    };
+    const courseItems = [];
+    // Chapter playlists need a folder of their own (flat templates put every chapter in the course folder)
+    const folderUse = new Map();
+    for (const chapter of offline) folderUse.set(chapter.folder, (folderUse.get(chapter.folder) || 0) + 1);
+    const ownFolder = (chapter) => folderUse.get(chapter.folder) === 1 && path.resolve(chapter.folder) !== path.resolve(outputRootFolder);
+    for (const chapter of offline) {
+        const items = chapter.units
+            .filter(u => u.kind === 'lecture' && u.file)
+            .map(u => {
+                const subtitle = [...(u.subtitles || [])].sort((a, b) => (b.lang === 'fa') - (a.lang === 'fa'))[0]?.file || null;
+                return { file: u.file, subtitle, title: `قسمت ${u.unitNo} - ${u.title}` };
+            });
+        if (ownFolder(chapter)) await writeAll(chapter.folder, `فصل ${chapter.chapterNo} - ${chapter.title}`, items);
+        courseItems.push(...items.map(item => ({ ...item, title: `فصل ${chapter.chapterNo} - ${item.title}` })));
+    }
+    await writeAll(outputRootFolder, courseTitle, courseItems);
+    return written;
+}
+
+// `playlists` command: rebuild playlists of a downloaded course from its manifest outline, or from folder names.
+async function runPlaylists(courseFolder, formats) {
+    if (!courseFolder || !fs.existsSync(courseFolder)) {
+        throw new Error(buildActionableError(
+            'PLAYLIST_FOLDER',
+            `Course folder not found: ${courseFolder}`,
+            'Pass the course slug/URL you downloaded, or the path of the course folder.'
+        ));
+    }
+    const manifest = CourseManifest.load(path.join(courseFolder, MANIFEST_FILE_NAME));
+    const outline = manifest.data.course?.outline;
+    const offline = Array.isArray(outline)
+        ? collectOfflineCourse(outline, {
+            outputRootFolder: courseFolder,
+            sampleBytesToDownload: manifest.data.course?.sampleBytes || 0,
+            naming: courseManifestNaming(manifest)
+        })
+        : collectOfflineCourseFromFolder(courseFolder);
+    logInfo(`Playlist order from ${Array.isArray(outline) ? 'manifest outline' : 'folder and file numbers'}`);
+    const courseTitle = manifest.data.course?.title || path.basename(courseFolder);
+    const written = await writeCoursePlaylists(offline, { outputRootFolder: courseFolder, courseTitle, formats });
+    if (written.length === 0) {
+        logWarn('No downloaded videos found; no playlist written.');
+        return false;
+    }
+    for (const p of written) printLine(`🎵 ${paintCyan(path.relative(courseFolder, p))}`);
+    logSuccess(`${written.length} playlist file(s) written`);
+    return true;
+}
+
+// ===============
+// --sync: local files are keyed by unit id (manifest), not by file name
+// ===============
+const TRASH_FOLDER_NAME = '.mkd-trash';
+
+// "<base>.mp4" / "<base>.ts" / "<base>.sample.mp4" / "<base>.md" / "<base>.html" -> "<base>"
+function unitFileBase(fileName) {
+    return fileName.replace(/\.sample\.(mp4|ts)$/i, '').replace(/\.(mp4|ts|md|html)$/i, '');
+}
+
+// Every file of a unit in its folder: the main file, "<base>.<lang>.vtt|srt", "<base> - <attachment>",
+// "<base>_files/" (text-unit images) and partial downloads ("<file>.part", "<file>.segments.json", "<file>.stream/").
+// `otherBases` are other units' bases in the same folder, so "A - B" is not taken as an attachment of "A".
+function listUnitFiles(folder, fileName, otherBases = []) {
+    const base = unitFileBase(fileName);
+    let names = [];
+    try { names = fs.readdirSync(folder); } catch { }
+    return names.filter(n => {
+        if (n !== fileName && !n.startsWith(`${base}.`) && !n.startsWith(`${base} - `) && n !== `${base}_files`) return false;
+        return !otherBases.some(o => o.length > base.length && o.startsWith(base) && (n === o || n.startsWith(`${o}.`) || n.startsWith(`${o} - `) || n === `${o}_files`));
+    });
+}
+
+// Compare the manifest with the current course: renamed/moved units (by id), new units and removed ones.
+// With `apply`, renames files in place (two phases, so swapped names do not collide) and, with `prune`,
+// moves removed units into "<course>/.mkd-trash/<timestamp>/". Returns the changelog.
+async function syncCourseFiles({ manifest, chapters, jobs, outputRootFolder, prune = false, apply = true }) {
+    // `present`: units whose files are on disk (moved or not), so they are not downloaded again; `upToDate`: the unchanged ones
+    const changes = { added: [], renamed: [], moved: [], removed: [], present: new Set(), upToDate: new Set(), trashFolder: null };
+    const rel = (p) => path.relative(outputRootFolder, p);
+    const liveIds = new Set();
+    for (const ch of chapters) for (const u of (Array.isArray(ch.unit_set) ? ch.unit_set : [])) liveIds.add(String(u.id));
+    const basesByFolder = new Map();
+    for (const u of Object.values(manifest.data.units)) {
+        if (!u?.file) continue;
+        const abs = path.resolve(outputRootFolder, u.file);
+        const list = basesByFolder.get(path.dirname(abs)) || [];
+        list.push(unitFileBase(path.basename(abs)));
+        basesByFolder.set(path.dirname(abs), list);
+    }
+    const filesOf = (absFile) => {
+        const folder = path.dirname(absFile);
+        const base = unitFileBase(path.basename(absFile));
+        return listUnitFiles(folder, path.basename(absFile), (basesByFolder.get(folder) || []).filter(b => b !== base))
+            .map(n => path.join(folder, n));
+    };
+    const moves = [];
+    for (const job of jobs) {
+        const key = String(job.unit.id);
+        const prev = manifest.getUnit(key);
+        // Lectures saved from an MPEG-TS stream keep their ".ts" extension
+        const targetFile = streamOutputPath(job.outputFilePath, /\.ts$/i.test(prev?.file || '') ? 'ts' : 'mp4');
+        const entry = { unitId: job.unit.id, chapterNo: job.chapterNo, unitNo: job.unitNo, title: job.unit.title || job.unit.slug || '', file: rel(targetFile) };
+        if (!prev?.file) {
+            if (!job.unit.locked) changes.added.push(entry);
+            continue;
+        }
+        const oldFile = path.resolve(outputRootFolder, prev.file);
+        const oldFiles = oldFile !== targetFile ? filesOf(oldFile) : [];
+        if (oldFiles.length > 0) {
+            const sameTitle = (prev.title || '') === entry.title;
+            const change = { ...entry, from: prev.file };
+            (sameTitle ? changes.moved : changes.renamed).push(change);
+            const oldBase = unitFileBase(path.basename(oldFile));
+            const newBase = unitFileBase(path.basename(job.outputFilePath));
+            for (const from of oldFiles) {
+                const name = path.basename(from);
+                const to = path.join(path.dirname(job.outputFilePath), newBase + name.slice(oldBase.length));
+                // Exported text pages link their images as "<base>_files/..."
+                const assets = job.kind === 'text' && from === oldFile ? { from: `${oldBase}_files/`, to: `${newBase}_files/` } : null;
+                moves.push({ from, to, change, assets });
+            }
+        }
+        if (['downloaded', 'exists'].includes(prev.status) && (fs.existsSync(oldFile) || fs.existsSync(job.outputFilePath))) {
+            changes.present.add(key);
+            if (oldFiles.length === 0) changes.upToDate.add(key);
+        } else if (!job.unit.locked) {
+            changes.added.push({ ...entry, retry: prev.status || 'pending' });
+        }
+    }
+    for (const [key, u] of Object.entries(manifest.data.units)) {
+        if (liveIds.has(key) || !u?.file) continue;
+        const absFile = path.resolve(outputRootFolder, u.file);
+        changes.removed.push({ unitId: u.unitId ?? key, chapterNo: u.chapterNo, unitNo: u.unitNo, title: u.title || '', file: u.file, files: filesOf(absFile) });
+    }
+    if (!apply) return changes;
+
+    // Phase 1: park every source under a temporary name; phase 2: move to the target (skip if taken)
+    const parked = [];
+    for (const m of moves) {
+        const tmp = `${m.from}.mkd-sync-tmp`;
+        try { await fs.promises.rename(m.from, tmp); parked.push({ ...m, tmp }); } catch (e) { logWarn(`Sync: cannot rename ${rel(m.from)}: ${e.message}`); }
+    }
+    for (const m of parked) {
+        try {
+            if (fs.existsSync(m.to)) throw new Error(`target exists: ${rel(m.to)}`);
+            await fs.promises.mkdir(path.dirname(m.to), { recursive: true });
+            await fs.promises.rename(m.tmp, m.to);
+            if (m.assets) {
+                const text = await fs.promises.readFile(m.to, 'utf8');
+                const pairs = [[m.assets.from, m.assets.to], [escapeHtml(m.assets.from), escapeHtml(m.assets.to)]];
+                const updated = pairs.reduce((acc, [a, b]) => acc.split(a).join(b), text);
+                if (updated !== text) await fs.promises.writeFile(m.to, updated, 'utf8');
+            }
+        } catch (e) {
+            logWarn(`Sync: kept ${rel(m.from)} (${e.message})`);
+            try { await fs.promises.rename(m.tmp, m.from); } catch { }
+            m.change.error = e.message;
+        }
+    }
+    const notMoved = new Set([...changes.renamed, ...changes.moved].filter(c => c.error).map(c => String(c.unitId)));
+    for (const job of jobs) {
+        if (manifest.getUnit(job.unit.id)?.file && !notMoved.has(String(job.unit.id))) manifest.register(job);
+    }
+    if (prune && changes.removed.length > 0) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        changes.trashFolder = path.join(outputRootFolder, TRASH_FOLDER_NAME, stamp);
+        for (const removed of changes.removed) {
+            for (const from of removed.files) {
+                const to = path.join(changes.trashFolder, rel(from));
+                try {
+                    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+                    await fs.promises.rename(from, to);
+                } catch (e) {
+                    logWarn(`Prune: cannot move ${rel(from)}: ${e.message}`);
+                    removed.error = e.message;
+                }
+            }
+            if (!removed.error) delete manifest.data.units[String(removed.unitId)];
+        }
+    }
+    await manifest.save();
+    // Chapter folders left behind by renames (old titles): their playlists point at files that moved away, so they go
+    // first; then the folder is removed if empty. Folders still holding units get fresh playlists after the run.
+    const liveFolders = new Set(Object.values(manifest.data.units).filter(u => u?.file).map(u => path.dirname(path.resolve(outputRootFolder, u.file))));
+    for (const folder of new Set(moves.map(m => path.dirname(m.from)))) {
+        if (folder === outputRootFolder || liveFolders.has(folder)) continue;
+        for (const format of PLAYLIST_FORMATS) {
+            try { await fs.promises.unlink(path.join(folder, `${PLAYLIST_FILE_BASE}.${format}`)); } catch { }
+        }
+        try { if (fs.readdirSync(folder).length === 0) await fs.promises.rmdir(folder); } catch { }
+    }
+    return changes;
+}
+
+function printSyncChangelog(changes, { outputRootFolder, prune, dryRun = false }) {
+    printLine('—'.repeat(40));
+    printLine(paintBold(`🔄 Sync changelog${dryRun ? ' (dry run: no files changed)' : ''}:`));
+    for (const c of changes.added) printLine(`  ➕ ${c.retry ? `retry (${c.retry})` : 'new'}: ${c.file}`);
+    for (const c of changes.renamed) printLine(`  ✏️ renamed: ${c.from} → ${paintCyan(c.file)}${c.error ? paintRed(` (not renamed: ${c.error})`) : ''}`);
+    for (const c of changes.moved) printLine(`  🔀 moved: ${c.from} → ${paintCyan(c.file)}${c.error ? paintRed(` (not moved: ${c.error})`) : ''}`);
+    for (const c of changes.removed) {
+        const where = prune
+            ? (c.error ? paintRed(`could not move to trash: ${c.error}`) : dryRun ? 'would move to trash' : `moved to ${path.relative(outputRootFolder, changes.trashFolder)}`)
+            : 'kept (use --prune to move it to the trash folder)';
+        printLine(`  ➖ removed from course: ${c.file} | ${where}`);
+    }
+    printLine(`  ✔️ unchanged / up to date: ${paintBold(String(changes.upToDate.size))}`);
+    emitEvent('sync', {
+        dryRun, prune,
+        added: changes.added.map(({ retry, ...c }) => ({ ...c, retry: retry || null })),
+        renamed: changes.renamed, moved: changes.moved,
+        removed: changes.removed.map(({ files, ...c }) => ({ ...c, files: files.map(f => path.relative(outputRootFolder, f)) })),
+        upToDate: changes.upToDate.size,
+        trashFolder: changes.trashFolder
+    });
+}
+
+// ===============
+// Interactive picker (--interactive): chapters expand into lectures; arrows move, space toggles, enter confirms.
+// Without a terminal it lists the lectures with numbers and reads one "1,2:3-5" answer instead.
+// ===============
+const PICKER_KEYS_HINT = '↑/↓ move  →/← open/close  space toggle  a all  s sizes  enter confirm  q cancel';
+
+// One node per chapter with its active lectures. Sizes come from the manifest of an earlier run, `s` estimates the rest.
+function buildPickerTree(chapters, { selection, manifest }) {
+    return chapters.map((chapter, chapterIndex) => {
+        const chapterNo = chapterIndex + 1;
+        const lectures = [];
+        for (const unit of Array.isArray(chapter.unit_set) ? chapter.unit_set : []) {
+            if (!unit?.status || unit?.type !== 'lecture') continue;
+            const lectureNo = lectures.length + 1;
+            const knownSize = manifest?.getUnit(unit.id)?.size;
+            lectures.push({
+                unit, lectureNo, locked: !!unit.locked,
+                size: Number.isFinite(knownSize) ? knownSize : null,
+                selected: !unit.locked && isChapterSelected(selection, chapterNo) && isLessonSelected(selection, chapterNo, lectureNo)
+                    && (!selection.titleFilters || evaluateTitleFilters(selection.titleFilters, { chapterTitle: chapter.title || chapter.slug, unitTitle: unit.title || unit.slug }).included)
+            });
+        }
+        // `selected` only matters for chapters without a lecture that can be picked
+        return { chapter, chapterNo, title: chapter.title || chapter.slug || '', lectures, expanded: false, selected: isChapterSelected(selection, chapterNo) };
+    });
+}
+
+function pickerChapterState(node) {
+    const selectable = node.lectures.filter(l => !l.locked);
+    if (selectable.length === 0) return node.selected ? 'all' : 'none';
+    const picked = selectable.filter(l => l.selected).length;
+    return picked === 0 ? 'none' : picked === selectable.length ? 'all' : 'some';
+}
+
+function setPickerChapter(node, on) {
+    node.selected = on;
+    for (const lecture of node.lectures) if (!lecture.locked) lecture.selected = on;
+}
+
+// Fully picked chapters become null (whole chapter, text units included), partial ones a Set of lecture numbers
+function pickerSelection(tree) {
+    const selectedUnits = new Map();
+    for (const node of tree) {
+        const state = pickerChapterState(node);
+        if (state === 'all') selectedUnits.set(node.chapterNo, null);
+        else if (state === 'some') selectedUnits.set(node.chapterNo, new Set(node.lectures.filter(l => l.selected).map(l => l.lectureNo)));
+    }
+    return selectedUnits;
+}
+
+// "312 KB", or "≥ 312 KB" when only some sizes are known, or '' when none is
+function pickerSizeText(lectures) {
+    const known = lectures.filter(l => l.size != null);
+    if (known.length === 0) return '';
+    const total = known.reduce((sum, l) => sum + l.size, 0);
+    return known.length === lectures.length ? formatBytes(total) : `≥ ${formatBytes(total)}`;
+}
+
+function pickerChapterMeta(node) {
+    const locked = node.lectures.filter(l => l.locked).length;
+    return [
+        `${node.lectures.length} lecture${node.lectures.length === 1 ? '' : 's'}`,
+        locked ? `${locked} locked` : '',
+        pickerSizeText(node.lectures.filter(l => !l.locked))
+    ].filter(Boolean).join(', ');
+}
+
+// Read the size of the source --quality would pick for every unlocked lecture of one chapter
+async function estimatePickerSizes(node, { courseSlug, normalizedCourseUrl, quality }) {
+    for (const lecture of node.lectures) {
+        if (lecture.locked || lecture.size != null) continue;
+        const lectureUrl = buildLectureUrl(courseSlug, node.chapter, lecture.unit);
+        try {
+            const res = await fetchWithRetry(lectureUrl, { headers: { ...commonHeaders(normalizedCourseUrl), accept: 'text/html' } });
+            if (!res.ok) continue;
+            const chosen = await selectVideoSource((await discoverLectureMedia(await res.text(), lectureUrl)).videos, quality, lectureUrl);
+            if (!chosen.url) continue;
+            const info = await chosenSourceSize(chosen, lectureUrl, quality);
+            if (Number.isFinite(info?.size)) lecture.size = info.size;
+        } catch { }
+    }
+}
+
+function pickerRowText({ node, lecture }, active, width) {
+    const pointer = active ? paintCyan('❯') : ' ';
+    if (!lecture) {
+        const state = pickerChapterState(node);
+        const box = state === 'all' ? paintGreen('[x]') : state === 'some' ? paintYellow('[~]') : '[ ]';
+        const meta = `(${pickerChapterMeta(node)})`;
+        const title = truncateLabel(`${node.chapterNo}. ${node.title}`, Math.max(10, width - meta.length - 12));
+        return `${pointer} ${node.expanded ? '▾' : '▸'} ${box} ${active ? paintBold(title) : title}  ${paint(COLOR.dim, meta)}`;
+    }
+    const box = lecture.locked ? '🔒 ' : lecture.selected ? paintGreen('[x]') : '[ ]';
+    const meta = lecture.locked ? 'locked / no access' : lecture.size != null ? formatBytes(lecture.size) : '';
+    const title = truncateLabel(`${node.chapterNo}:${lecture.lectureNo} ${lecture.unit.title || lecture.unit.slug || ''}`, Math.max(10, width - meta.length - 14));
+    return `${pointer}     ${box} ${active ? paintBold(title) : title}${meta ? `  ${paint(COLOR.dim, meta)}` : ''}`;
+}
+
+// Full-screen-less tree on stderr (stdout may carry --json events); redraws in place on every key.
+function runPickerTui(tree, estimateCtx) {
+    const input = process.stdin;
+    const out = process.stderr;
+    return new Promise((resolve, reject) => {
+        let cursor = 0;
+        let top = 0;
+        let drawnLines = 0;
+        let status = '';
+        let busy = false;
+        const visibleRows = () => tree.flatMap(node => [{ node }, ...(node.expanded ? node.lectures.map(lecture => ({ node, lecture })) : [])]);
+        const render = () => {
+            const rows = visibleRows();
+            const width = Math.max(40, (out.columns || 80) - 2);
+            const height = Math.max(3, (out.rows || 24) - 4);
+            cursor = Math.max(0, Math.min(cursor, rows.length - 1));
+            if (cursor < top) top = cursor;
+            if (cursor >= top + height) top = cursor - height + 1;
+            const selectedUnits = pickerSelection(tree);
+            const picked = tree.flatMap(node => node.lectures.filter(l => l.selected));
+            const sizeText = pickerSizeText(picked);
+            const footer = status || `${picked.length} lecture(s) in ${selectedUnits.size} chapter(s) selected${sizeText ? `, ${sizeText}` : ''}`;
+            const lines = [
+                `${paintBold('🧭 Select lectures')}  ${paint(COLOR.dim, truncateLabel(PICKER_KEYS_HINT, width - 20))}`,
+                ...rows.slice(top, top + height).map((row, i) => pickerRowText(row, top + i === cursor, width)),
+                busy ? paintYellow(footer) : paintCyan(footer)
+            ];
+            out.write(`${drawnLines ? `\u001b[${drawnLines}A` : ''}\r\u001b[J${lines.join('\n')}\n`);
+            drawnLines = lines.length;
+        };
+        const finish = (result, error = null) => {
+            input.off('keypress', onKey);
+            out.off('resize', render);
+            input.setRawMode(false);
+            input.pause();
+            out.write('\u001b[?25h');
+            if (error) reject(error);
+            else resolve(result);
+        };
+        const onKey = (str, key = {}) => {
+            if (key.ctrl && key.name === 'c') return finish(null, promptCancelledError());
+            if (busy) return;
+            const rows = visibleRows();
+            const row = rows[cursor];
+            status = '';
+            switch (key.name || str) {
+                case 'up': case 'k': cursor--; break;
+                case 'down': case 'j': cursor++; break;
+                case 'pageup': cursor -= Math.max(1, (out.rows || 24) - 5); break;
+                case 'pagedown': cursor += Math.max(1, (out.rows || 24) - 5); break;
+                case 'home': cursor = 0; break;
+                case 'end': cursor = rows.length - 1; break;
+                case 'right': case 'l':
+                    if (!row.lecture) row.node.expanded = true;
+                    break;
+                case 'left': case 'h':
+                    if (row.lecture) cursor = rows.findIndex(r => r.node === row.node && !r.lecture);
+                    else row.node.expanded = false;
+                    break;
+                case 'space':
+                    if (!row.lecture) setPickerChapter(row.node, pickerChapterState(row.node) !== 'all');
+                    else if (row.lecture.locked) status = 'Locked lecture: this account has no access to it.';
+                    else row.lecture.selected = !row.lecture.selected;
+                    break;
+                case 'a': {
+                    const on = !tree.every(node => pickerChapterState(node) === 'all');
+                    for (const node of tree) setPickerChapter(node, on);
+                    break;
+                }
+                case 's':
+                    busy = true;
+                    status = `Estimating sizes for chapter ${row.node.chapterNo}...`;
+                    render();
+                    estimatePickerSizes(row.node, estimateCtx).finally(() => {
+                        busy = false;
+                        status = '';
+                        render();
+                    });
+                    return;
+                case 'return': case 'enter':
+                    finish(pickerSelection(tree));
+                    return;
+                case 'q': case 'escape':
+                    finish(null);
+                    return;
+                default:
+                    return;
+            }
+            render();
+        };
+        readline.emitKeypressEvents(input);
+        input.setRawMode(true);
+        input.on('keypress', onKey);
+        out.on('resize', render);
+        input.resume();
+        out.write('\u001b[?25l');
+        render();
+    });
+}
+
+// Numbered fallback: print the tree, then read "all", a --select spec (see parseSelectSpec) or nothing for the preset
+async function runPickerPrompt(tree) {
+    printLine(paintBold('\n🧭 Lectures:'));
+    for (const node of tree) {
+        printLine(`📖 ${paintYellow(String(node.chapterNo).padStart(3))}. ${paintBold(node.title)}  (${pickerChapterMeta(node)})`);
+        for (const lecture of node.lectures) {
+            const meta = lecture.locked ? '  | locked / no access' : lecture.size != null ? `  | ${formatBytes(lecture.size)}` : '';
+            printLine(`     ${paintYellow(`${node.chapterNo}:${lecture.lectureNo}`.padEnd(6))} ${lecture.locked ? '🔒 ' : ''}${lecture.unit.title || lecture.unit.slug || ''}${meta}`);
+        }
+    }
+    const preset = pickerSelection(tree);
+    const presetText = preset.size === tree.length && Array.from(preset.values()).every(v => v === null) ? 'all' : describeUnitSelection(preset) || 'none';
+    for (;;) {
+        const answer = await promptLine(`\nLectures to download (e.g. 1,2:3-5,4- or all; empty = ${presetText}, q to cancel): `);
+        if (answer === null) { printLine(''); return null; }
+        if (!process.stdin.isTTY) printLine(answer); // piped answers are not echoed
+        const spec = answer.trim().toLowerCase();
+        if (!spec) return preset;
+        if (spec === 'q' || spec === 'none') return null;
+        if (spec === 'all') return new Map(tree.map(node => [node.chapterNo, null]));
+        try {
+            return resolveSelectSpec(parseSelectSpec(spec, 'lecture selection'), tree.map(node => node.lectures.length));
+        } catch (e) {
+            if (!process.stdin.isTTY) throw e;
+            logWarn(e.message);
+        }
+    }
+}
+
+// Let the user pick lectures of one course. Returns the Map for `selectedUnits`, or null when cancelled.
+async function pickCourseUnits(chapters, { selection, manifest, courseSlug, normalizedCourseUrl, quality }) {
+    const tree = buildPickerTree(chapters, { selection, manifest });
+    if (process.stdin.isTTY && process.stderr.isTTY && typeof process.stdin.setRawMode === 'function') {
+        return runPickerTui(tree, { courseSlug, normalizedCourseUrl, quality });
+    }
+    logInfo('No terminal for the interactive picker; falling back to a numbered prompt.');
+    return runPickerPrompt(tree);
+}
+
+// Run the dry-run preview or the download loop for one course. Assumes the session is already verified.
+async function downloadCourse(course, { isDryRun, retryFailed, sampleBytesToDownload, quality = DEFAULT_VIDEO_QUALITY, subtitleFormat = DEFAULT_SUBTITLE_FORMAT, listSources = false, exportText = null, sync = false, prune = false, interactive = false, titleFilters = null, verbose }) {
+    const { courseUrl: normalizedCourseUrl, courseSlug, selectedChapters, selectedLessons } = course;
+    let selectedUnits = course.selectedUnits || null;
+    const outputRootFolder = courseOutputFolder(courseSlug);
+    // Ensure base output folder exists only for real downloads
+    if (!isDryRun && !listSources) {
+        try { await fs.promises.mkdir(outputRootFolder, { recursive: true }); } catch { }
+    }
+    const manifest = CourseManifest.load(path.join(outputRootFolder, MANIFEST_FILE_NAME));
+    if (retryFailed && !manifest.exists()) {
+        throw new Error(buildActionableError(
+            'MANIFEST_MISSING',
+            `No download manifest found at ${manifest.filePath}.`,
+            `Run a normal download first: node download.mjs "${trimUrlForHint(normalizedCourseUrl)}"`
+        ));
+    }
+
+    printLine(`📚 Course slug: ${paintBold(decodeURIComponent(courseSlug))}`);
+    printLine(`📁 Output folder: ${paintCyan(outputRootFolder)}`);
+    emitEvent('course', {
+        slug: courseSlug, url: normalizedCourseUrl, outputFolder: outputRootFolder,
+        mode: listSources ? 'list-sources' : isDryRun ? 'dry-run' : retryFailed ? 'retry-failed' : sync ? 'sync' : 'download',
+        chapters: selectedChapters ? Array.from(selectedChapters).sort((a, b) => a - b) : null,
+        lessons: selectedLessons ? Array.from(selectedLessons).sort((a, b) => a - b) : null,
+        select: course.selectSpec?.text ?? null,
+        match: titleFilters ? titleFilters.match.map(f => f.pattern) : [],
+        exclude: titleFilters ? titleFilters.exclude.map(f => f.pattern) : [],
+        quality, subtitleFormat, exportText, sampleBytes: sampleBytesToDownload || 0
+    });
+    if (sampleBytesToDownload && sampleBytesToDownload > 0) {
+        printLine(`🎯 Sample mode: downloading first ${paintBold(String(sampleBytesToDownload))} bytes of each video (saved as .sample.mp4)`);
+    }
+    if (selectedChapters) {
+        printLine(`🧭 Chapter filter: ${paintCyan(Array.from(selectedChapters).sort((a, b) => a - b).join(', '))}`);
+    }
+    if (selectedLessons) {
+        printLine(`🧭 Lesson filter: ${paintCyan(Array.from(selectedLessons).sort((a, b) => a - b).join(', '))}`);
+    }
+    if (course.selectSpec) {
+        printLine(`🧭 Select: ${paintCyan(course.selectSpec.text)}`);
+    }
+    if (titleFilters) {
+        const patterns = [...titleFilters.match, ...titleFilters.exclude].map(f => `${f.flag} "${f.pattern}"`);
+        printLine(`🧭 Title filter: ${paintCyan(patterns.join(', '))}`);
+    }
+    if (quality !== DEFAULT_VIDEO_QUALITY) {
+        printLine(`🎚️ Video quality: ${paintCyan(quality)}`);
+    }
+    if (subtitleFormat !== DEFAULT_SUBTITLE_FORMAT) {
+        printLine(`📝 Subtitle format: ${paintCyan(subtitleFormat)}`);
+    }
+    if (exportText) {
+        printLine(`📄 Non-lecture units: exported as ${paintCyan(exportText === 'html' ? 'sanitized HTML' : 'Markdown')}`);
+    }
+    if (isDryRun) {
+        printLine(`🧪 Mode: ${paintYellow('DRY RUN')} (no files will be downloaded)`);
+    }
+    if (sync) {
+        printLine(`🔄 Mode: ${paintCyan('SYNC')} (rename changed units, download new ones${prune ? ', move removed ones to the trash folder' : ''})`);
+        if (!manifest.exists()) logWarn('No manifest yet: every unit counts as new on this first sync.');
+    }
+
+    // Fetch chapters
+    verbose(paintCyan('Fetching chapters...'));
+    const chaptersData = await fetchChapters(courseSlug, normalizedCourseUrl);
+    const chapters = Array.isArray(chaptersData?.chapters) ? chaptersData.chapters : [];
+    if (chapters.length === 0) {
+        const err = new Error(buildActionableError(
+            'CHAPTERS_EMPTY',
+            'No chapters returned for this course URL.',
+            [
+                'Check that the URL is a valid course page.',
+                'Ensure this account has access to the course.',
+                `Retry: node download.mjs "${trimUrlForHint(normalizedCourseUrl)}" --force-login`
+            ]
+        ));
+        err.exitCode = 2;
+        throw err;
+    }
+    const knownCourseTitle = course.title || chaptersData?.title || chaptersData?.course?.title || manifest.data.course?.title || '';
+    const naming = { nameTemplate: RUNTIME_CONFIG.nameTemplate, courseTitle: knownCourseTitle, courseSlug };
+    const unitNaming = { ...naming, outputRootFolder };
+
+    if (course.selectSpec) {
+        selectedUnits = resolveSelectSpec(course.selectSpec, countChapterLectures(chapters));
+    }
+    if (interactive) {
+        selectedUnits = await pickCourseUnits(chapters, {
+            selection: { selectedChapters, selectedLessons, selectedUnits, titleFilters }, manifest, courseSlug, normalizedCourseUrl, quality
+        });
+        // Title filters only preselected lectures in the picker; what was picked there is final
+        titleFilters = null;
+    }
+    if (course.selectSpec || interactive) {
+        if (!selectedUnits || selectedUnits.size === 0) {
+            logInfo('No lectures selected; nothing to do for this course.');
+            return { dryRun: isDryRun, totalUnits: 0 };
+        }
+        printLine(`🧭 Selection: ${paintCyan(describeUnitSelection(selectedUnits))}`);
+        emitEvent('selection', {
+            slug: courseSlug,
+            units: Array.from(selectedUnits, ([chapterNo, lessons]) => ({ chapterNo, lessons: lessons ? Array.from(lessons).sort((a, b) => a - b) : null }))
+        });
+    }
+    const selection = { selectedChapters, selectedLessons, selectedUnits };
+
+    if (listSources) {
+        return listLectureSources(chapters, { courseSlug, normalizedCourseUrl, selectedChapters, selectedLessons, selectedUnits, titleFilters, quality, outputRootFolder, naming });
+    }
+    // Sync looks at every unit of the course (renames/removals are not limited to --chapter/--lesson)
+    let syncChanges = null;
+    if (sync) {
+        const { jobs: allJobs } = buildLectureJobs(chapters, {
+            selectedChapters: null, selectedLessons: null, sampleBytesToDownload, outputRootFolder, exportText, naming
+        });
+        syncChanges = await syncCourseFiles({ manifest, chapters, jobs: allJobs, outputRootFolder, prune, apply: !isDryRun });
+        printSyncChangelog(syncChanges, { outputRootFolder, prune, dryRun: isDryRun });
+    }
+
+    if (isDryRun) {
+        let totalLectures = 0;
+        let totalLocked = 0;
+        let totalUnknownSize = 0;
         let totalSubtitleCount = 0;
         let totalAttachmentCount = 0;
         let totalKnownBytes = 0;
-        console.log('—'.repeat(40));
-        console.log(paintBold('Dry-run preview (estimated sizes):'));
-        console.log(`📁 Planned output root: ${paintCyan(outputRootFolder)}`);
+        let totalFiltered = 0;
+        // Which --match / --exclude decided a unit (null without title filters)
+        const filterUnit = (chapter, unit) => titleFilters
+            ? evaluateTitleFilters(titleFilters, { chapterTitle: chapter.title || chapter.slug, unitTitle: unit.title || unit.slug })
+            : null;
+        const filterNote = (result) => (result?.reason ? `  | 🧭 ${describeTitleFilterReason(result.reason)}` : '');
+        printLine('—'.repeat(40));
+        printLine(paintBold('Dry-run preview (estimated sizes):'));
+        printLine(`📁 Planned output root: ${paintCyan(outputRootFolder)}`);
         for (let chapterIndex = 0; chapterIndex < chapters.length; chapterIndex++) {
             const chapter = chapters[chapterIndex];
             const chapterNo = chapterIndex + 1;
-            if (selectedChapters && !selectedChapters.has(chapterNo)) continue;
-            const chapterFolder = path.join(outputRootFolder, `فصل ${chapterNo} - ${sanitizeName(chapter.title || chapter.slug || 'chapter')}`);
+            if (!isChapterSelected(selection, chapterNo)) continue;
+            const { chapterFolder } = resolveUnitPath(unitNaming, { chapter, chapterNo });
             const units = Array.isArray(chapter.unit_set) ? chapter.unit_set : [];
             let chapterLectureNo = 0;
+            let chapterTextSinceLecture = 0;
             let chapterKnownBytes = 0;
             let chapterUnknownSize = 0;
             let chapterLocked = 0;
             let chapterSelected = 0;
             let chapterSubtitleCount = 0;
             let chapterAttachmentCount = 0;
-            console.log(`\n📖 Chapter ${chapterNo}: ${paintBold(chapter.title || chapter.slug)}`);
-            console.log(`📂 Output: ${paintCyan(chapterFolder)}`);
+            let chapterFiltered = 0;
+            printLine(`\n📖 Chapter ${chapterNo}: ${paintBold(chapter.title || chapter.slug)}`);
+            printLine(`📂 Output: ${paintCyan(chapterFolder)}`);
             for (let unitIndex = 0; unitIndex < units.length; unitIndex++) {
+                ABORT_SIGNAL?.throwIfAborted();
                 const unit = units[unitIndex];
-                if (!unit?.status || unit?.type !== 'lecture') continue;
+                if (!unit?.status) continue;
+                if (unit?.type !== 'lecture') {
+                    if (!exportText) continue;
+                    chapterTextSinceLecture++;
+                    if (!isLessonSelected(selection, chapterNo, chapterLectureNo)) continue;
+                    const textUnitNo = `${chapterLectureNo}.${chapterTextSinceLecture}`;
+                    const textPath = resolveUnitPath(unitNaming, { chapter, chapterNo, unit, lessonNo: textUnitNo, ext: exportText === 'html' ? 'html' : 'md' });
+                    const textPlan = {
+                        chapterNo, unitNo: textUnitNo, unitId: unit.id, kind: 'text', type: unit.type,
+                        title: unit.title || unit.slug || '', file: textPath.filePath
+                    };
+                    const textFilter = filterUnit(chapter, unit);
+                    if (textFilter && !textFilter.included) {
+                        chapterFiltered++;
+                        totalFiltered++;
+                        printLine(`  ⏭️ ${path.relative(chapterFolder, textPath.filePath)}  | skipped: ${describeTitleFilterReason(textFilter.reason)}`);
+                        emitEvent('plan-unit', { ...textPlan, status: 'filtered', filter: textFilter.reason });
+                        continue;
+                    }
+                    printLine(`  📄 ${path.relative(chapterFolder, textPath.filePath)}  | ${unit.type || 'text'} unit${unit.locked ? ' (locked / no access)' : ''}${filterNote(textFilter)}`);
+                    emitEvent('plan-unit', { ...textPlan, status: unit.locked ? 'locked' : 'planned', filter: textFilter?.reason ?? null });
+                    continue;
+                }
                 chapterLectureNo++;
-                if (selectedLessons && !selectedLessons.has(chapterLectureNo)) continue;
+                chapterTextSinceLecture = 0;
+                if (!isLessonSelected(selection, chapterNo, chapterLectureNo)) continue;
+                const unitNo = chapterLectureNo;
+                const lecturePath = resolveUnitPath(unitNaming, { chapter, chapterNo, unit, lessonNo: unitNo, ext: 'mp4' });
+                const unitOutPath = (sampleBytesToDownload && sampleBytesToDownload > 0)
+                    ? lecturePath.filePath.replace(/\.mp4$/i, '.sample.mp4')
+                    : lecturePath.filePath;
+                const finalFileName = path.relative(chapterFolder, unitOutPath);
+                const lectureFilter = filterUnit(chapter, unit);
+                const planUnitBase = {
+                    chapterNo, unitNo: chapterLectureNo, unitId: unit.id, kind: 'lecture',
+                    title: unit.title || unit.slug || '', file: unitOutPath, filter: lectureFilter?.reason ?? null
+                };
+                if (lectureFilter && !lectureFilter.included) {
+                    chapterFiltered++;
+                    totalFiltered++;
+                    printLine(`  ⏭️ ${finalFileName}  | skipped: ${describeTitleFilterReason(lectureFilter.reason)}`);
+                    emitEvent('plan-unit', { ...planUnitBase, status: 'filtered' });
+                    continue;
+                }
                 chapterSelected++;
                 totalLectures++;
-                const unitNo = chapterLectureNo;
-                const baseFileName = `قسمت ${unitNo} - ${sanitizeName(unit.title || unit.slug || 'lecture')}.mp4`;
-                const finalFileName = (sampleBytesToDownload && sampleBytesToDownload > 0)
-                    ? baseFileName.replace(/\.mp4$/i, '.sample.mp4')
-                    : baseFileName;
                 if (unit.locked) {
                     chapterLocked++;
                     totalLocked++;
-                    console.log(`  🔒 ${finalFileName}  | locked / no access`);
+                    printLine(`  🔒 ${finalFileName}  | locked / no access${filterNote(lectureFilter)}`);
+                    emitEvent('plan-unit', { ...planUnitBase, status: 'locked' });
                     continue;
                 }
                 const lectureUrl = buildLectureUrl(courseSlug, chapter, unit);
@@ -1352,18 +5972,23 @@ async function main() {
                     const res = await fetchWithRetry(lectureUrl, { headers: { ...commonHeaders(normalizedCourseUrl), accept: 'text/html' } });
                     if (!res.ok) throw new Error(explainHttpFailure(res.status, 'Fetch lecture page'));
                     const html = await res.text();
-                    const videoSources = extractVideoSources(html);
-                    const bestSourceUrl = pickBestSource(videoSources);
+                    const media = await discoverLectureMedia(html, lectureUrl);
+                    const chosenSource = await selectVideoSource(media.videos, quality, lectureUrl);
+                    const bestSourceUrl = chosenSource.url;
                     if (!bestSourceUrl) {
-                        console.log(`  ⚠️ ${finalFileName}  | no video source found`);
+                        printLine(`  ⚠️ ${finalFileName}  | no video source found`);
+                        printLine(`     🔍 Tried: ${describeMediaDiscovery(media.report)}`);
+                        emitEvent('plan-unit', { ...planUnitBase, status: 'no-source', discovery: media.report });
                         chapterUnknownSize++;
                         totalUnknownSize++;
                         continue;
                     }
-                    const videoInfo = await getRemoteSizeAndRanges(bestSourceUrl, lectureUrl);
+                    const videoInfo = await chosenSourceSize(chosenSource, lectureUrl, quality);
                     const videoBytes = Number.isFinite(videoInfo?.size) ? videoInfo.size : null;
-                    const subtitleLinks = extractSubtitleLinks(html).map(s => toAbsoluteUrl(s, ORIGIN));
-                    const attachmentLinks = extractAttachmentLinks(html).map(a => toAbsoluteUrl(a, ORIGIN));
+                    // An MPEG-TS stream is saved as "<base>.ts"
+                    const videoOutPath = streamOutputPath(unitOutPath, videoInfo?.container);
+                    const subtitleLinks = media.subtitles.map(s => s.url);
+                    const attachmentLinks = media.attachments;
                     let subtitleKnownBytes = 0;
                     let subtitleUnknown = 0;
                     let attachmentKnownBytes = 0;
@@ -1396,188 +6021,569 @@ async function main() {
                         chapterUnknownSize++;
                         totalUnknownSize++;
                     }
-                    const unitOutPath = path.join(chapterFolder, finalFileName);
                     const videoText = videoBytes == null ? 'unknown' : formatBytes(videoBytes);
+                    const subtitleLangs = media.subtitles.map(t => subtitleLanguageTag(t)).filter(Boolean);
+                    const subtitleLangText = subtitleLangs.length ? ` [${subtitleLangs.join(', ')}]` : '';
                     const subtitleText = subtitleLinks.length === 0
                         ? 'none'
-                        : `${subtitleLinks.length} file(s), ${formatBytes(subtitleKnownBytes)}${subtitleUnknown ? ` + ${subtitleUnknown} unknown` : ''}`;
+                        : `${subtitleLinks.length} file(s)${subtitleLangText}, ${formatBytes(subtitleKnownBytes)}${subtitleUnknown ? ` + ${subtitleUnknown} unknown` : ''}`;
                     const attachmentText = attachmentLinks.length === 0
                         ? 'none'
                         : `${attachmentLinks.length} file(s), ${formatBytes(attachmentKnownBytes)}${attachmentUnknown ? ` + ${attachmentUnknown} unknown` : ''}`;
                     const totalText = `${formatBytes(unitKnownBytes)}${unitUnknownCount ? ` + ${unitUnknownCount} unknown` : ''}`;
-                    console.log(`  🎬 ${finalFileName}`);
-                    console.log(`     size(video): ${videoText} | subtitles: ${subtitleText} | attachments: ${attachmentText} | total: ${totalText}`);
-                    console.log(`     output: ${paintCyan(unitOutPath)}`);
+                    printLine(`  🎬 ${path.relative(chapterFolder, videoOutPath)}${filterNote(lectureFilter)}`);
+                    printLine(`     size(video): ${videoText} | subtitles: ${subtitleText} | attachments: ${attachmentText} | total: ${totalText}`);
+                    printLine(`     output: ${paintCyan(videoOutPath)}`);
+                    emitEvent('plan-unit', {
+                        ...planUnitBase, file: videoOutPath, status: 'planned', sourceUrl: bestSourceUrl, videoBytes,
+                        subtitles: subtitleLinks.length, subtitleLangs, subtitleBytes: subtitleKnownBytes,
+                        attachments: attachmentLinks.length, attachmentBytes: attachmentKnownBytes,
+                        knownBytes: unitKnownBytes, unknownCount: unitUnknownCount
+                    });
                 } catch (err) {
                     chapterUnknownSize++;
                     totalUnknownSize++;
-                    console.log(`  ⚠️ ${finalFileName}  | size estimate failed: ${err.message}`);
+                    printLine(`  ⚠️ ${finalFileName}  | size estimate failed: ${err.message}`);
+                    emitEvent('plan-unit', { ...planUnitBase, status: 'error', code: errorCodeOf(err), message: err.message });
                 }
             }
-            console.log(`  ─ chapter summary: selected=${chapterSelected}, locked=${chapterLocked}, subtitles=${chapterSubtitleCount}, attachments=${chapterAttachmentCount}, estimated=${formatBytes(chapterKnownBytes)}${chapterUnknownSize ? ` + ${chapterUnknownSize} unknown item(s)` : ''}`);
-        }
-        console.log('\n' + '—'.repeat(40));
-        console.log(paintBold('Dry-run total summary:'));
-        console.log(`🎞️ Lectures selected: ${paintBold(String(totalLectures))}`);
-        console.log(`🔒 Locked lectures: ${paintYellow(String(totalLocked))}`);
-        console.log(`📝 Subtitle files: ${paintBold(String(totalSubtitleCount))}`);
-        console.log(`📎 Attachment files: ${paintBold(String(totalAttachmentCount))}`);
-        console.log(`💾 Estimated total (known sizes): ${paintGreen(formatBytes(totalKnownBytes))}`);
-        console.log(`❓ Unknown-size items: ${paintYellow(String(totalUnknownSize))}`);
-        console.log(`ℹ️ Note: This is an estimate based on server-reported sizes (HEAD/Range). Final size may differ.`);
-        return;
+            emitEvent('plan-chapter', {
+                chapterNo, title: chapter.title || chapter.slug || '', folder: chapterFolder, selected: chapterSelected, locked: chapterLocked, filtered: chapterFiltered,
+                subtitles: chapterSubtitleCount, attachments: chapterAttachmentCount, knownBytes: chapterKnownBytes, unknownCount: chapterUnknownSize
+            });
+            printLine(`  ─ chapter summary: selected=${chapterSelected}, locked=${chapterLocked}${titleFilters ? `, filtered=${chapterFiltered}` : ''}, subtitles=${chapterSubtitleCount}, attachments=${chapterAttachmentCount}, estimated=${formatBytes(chapterKnownBytes)}${chapterUnknownSize ? ` + ${chapterUnknownSize} unknown item(s)` : ''}`);
+        }
+        printLine('\n' + '—'.repeat(40));
+        printLine(paintBold('Dry-run total summary:'));
+        printLine(`🎞️ Lectures selected: ${paintBold(String(totalLectures))}`);
+        printLine(`🔒 Locked lectures: ${paintYellow(String(totalLocked))}`);
+        if (titleFilters) printLine(`⏭️ Skipped by title filter: ${paintYellow(String(totalFiltered))}`);
+        printLine(`📝 Subtitle files: ${paintBold(String(totalSubtitleCount))}`);
+        printLine(`📎 Attachment files: ${paintBold(String(totalAttachmentCount))}`);
+        printLine(`💾 Estimated total (known sizes): ${paintGreen(formatBytes(totalKnownBytes))}`);
+        printLine(`❓ Unknown-size items: ${paintYellow(String(totalUnknownSize))}`);
+        printLine(`ℹ️ Note: This is an estimate based on server-reported sizes (HEAD/Range). Final size may differ.`);
+        emitEvent('summary', {
+            slug: courseSlug, dryRun: true, totalUnits: totalLectures, locked: totalLocked, filtered: totalFiltered, subtitles: totalSubtitleCount,
+            attachments: totalAttachmentCount, knownBytes: totalKnownBytes, unknownCount: totalUnknownSize
+        });
+        return { dryRun: true, totalUnits: totalLectures, knownBytes: totalKnownBytes, unknownCount: totalUnknownSize };
     }
 
     // Iterate chapters and units
-    let totalUnits = 0, downloadedCount = 0, skippedCount = 0, failedCount = 0, nonLectureUnits = 0;
-    try {
-        for (let chapterIndex = 0; chapterIndex < chapters.length; chapterIndex++) {
-            const chapter = chapters[chapterIndex];
-            const chapterNo = chapterIndex + 1;
-            if (selectedChapters && !selectedChapters.has(chapterNo)) continue;
-            const chapterFolder = path.join(outputRootFolder, `فصل ${chapterNo} - ${sanitizeName(chapter.title || chapter.slug || 'chapter')}`);
-            console.log(`📖 Chapter ${chapterIndex + 1}/${chapters.length}: ${paintBold(chapter.title || chapter.slug)}`);
-
-            const units = Array.isArray(chapter.unit_set) ? chapter.unit_set : [];
-            let chapterLectureNo = 0;
-            for (let unitIndex = 0; unitIndex < units.length; unitIndex++) {
-                const unit = units[unitIndex];
-                if (!unit?.status) continue; // inactive
-                if (unit?.type !== 'lecture') { nonLectureUnits++; continue; } // skip non-video units
-                chapterLectureNo++;
-                if (selectedLessons && !selectedLessons.has(chapterLectureNo)) continue;
-                totalUnits++;
-                const unitNo = chapterLectureNo;
-                const baseFileName = `قسمت ${unitNo} - ${sanitizeName(unit.title || unit.slug || 'lecture')}.mp4`;
-                const finalFileName = (sampleBytesToDownload && sampleBytesToDownload > 0)
-                    ? baseFileName.replace(/\.mp4$/i, '.sample.mp4')
-                    : baseFileName;
-                const outputFilePath = path.join(chapterFolder, finalFileName);
-                verbose(`  🎬 Unit ${unitIndex + 1}/${units.length}: ${unit.title || unit.slug}`);
-
-                // Skip locked content or content requiring purchase
-                if (unit.locked) {
-                    logWarn(`🔒 Locked/No access: ${finalFileName}`);
-                    skippedCount++;
-                    continue;
-                }
-
-                const lectureUrl = buildLectureUrl(courseSlug, chapter, unit);
-                try {
-                    // Fetch lecture page HTML
-                    const res = await fetchWithRetry(lectureUrl, { headers: { ...commonHeaders(normalizedCourseUrl), accept: 'text/html' } });
-                    if (!res.ok) throw new Error(explainHttpFailure(res.status, 'Fetch lecture page'));
-                    const html = await res.text();
-                    const videoSources = extractVideoSources(html);
-                    const bestSourceUrl = pickBestSource(videoSources);
-                    if (!bestSourceUrl) { logWarn(`No video source found for: ${finalFileName}`); skippedCount++; continue; }
-
-
-                    // Print the filename on its own line; progress bar will render on the next line
-                    console.log(`📥 Downloading: ${finalFileName}`);
-                    const status = await downloadToFile(bestSourceUrl, outputFilePath, lectureUrl, RUNTIME_CONFIG.retryAttempts, sampleBytesToDownload, '');
-                    if (status === 'exists') { console.log(paintYellow(`🟡 SKIP exists: ${finalFileName}`)); skippedCount++; }
-                    else { logSuccess(`DOWNLOADED: ${finalFileName}`); downloadedCount++; }
-
-                    // ---- Subtitles (download beside video, same base name) ----
-                    try {
-                        const subtitleLinks = extractSubtitleLinks(html);
-                        if (subtitleLinks.length > 0) {
-                            const videoBaseNoExt = finalFileName.replace(/\.sample\.mp4$/i, '').replace(/\.mp4$/i, '');
-                            for (const sUrl of subtitleLinks) {
-                                try {
-                                    const absUrl = (() => { try { return new URL(sUrl, ORIGIN).toString(); } catch { return sUrl; } })();
-                                    // determine extension from pathname or fallback to .vtt
-                                    let ext = '.vtt';
-                                    try { const up = new URL(absUrl); ext = path.extname(up.pathname) || '.vtt'; } catch { }
-                                    const subtitleName = `${videoBaseNoExt}${ext}`;
-                                    const subtitlePath = path.join(chapterFolder, subtitleName);
-                                    if (fs.existsSync(subtitlePath) && fs.statSync(subtitlePath).size > 0) {
-                                        console.log(paintYellow(`🟡 Subtitle exists: ${subtitleName}`));
-                                        continue;
-                                    }
-                                    console.log(`📝 Subtitle: ${subtitleName}`);
-                                    const sStatus = await downloadToFile(absUrl, subtitlePath, lectureUrl, RUNTIME_CONFIG.retryAttempts, 0, '');
-                                    if (sStatus === 'exists') console.log(paintYellow(`🟡 Subtitle exists: ${subtitleName}`));
-                                    else logSuccess(`SUBTITLE: ${subtitleName}`);
-                                    await sleep(150);
-                                } catch (subErr) { logWarn(`Subtitle fail: ${subErr.message}`); }
-                            }
-                        }
-                    } catch (subOuter) { logWarn(`Subtitle parse error: ${subOuter.message}`); }
-
-                    // ---- Attachments (download beside video) ----
-                    try {
-                        const attachmentLinks = extractAttachmentLinks(html);
-                        if (attachmentLinks.length > 0) {
-                            // Derive base (remove .sample.mp4 or .mp4)
-                            const videoBaseNoExt = finalFileName.replace(/\.sample\.mp4$/i, '').replace(/\.mp4$/i, '');
-                            for (const attUrl of attachmentLinks) {
-                                try {
-                                    // Extract original filename from URL path (strip query)
-                                    let filePart;
-                                    try {
-                                        const u = new URL(attUrl);
-                                        filePart = u.pathname.split('/').pop() || 'attachment.bin';
-                                    } catch { filePart = attUrl.split('?')[0].split('/').pop() || 'attachment.bin'; }
-                                    // Keep original name (with underscores) but sanitize forbidden characters
-                                    const sanitizedAttachment = sanitizeName(filePart);
-                                    const finalAttachmentName = `${videoBaseNoExt} - ${sanitizedAttachment}`;
-                                    const attachmentPath = path.join(chapterFolder, finalAttachmentName);
-                                    if (fs.existsSync(attachmentPath) && fs.statSync(attachmentPath).size > 0) {
-                                        console.log(paintYellow(`🟡 Attachment exists: ${finalAttachmentName}`));
-                                        continue;
-                                    }
-                                    console.log(`📎 Attachment: ${finalAttachmentName}`);
-                                    const aStatus = await downloadToFile(attUrl, attachmentPath, lectureUrl, RUNTIME_CONFIG.retryAttempts, 0, '');
-                                    if (aStatus === 'exists') console.log(paintYellow(`🟡 Attachment exists: ${finalAttachmentName}`));
-                                    else logSuccess(`ATTACHMENT: ${finalAttachmentName}`);
-                                    await sleep(200);
-                                } catch (attErr) {
-                                    logWarn(`Attachment fail: ${attErr.message}`);
-                                }
-                            }
-                        }
-                    } catch (attOuterErr) {
-                        logWarn(`Attachment parse error: ${attOuterErr.message}`);
-                    }
-                    // polite pause
-                    await sleep(400);
-                } catch (err) {
-                    logError(`FAIL ${finalFileName}: ${err.message}`);
-                    failedCount++;
-                }
-            }
-        }
-    } finally {
-        console.log('—'.repeat(40));
-        console.log(`📊 Total lecture units: ${paintBold(String(totalUnits))}`);
-        console.log(`✅ Downloaded: ${paintGreen(String(downloadedCount))}`);
-        console.log(`🟡 Skipped: ${paintYellow(String(skippedCount))}`);
-        console.log(`❌ Failed: ${paintRed(String(failedCount))}`);
-        if (totalUnits === 0) {
-            if (nonLectureUnits > 0) {
+    const { jobs: plannedJobs, nonLectureUnits, filteredUnits } = buildLectureJobs(chapters, {
+        selectedChapters, selectedLessons, selectedUnits, titleFilters, sampleBytesToDownload, outputRootFolder, exportText, naming
+    });
+    if (filteredUnits > 0) {
+        printLine(`🧭 Title filter: skipped ${paintBold(String(filteredUnits))} unit(s) (--dry-run shows why)`);
+    }
+    let lectureJobs = plannedJobs;
+    if (retryFailed) {
+        const retryIds = manifest.retryUnitIds();
+        lectureJobs = plannedJobs.filter(job => retryIds.has(String(job.unit.id)));
+        printLine(`🔁 Retry-failed: ${paintBold(String(lectureJobs.length))} unit(s) marked failed/incomplete in manifest`);
+    }
+    if (syncChanges) {
+        lectureJobs = lectureJobs.filter(job => !syncChanges.present.has(String(job.unit.id)));
+        printLine(`🔄 Sync: ${paintBold(String(lectureJobs.length))} unit(s) to download`);
+    }
+    for (const job of lectureJobs) manifest.register(job);
+    emitEvent('plan', {
+        slug: courseSlug,
+        chapters: chapters.map((ch, i) => ({ chapterNo: i + 1, id: ch.id, title: ch.title || ch.slug || '' })),
+        units: lectureJobs.map(j => ({
+            unitId: j.unit.id, chapterNo: j.chapterNo, unitNo: j.unitNo, kind: j.kind, title: j.unit.title || j.unit.slug || '',
+            locked: !!j.unit.locked, file: manifest.unitFilePath(j.unit.id) || j.outputFilePath
+        }))
+    });
+    manifest.setCourse({
+        slug: courseSlug, url: normalizedCourseUrl, chapterCount: chapters.length,
+        title: knownCourseTitle,
+        sampleBytes: sampleBytesToDownload || 0,
+        nameTemplate: naming.nameTemplate,
+        outline: buildCourseOutline(chapters)
+    });
+    await manifest.save();
+    const stats = {
+        totalUnits: lectureJobs.filter(j => j.kind === 'lecture').length, downloadedCount: 0, skippedCount: 0, failedCount: 0, nonLectureUnits,
+        textUnits: lectureJobs.filter(j => j.kind === 'text').length, textSavedCount: 0, textSkippedCount: 0, textFailedCount: 0
+    };
+    const jobCtx = { courseSlug, normalizedCourseUrl, outputRootFolder, sampleBytesToDownload, quality, subtitleFormat, exportText, verbose, stats, manifest };
+    const announcedChapters = new Set();
+    if (RATE_LIMITER) {
+        const fmt = (m) => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+        const lifted = RUNTIME_CONFIG.unlimitedHours.map(w => `${fmt(w.from)}-${fmt(w.to)}`).join(', ');
+        printLine(`🐢 Rate limit: ${paintBold(formatSpeed(RUNTIME_CONFIG.limitRate))} shared by all transfers${lifted ? ` (unlimited ${lifted}${RATE_LIMITER.isLimiting() ? '' : ', active now'})` : ''}`);
+    }
+    if (RUNTIME_CONFIG.concurrency > 1) {
+        printLine(`🧵 Concurrency: ${paintBold(String(RUNTIME_CONFIG.concurrency))} lectures in parallel (per-file progress bars disabled)`);
+    }
+    try {
+        await runWithConcurrency(lectureJobs, RUNTIME_CONFIG.concurrency, async (job) => {
+            if (!announcedChapters.has(job.chapterNo)) {
+                announcedChapters.add(job.chapterNo);
+                printLine(`📖 Chapter ${job.chapterNo}/${job.chapterCount}: ${paintBold(job.chapter.title || job.chapter.slug)}`);
+            }
+            if (job.kind === 'text') await processTextUnitJob(job, jobCtx);
+            else await processLectureJob(job, jobCtx);
+        });
+    } finally {
+        await manifest.save();
+        printLine('—'.repeat(40));
+        printLine(`📊 Total lecture units: ${paintBold(String(stats.totalUnits))}`);
+        printLine(`✅ Downloaded: ${paintGreen(String(stats.downloadedCount))}`);
+        printLine(`🟡 Skipped: ${paintYellow(String(stats.skippedCount))}`);
+        printLine(`❌ Failed: ${paintRed(String(stats.failedCount))}`);
+        if (stats.textUnits > 0) {
+            printLine(`📄 Text units: ${paintBold(String(stats.textUnits))} (saved ${paintGreen(String(stats.textSavedCount))}, skipped ${paintYellow(String(stats.textSkippedCount))}, failed ${paintRed(String(stats.textFailedCount))})`);
+        }
+        printLine(`🗂️ Manifest: ${paintCyan(manifest.filePath)}`);
+        emitEvent('summary', { slug: courseSlug, dryRun: false, ...stats, manifest: manifest.filePath });
+        if (stats.totalUnits === 0 && stats.textUnits === 0) {
+            if (stats.nonLectureUnits > 0) {
                 logInfo(`No downloadable video lectures found. This course appears to contain only non-video units (e.g. assignment/quiz).`);
             } else {
                 logInfo('No downloadable video lectures found for this course with current access/session.');
             }
         }
     }
+    // Aborted runs keep the manifest (for --retry-failed) but skip the index/playlists of a half-finished course
+    ABORT_SIGNAL?.throwIfAborted();
+    const courseTitle = knownCourseTitle || decodeURIComponent(courseSlug);
+    if (RUNTIME_CONFIG.courseIndex) {
+        try {
+            const indexPath = await writeCourseIndex(chapters, { courseSlug, courseTitle, normalizedCourseUrl, outputRootFolder, sampleBytesToDownload, naming });
+            printLine(`🧭 Offline index: ${paintCyan(indexPath)}`);
+        } catch (e) {
+            logWarn(`Could not write offline index: ${e.message}`);
+        }
+    }
+    if (RUNTIME_CONFIG.playlists.length > 0) {
+        try {
+            const offline = collectOfflineCourse(chapters, { outputRootFolder, sampleBytesToDownload, naming });
+            const written = await writeCoursePlaylists(offline, { outputRootFolder, courseTitle, formats: RUNTIME_CONFIG.playlists });
+            if (written.length > 0) printLine(`🎵 Playlists: ${paintBold(String(written.length))} file(s) (${RUNTIME_CONFIG.playlists.join(', ')})`);
+        } catch (e) {
+            logWarn(`Could not write playlists: ${e.message}`);
+        }
+    }
+    return stats;
+}
+
+// ===============
+// Library API
+// ===============
+// Course slug/URL (or an already-resolved course object from --batch / --my-courses) -> { ref, courseUrl, courseSlug }.
+function resolveCourseRef(ref, baseUrl) {
+    if (ref && typeof ref === 'object' && ref.courseSlug) {
+        return { ...ref, courseUrl: ref.courseUrl || buildCourseUrlFromSlug(baseUrl, ref.courseSlug) };
+    }
+    const text = String(ref || '').trim();
+    const resolvedCourseUrl = isLikelyFullUrl(text) ? text : buildCourseUrlFromSlug(baseUrl, text);
+    if (!resolvedCourseUrl) {
+        throw new Error(buildActionableError(
+            'COURSE_INPUT',
+            'Course slug/url is missing.',
+            [
+                `Pass slug in CLI: node download.mjs "${ACTIONABLE_SLUG_PLACEHOLDER}"`,
+                `Or pass full URL: node download.mjs "${ACTIONABLE_URL_PLACEHOLDER}"`
+            ]
+        ));
+    }
+    const courseUrl = ensureTrailingSlash(resolvedCourseUrl.trim());
+    return { ref: text, courseUrl, courseSlug: extractCourseSlug(courseUrl) };
+}
+
+// Chapter/lesson selection for the library: null (all), a Set, an array of numbers, or a spec string like "1,3-5".
+function toNumberSet(value) {
+    if (value == null || value === '') return null;
+    if (value instanceof Set) return value;
+    if (Array.isArray(value)) return new Set(value.map(Number).filter(n => Number.isInteger(n) && n > 0));
+    return parseNumberSpec(String(value));
+}
+
+function summarizeSession(core) {
+    return {
+        authenticated: !!core?.auth?.details?.is_authenticated,
+        email: core?.auth?.details?.email || core?.profile?.details?.email || null,
+        userId: core?.auth?.details?.user_id ?? null,
+        hasSubscription: !!core?.auth?.conditions?.has_subscription,
+        hasCoursePurchase: !!core?.auth?.conditions?.has_course_purchase
+    };
+}
+
+function findLectureUnit(chapters, chapter, unit) {
+    const ch = (chapter && typeof chapter === 'object')
+        ? chapter
+        : chapters.find(c => String(c.id) === String(chapter) || c.slug === chapter) || chapters[Number(chapter) - 1];
+    const units = Array.isArray(ch?.unit_set) ? ch.unit_set : [];
+    const u = (unit && typeof unit === 'object')
+        ? unit
+        : units.find(x => String(x.id) === String(unit) || x.slug === unit);
+    if (!ch || !u) {
+        throw new Error(buildActionableError(
+            'LECTURE_NOT_FOUND',
+            `No unit ${unit} in chapter ${chapter}.`,
+            'Pass chapter/unit objects from getChapters(), or a chapter number/id and a unit id/slug.'
+        ));
+    }
+    return { chapter: ch, unit: u };
+}
+
+// Client `cookie` option: "name=value; ..." header, a CookieJar, or nothing
+function toCookieJar(value, origin = ORIGIN) {
+    if (value instanceof CookieJar) return value;
+    const jar = new CookieJar();
+    if (value && String(value).trim()) jar.importHeader(String(value).trim(), `${origin}/`);
+    jar.changed = false;
+    return jar;
+}
+
+/**
+ * Programmatic access to everything the CLI does:
+ *   const client = createClient({ cookie, email, password, runtime });   // or { cookieFile: 'cookies.txt' }
+ *   await client.login();                 // only needed without a cookie
+ *   const { chapters } = await client.getCourse('python-mk123');
+ *   const lecture = await client.resolveLecture('python-mk123', chapters[0], chapters[0].unit_set[0]);
+ *   await client.download('python-mk123', { chapters: '1-2', onProgress, signal });
+ * Errors are thrown (never process.exit) with the same "[CODE] ... Next step:" messages as the CLI.
+ * Nothing is printed unless `logger` is given: a console-like { log, warn, error } plus optional write() for the
+ * in-place progress line (CONSOLE_LOGGER reproduces the CLI output).
+ * Session and runtime settings are process-wide, so use one client at a time.
+ */
+function createClient({ cookie = null, cookieFile = null, email = '', password = '', baseUrl = null, runtime = {}, logger = null } = {}) {
+    const runtimeConfig = normalizeRuntimeConfig(runtime);
+    const state = {
+        // A Netscape cookieFile stays bound to the jar: cookies the server rotates are written back after each call
+        jar: cookieFile ? loadCookieFile(String(cookieFile), runtimeConfig.origin) : toCookieJar(cookie, runtimeConfig.origin),
+        email: String(email || '').trim(),
+        password: String(password || '').trim(),
+        baseUrl: normalizeBaseUrl(rebaseOnOrigin(baseUrl, runtimeConfig.origin) || `${runtimeConfig.origin}/course/`),
+        runtime: runtimeConfig,
+        rateLimiter: runtimeConfig.limitRate > 0 ? new RateLimiter(runtimeConfig.limitRate, runtimeConfig.unlimitedHours) : null,
+        logger
+    };
+    const activate = () => {
+        ORIGIN = state.runtime.origin;
+        COOKIE_JAR = state.jar;
+        COOKIE = activeCookieHeader() || 'PUT_YOUR_COOKIE_HERE';
+        LOGIN_EMAIL = state.email;
+        LOGIN_PASSWORD = state.password;
+        RUNTIME_CONFIG = state.runtime;
+        RATE_LIMITER = state.rateLimiter;
+        LOGGER = state.logger;
+    };
+    const run = async (fn) => {
+        activate();
+        try {
+            return await fn();
+        } finally {
+            state.jar = COOKIE_JAR;
+            await persistCookieJar(state.jar);
+        }
+    };
+    const loadChapters = async (course) => {
+        const data = await fetchChapters(course.courseSlug, course.courseUrl);
+        return { data, chapters: Array.isArray(data?.chapters) ? data.chapters : [] };
+    };
+    return {
+        get cookie() { return state.jar.cookieHeader(`${state.runtime.origin}/`) || null; },
+        get cookieJar() { return state.jar; },
+        useCookie(value) { state.jar = toCookieJar(value, state.runtime.origin); },
+        // Netscape cookies.txt of the current session (all domains, with expiry)
+        async exportCookies(file) { await saveCookieFile(state.jar, file); },
+        activate,
+        async login({ email: loginEmail, password: loginPassword, verbose } = {}) {
+            if (loginEmail) state.email = String(loginEmail).trim();
+            if (loginPassword) state.password = String(loginPassword).trim();
+            return run(async () => {
+                await loginWithCredentialsInline(state.email, state.password, verbose);
+                return activeCookieHeader();
+            });
+        },
+        async getSession() {
+            return run(async () => {
+                ensureCookiePresent();
+                const core = await fetchCoreData(ORIGIN);
+                return { ...summarizeSession(core), core };
+            });
+        },
+        resolveCourse(ref) {
+            return resolveCourseRef(ref, state.baseUrl);
+        },
+        async getChapters(ref) {
+            return run(async () => (await loadChapters(resolveCourseRef(ref, state.baseUrl))).chapters);
+        },
+        async getCourse(ref) {
+            return run(async () => {
+                const course = resolveCourseRef(ref, state.baseUrl);
+                const { data, chapters } = await loadChapters(course);
+                return {
+                    slug: course.courseSlug, url: course.courseUrl,
+                    title: course.title || data?.title || data?.course?.title || decodeURIComponent(course.courseSlug),
+                    chapters
+                };
+            });
+        },
+        // chapter: object, 1-based number or id; unit: object, id or slug. probe=true HEADs every source for its size.
+        async resolveLecture(ref, chapter, unit, { quality = DEFAULT_VIDEO_QUALITY, probe = false } = {}) {
+            return run(async () => {
+                const course = resolveCourseRef(ref, state.baseUrl);
+                const needsLookup = !(chapter && typeof chapter === 'object' && unit && typeof unit === 'object');
+                const found = findLectureUnit(needsLookup ? (await loadChapters(course)).chapters : [], chapter, unit);
+                const lectureUrl = buildLectureUrl(course.courseSlug, found.chapter, found.unit);
+                const res = await fetchWithRetry(lectureUrl, { headers: { ...commonHeaders(course.courseUrl), accept: 'text/html' } });
+                if (!res.ok) throw new Error(explainHttpFailure(res.status, 'Fetch lecture page'));
+                const html = await res.text();
+                const media = await discoverLectureMedia(html, lectureUrl);
+                const urls = media.videos;
+                const probed = probe ? await probeVideoSources(urls, lectureUrl) : urls.map(url => ({ url, size: undefined }));
+                const chosen = await selectVideoSource(urls, quality, lectureUrl, probe ? probed : null);
+                return {
+                    url: lectureUrl,
+                    title: found.unit.title || found.unit.slug || '',
+                    locked: !!found.unit.locked,
+                    sources: probed.map(p => ({ url: p.url, quality: sourceQualityTag(p.url), size: Number.isFinite(p.size) ? p.size : null })),
+                    chosen: chosen.url,
+                    subtitles: media.subtitles.map(t => ({ ...t, lang: subtitleLanguageTag(t) })),
+                    attachments: media.attachments,
+                    discovery: media.report
+                };
+            });
+        },
+        // Same pipeline as the CLI (manifest, resume, index, playlists). onEvent gets every --json event object,
+        // onProgress only "file-progress" ones. Aborting `signal` stops new units and cancels in-flight requests.
+        async download(ref, {
+            chapters, lessons, quality, subtitleFormat, exportText, sampleBytes = 0, dryRun = false, retryFailed = false,
+            sync = false, prune = false, listSources = false, interactive = false, select, match, exclude, onEvent, onProgress, signal, verbose = () => { }
+        } = {}) {
+            const course = resolveCourseRef(ref, state.baseUrl);
+            const titleFilters = compileTitleFilters({ match, exclude });
+            course.selectedChapters = chapters === undefined ? course.selectedChapters ?? null : toNumberSet(chapters);
+            course.selectedLessons = lessons === undefined ? course.selectedLessons ?? null : toNumberSet(lessons);
+            course.selectSpec = select === undefined ? course.selectSpec ?? null : parseSelectSpec(select);
+            const formats = normalizeDownloadFormats({ quality, subtitleFormat, exportText });
+            signal?.throwIfAborted();
+            const listener = (payload) => {
+                if (typeof onEvent === 'function') onEvent(payload);
+                if (payload.event === 'file-progress' && typeof onProgress === 'function') onProgress(payload);
+            };
+            const listening = typeof onEvent === 'function' || typeof onProgress === 'function';
+            if (listening) EVENT_LISTENERS.add(listener);
+            setAbortSignal(signal);
+            try {
+                return await run(async () => {
+                    ensureCookiePresent();
+                    return downloadCourse(course, {
+                        ...formats, isDryRun: !!dryRun, retryFailed: !!retryFailed, listSources: !!listSources,
+                        sync: !!sync || !!prune, prune: !!prune, interactive: !!interactive, titleFilters,
+                        sampleBytesToDownload: parseNonNegativeInt(sampleBytes, 0), verbose
+                    });
+                });
+            } finally {
+                setAbortSignal(null);
+                if (listening) EVENT_LISTENERS.delete(listener);
+            }
+        }
+    };
 }
+
+async function main() {
+    LOGGER = CONSOLE_LOGGER;
+    const argv = process.argv.slice(2);
+    if (argv.includes('--json')) enableJsonEvents();
+    const configArgPath = discoverConfigPath(argv);
+    const { config, configPath } = loadConfigFile(configArgPath);
+    const runtimeCfg = (config.runtime && typeof config.runtime === 'object') ? config.runtime : {};
+    const defaultsCfg = (config.defaults && typeof config.defaults === 'object') ? config.defaults : {};
+    const authCfg = (config.auth && typeof config.auth === 'object') ? config.auth : {};
+    const courseCfg = (config.course && typeof config.course === 'object') ? config.course : {};
+    const parserDefaults = {
+        sampleBytes: runtimeCfg.sampleBytes ?? defaultsCfg.sampleBytes ?? 0,
+        verbose: defaultsCfg.verbose ?? false,
+        dryRun: defaultsCfg.dryRun ?? false,
+        chapter: defaultsCfg.chapter ?? null,
+        lesson: defaultsCfg.lesson ?? null,
+        forceLogin: defaultsCfg.forceLogin ?? false,
+        quality: defaultsCfg.quality ?? DEFAULT_VIDEO_QUALITY,
+        subtitleFormat: defaultsCfg.subtitleFormat ?? DEFAULT_SUBTITLE_FORMAT,
+        exportText: defaultsCfg.exportText ?? null,
+        concurrency: runtimeCfg.concurrency ?? DEFAULT_CONCURRENCY,
+        segments: runtimeCfg.segments ?? DEFAULT_SEGMENTS,
+        limitRate: runtimeCfg.limitRate ?? '',
+        unlimitedHours: runtimeCfg.unlimitedHours ?? ''
+    };
+    const {
+        command, inputCourseRef, sampleBytesToDownload, isVerboseLoggingEnabled, isDryRun, forceLogin, retryFailed, sync, prune, noIndex, playlists, batchFile, myCourses, quality, subtitleFormat, listSources, interactive, match, exclude, exportText, concurrency, segments, limitRate, unlimitedHours, outputDir, nameTemplate, latinNames, proxy, origin, cookiesFile, saveCookiesFile, selectedChapters, selectedLessons, selectSpec
+    } = parseCLI(parserDefaults, configPath);
+    // The password never comes from config.json any more (an old one is migrated into the auth store)
+    LOGIN_EMAIL = String(process.env[AUTH_ENV.email] || authCfg.email || '').trim();
+    LOGIN_PASSWORD = String(process.env[AUTH_ENV.password] || '').trim();
+    // Cookie override: --cookies FILE, then auth.cookie, then auth.cookieFile (cookies.txt or a header line)
+    const configCookie = authCfg.cookie && String(authCfg.cookie).trim() ? String(authCfg.cookie).trim() : null;
+    let cookieFile = cookiesFile;
+    if (!cookieFile && !configCookie && authCfg.cookieFile) {
+        if (fs.existsSync(String(authCfg.cookieFile))) cookieFile = String(authCfg.cookieFile);
+        else logWarn(`auth.cookieFile not found: ${authCfg.cookieFile}`);
+    }
+    // The CLI is a thin wrapper over the library client: flags and config.json become client options
+    const client = createClient({
+        cookie: cookieFile ? null : configCookie,
+        cookieFile,
+        email: LOGIN_EMAIL,
+        password: LOGIN_PASSWORD,
+        baseUrl: courseCfg.baseUrl,
+        runtime: {
+            ...runtimeCfg,
+            concurrency,
+            segments,
+            courseIndex: !noIndex && runtimeCfg.courseIndex !== false,
+            playlists: playlists ?? runtimeCfg.playlists,
+            limitRate,
+            unlimitedHours,
+            outputDir: outputDir ?? runtimeCfg.outputDir,
+            nameTemplate: nameTemplate ?? runtimeCfg.nameTemplate,
+            latinNames: latinNames ?? runtimeCfg.latinNames,
+            proxy: proxy ?? runtimeCfg.proxy,
+            origin: origin ?? runtimeCfg.origin
+        },
+        // STDERR_LOGGER under --json
+        logger: LOGGER
+    });
+    client.activate();
+    const { verbose } = createVerboseLogger(isVerboseLoggingEnabled);
+    if (!inputCourseRef && !batchFile && !myCourses) { printUsage(); process.exit(1); }
+    const baseUrl = normalizeBaseUrl(courseCfg.baseUrl || `${ORIGIN}/course/`);
+    if (command === 'verify') {
+        // Offline: no session needed to inspect files already on disk
+        const courseFolder = resolveCourseFolder(inputCourseRef, baseUrl);
+        const allGood = await runVerify(courseFolder);
+        process.exit(allGood ? 0 : 3);
+    }
+    if (command === 'playlists') {
+        const courseFolder = resolveCourseFolder(inputCourseRef, baseUrl);
+        const wrote = await runPlaylists(courseFolder, RUNTIME_CONFIG.playlists.length ? RUNTIME_CONFIG.playlists : PLAYLIST_FORMATS);
+        process.exit(wrote ? 0 : 1);
+    }
+    // Courses to process: one from the CLI, or every line of the --batch file
+    let courses = [];
+    if (batchFile) {
+        courses = parseBatchFile(batchFile, { baseUrl, selectedChapters, selectedLessons, selectSpec });
+    } else if (myCourses) {
+        // Resolved from the account's course list once the session is ready
+    } else {
+        courses = [{ ...client.resolveCourse(inputCourseRef), selectedChapters, selectedLessons, selectSpec }];
+    }
+    verbose(`Config file: ${configPath}${fs.existsSync(configPath) ? '' : ' (not found, using defaults)'}`);
+    for (const c of courses) verbose(`Resolved course URL: ${c.courseUrl}`);
+    verbose(`Runtime config => retries=${RUNTIME_CONFIG.retryAttempts}, request-timeout=${RUNTIME_CONFIG.requestTimeoutMs}ms, read-timeout=${RUNTIME_CONFIG.readTimeoutMs}ms, concurrency=${RUNTIME_CONFIG.concurrency}, segments=${RUNTIME_CONFIG.segments}`);
+    const normalizedCourseUrl = courses[0]?.courseUrl || `${ORIGIN}/`;
+    // Session store next to the config (migrates plaintext auth.password / auth.sessionCookie out of config.json)
+    const authStore = await openAuthStore(config, configPath);
+    const userEmail = LOGIN_EMAIL || authStore.data.email || null;
+    const userPassword = LOGIN_PASSWORD || authStore.data.password || null;
+    // Attempt to load / create / verify session (may already return core); one login serves every course
+    const prep = await prepareSession({ userEmail, userPassword, verbose, courseUrl: normalizedCourseUrl, forceLogin, authStore });
+    ensureCookiePresent();
+    client.useCookie(COOKIE_JAR);
+
+    // Verify auth profile (reuse from prepareSession if available)
+    let coreData = prep.core;
+    if (!coreData) {
+        try {
+            coreData = (await client.getSession()).core;
+        } catch (e) {
+            throw new Error(buildActionableError(
+                'AUTH_VERIFY',
+                `Failed to verify authentication. ${e.message}`,
+                [
+                    `Retry login: node download.mjs "${trimUrlForHint(normalizedCourseUrl)}" --force-login`,
+                    `Or set auth.email in config.json (password: ${AUTH_ENV.password} or the prompt) if missing.`
+                ]
+            ));
+        }
+    }
+    const ok = printProfileSummary(coreData);
+    emitEvent('session', { source: prep.source, ...summarizeSession(coreData) });
+    if (!ok) {
+        throw new Error(buildActionableError(
+            'AUTH_REQUIRED',
+            'Not logged in. Session is invalid/expired.',
+            [
+                `Run: node download.mjs "${trimUrlForHint(normalizedCourseUrl)}" --force-login`,
+                `Or set auth.email (password: ${AUTH_ENV.password} or the prompt), or auth.cookie / --cookies.`
+            ]
+        ));
+    }
 
-main().catch(err => {
-    if (/Invalid (range|number token|number)/.test(String(err?.message || ''))) {
+    try {
+        if (myCourses) {
+            courses = await selectMyCourses(myCourses, {
+                baseUrl, myCoursesPath: courseCfg.myCoursesPath, selectedChapters, selectedLessons, selectSpec, verbose
+            });
+            if (courses.length === 0) return;
+        }
+        const courseOptions = { dryRun: isDryRun, retryFailed, sync, prune, sampleBytes: sampleBytesToDownload, quality, subtitleFormat, listSources, interactive, match, exclude, exportText, verbose };
+        if (!batchFile && !myCourses) {
+            await client.download(courses[0], courseOptions);
+            return;
+        }
+        const results = [];
+        for (let i = 0; i < courses.length; i++) {
+            const course = courses[i];
+            printLine('\n' + '═'.repeat(40));
+            printLine(`📦 Course ${i + 1}/${courses.length}: ${paintBold(course.ref)}`);
+            try {
+                results.push({ course, ...(await client.download(course, courseOptions)) });
+            } catch (err) {
+                if (err?.exitCode === 130) throw err; // Ctrl+C in the picker ends the whole batch
+                logError(`Course failed: ${course.ref}\n${err.message}`);
+                results.push({ course, error: err });
+            }
+        }
+        printBatchSummary(results);
+        if (results.some(r => r.error)) process.exitCode = 1;
+    } finally {
+        // Cookies the server rotated during the run: refresh the stored session, then --save-cookies
+        if (['stored-session', 'fresh-login'].includes(prep.source) && COOKIE_JAR.changed && activeCookieHeader()) {
+            if (await authStore.saveSession(COOKIE_JAR, userEmail)) verbose(`Session cookies rotated by the server; saved to ${path.basename(authStore.file)}`);
+        }
+        if (saveCookiesFile) {
+            await client.exportCookies(saveCookiesFile);
+            logInfo(`Cookies saved to ${saveCookiesFile} (Netscape cookies.txt)`);
+        }
+    }
+}
+
+
+export { createClient, runVerify, runPlaylists, buildActionableError, CONSOLE_LOGGER };
+// Internals covered by test/; not part of the library API
+export { downloadSegmentedToFile, httpFetch, loadCookieFile, compileTitlePattern, compileTitleFilters, evaluateTitleFilters, foldTitleLetters,
+    parseSelectSpec, parseSelectionSpecs, resolveSelectSpec, isChapterSelected, isLessonSelected, parseM3u8, pickStreamVariant, resolveStreamPlan, streamOutputPath };
+
+// Run the CLI only when executed directly (`node download.mjs ...`), not when imported as a library
+function isCliEntry() {
+    if (!process.argv[1]) return false;
+    try {
+        return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+    } catch {
+        return false;
+    }
+}
+
+if (isCliEntry()) main().catch(err => {
+    if (/^Invalid (range|number token|number)/.test(String(err?.message || ''))) {
         logError(buildActionableError(
             'FILTER_FORMAT',
             `Invalid --chapter/--lesson format: ${err.message}`,
-            'Examples: --chapter 2 | --chapter 1,3 | --chapter 2-4 | --lesson 2-5,9'
+            'Examples: --chapter 2 | --chapter 1,3 | --chapter 2-4 | --lesson 2-5,9 | --lesson 3- | --select 2:3-5,4:1'
         ));
         process.exit(2);
     }
     const rawMsg = String(err?.message || err || '');
     if (/^\[[A-Z0-9_]+\]/.test(rawMsg) && rawMsg.includes('Next step:')) {
         logError(rawMsg);
-        process.exit(1);
+        process.exit(err?.exitCode || 1);
     }
     logError(buildActionableError(
         'FATAL',
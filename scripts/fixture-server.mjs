@@ -0,0 +1,347 @@
+/**
+ * Offline stand-in for the maktabkhooneh endpoints download.mjs uses, for end-to-end runs without network:
+ * login (csrf + check-active-user + login-authentication), core-data, the dashboard course list, chapters,
+ * lecture pages, and video / subtitle / attachment files with HEAD and Range support. One lecture is an
+ * AES-128 encrypted HLS stream.
+ *
+ * Usage:
+ *   node scripts/fixture-server.mjs [--port 8765] [--host 127.0.0.1] [--drop-after BYTES] [--verbose]
+ *   node download.mjs demo-course-mk1000 --origin http://127.0.0.1:8765 --config ./fixture-config.json
+ *
+ * --drop-after cuts the first transfer of every video after BYTES, so the next attempt has to resume.
+ * Everything is generated in memory; nothing is read from or written to disk.
+ * Tests import createFixtureServer() and the fixture data instead of running the script.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const FIXTURE_EMAIL = 'student@example.com';
+const FIXTURE_PASSWORD = 'fixture';
+const COURSE_SLUG = 'demo-course-mk1000';
+const COURSE_TITLE = 'دوره نمونه';
+
+// ===============
+// Fixture media
+// ===============
+function mp4Box(type, body) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// ftyp + moov + mdat: enough for the downloader's size and MP4 structure checks. The mdat pattern depends on
+// the seed, so bytes stitched together from the wrong offsets are easy to spot with cmp.
+function fixtureMp4(size, seed) {
+    const ftyp = mp4Box('ftyp', Buffer.from('isom\x00\x00\x02\x00isommp41', 'latin1'));
+    const moov = mp4Box('moov', Buffer.alloc(256, seed));
+    const payload = Buffer.alloc(size - ftyp.length - moov.length - 8);
+    for (let i = 0; i < payload.length; i++) payload[i] = (i * 31 + seed) % 251;
+    return Buffer.concat([ftyp, moov, mp4Box('mdat', payload)]);
+}
+
+// MPEG-TS segment: 188-byte packets with the 0x47 sync byte and a running continuity counter
+function fixtureTsSegment(packets, seed) {
+    const out = Buffer.alloc(packets * 188, 0xff);
+    for (let i = 0; i < packets; i++) {
+        const p = i * 188;
+        out[p] = 0x47;
+        out[p + 1] = 0x41;
+        out[p + 2] = 0x00;
+        out[p + 3] = 0x10 | (i & 0x0f);
+        out.fill((seed + i) % 251, p + 4, p + 188);
+    }
+    return out;
+}
+
+function sequenceIv(sequence) {
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(sequence, 12);
+    return iv;
+}
+
+const HLS_KEY = crypto.createHash('md5').update('fixture-hls-key').digest();
+const HLS_SEGMENT_SECONDS = 4;
+// No IV attribute in the playlist: each segment is encrypted with its media sequence number as the IV
+const HLS_PLAINTEXT = [0, 1, 2].map(i => fixtureTsSegment(400, 40 + i));
+const HLS_SEGMENTS = HLS_PLAINTEXT.map((plain, i) => {
+    const cipher = crypto.createCipheriv('aes-128-cbc', HLS_KEY, sequenceIv(i));
+    return Buffer.concat([cipher.update(plain), cipher.final()]);
+});
+
+const FILES = new Map([
+    ['/videos/hq/welcome.mp4', { type: 'video/mp4', body: fixtureMp4(3 * 1024 * 1024, 11) }],
+    ['/videos/lq/welcome.mp4', { type: 'video/mp4', body: fixtureMp4(1024 * 1024, 12) }],
+    ['/videos/hq/setup.mp4', { type: 'video/mp4', body: fixtureMp4(2 * 1024 * 1024, 13) }],
+    ['/subtitles/welcome.fa.vtt', { type: 'text/vtt', body: Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:03.500\nسلام و خوش آمدید\n') }],
+    ['/subtitles/welcome.en.vtt', { type: 'text/vtt', body: Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:03.500\nHello and welcome\n') }],
+    ['/attachments/welcome-slides.zip', { type: 'application/zip', body: Buffer.from('PK\x05\x06' + '\x00'.repeat(18), 'latin1') }],
+    ['/streams/hls-lesson/master.m3u8', {
+        type: 'application/vnd.apple.mpegurl',
+        body: Buffer.from([
+            '#EXTM3U',
+            `#EXT-X-STREAM-INF:BANDWIDTH=${Math.ceil(HLS_SEGMENTS[0].length * 8 / HLS_SEGMENT_SECONDS)},RESOLUTION=640x360`,
+            'index.m3u8',
+            ''
+        ].join('\n'))
+    }],
+    ['/streams/hls-lesson/index.m3u8', {
+        type: 'application/vnd.apple.mpegurl',
+        body: Buffer.from([
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            `#EXT-X-TARGETDURATION:${HLS_SEGMENT_SECONDS}`,
+            '#EXT-X-MEDIA-SEQUENCE:0',
+            '#EXT-X-KEY:METHOD=AES-128,URI="/keys/hls-lesson.key"',
+            ...HLS_SEGMENTS.flatMap((_, i) => [`#EXTINF:${HLS_SEGMENT_SECONDS}.0,`, `segment${i}.ts`]),
+            '#EXT-X-ENDLIST',
+            ''
+        ].join('\n'))
+    }],
+    ...HLS_SEGMENTS.map((body, i) => [`/streams/hls-lesson/segment${i}.ts`, { type: 'video/mp2t', body }])
+]);
+
+// ===============
+// Course
+// ===============
+const CHAPTERS = [
+    {
+        id: 101, slug: 'intro', title: 'مقدمه', unit_set: [
+            { id: 1001, slug: 'welcome', title: 'خوش آمدید', type: 'lecture', status: true, locked: false },
+            { id: 1002, slug: 'first-quiz', title: 'آزمون اول', type: 'exam', status: true, locked: false },
+            { id: 1003, slug: 'setup', title: 'نصب ابزارها', type: 'lecture', status: true, locked: false }
+        ]
+    },
+    {
+        id: 102, slug: 'streams', title: 'ویدیوی استریم', unit_set: [
+            { id: 1004, slug: 'hls-lesson', title: 'جلسه HLS', type: 'lecture', status: true, locked: false },
+            { id: 1005, slug: 'premium', title: 'جلسه ویژه', type: 'lecture', status: true, locked: true }
+        ]
+    }
+];
+
+// Lecture page bodies, each in a different shape the downloader has to find media in
+const LECTURE_PAGES = {
+    welcome: `<video controls>
+  <source src="/videos/hq/welcome.mp4" type="video/mp4">
+  <source src="/videos/lq/welcome.mp4" type="video/mp4">
+  <track kind="subtitles" srclang="fa" label="فارسی" src="/subtitles/welcome.fa.vtt">
+  <track kind="subtitles" srclang="en" label="English" src="/subtitles/welcome.en.vtt">
+</video>
+<div class="unit-content--download"><div><a href="/attachments/welcome-slides.zip">اسلایدها</a></div></div>`,
+    'first-quiz': `<div class="unit-content"><h2>آزمون اول</h2><p>کدام گزینه <b>درست</b> است؟</p><ul><li>الف</li><li>ب</li></ul></div>`,
+    setup: `<video class=player data-src=/videos/hq/setup.mp4></video>`,
+    'hls-lesson': `<div id="player"></div>
+<script>var player = ${JSON.stringify({ hls: '/streams/hls-lesson/master.m3u8' }).replace(/\//g, '\\/')};</script>`
+};
+
+// ===============
+// Server
+// ===============
+function parseArgs(argv) {
+    const opts = { port: 8765, host: '127.0.0.1', dropAfter: 0, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        const value = () => inline ?? argv[++i];
+        if (flag === '--port') opts.port = Number(value());
+        else if (flag === '--host') opts.host = String(value());
+        else if (flag === '--drop-after') opts.dropAfter = Number(value());
+        else if (flag === '--verbose' || flag === '-v') opts.verbose = true;
+        else if (flag === '--help' || flag === '-h') {
+            console.log('Usage: node scripts/fixture-server.mjs [--port 8765] [--host 127.0.0.1] [--drop-after BYTES] [--verbose]');
+            process.exit(0);
+        } else {
+            console.error(`❌ Unknown option: ${argv[i]}`);
+            process.exit(1);
+        }
+    }
+    if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535) {
+        console.error('❌ --port must be 0-65535');
+        process.exit(1);
+    }
+    if (!Number.isFinite(opts.dropAfter) || opts.dropAfter < 0) {
+        console.error('❌ --drop-after must be a byte count');
+        process.exit(1);
+    }
+    return opts;
+}
+
+function parseCookies(header) {
+    const out = {};
+    for (const part of String(header || '').split(';')) {
+        const i = part.indexOf('=');
+        if (i > 0) out[part.slice(0, i).trim()] = part.slice(i + 1).trim();
+    }
+    return out;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+function sendHtml(res, status, body) {
+    res.writeHead(status, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html>\n<html lang="fa" dir="rtl"><head><meta charset="utf-8"><title>${COURSE_TITLE}</title></head><body>\n${body}\n</body></html>\n`);
+}
+
+// Static file with HEAD, single "bytes=a-b" / "bytes=a-" / "bytes=-n" ranges and 416 for unsatisfiable ones
+function sendFile(req, res, file, state, dropAfter) {
+    const total = file.body.length;
+    const headers = { 'content-type': file.type, 'accept-ranges': 'bytes', 'last-modified': state.startedAt };
+    let start = 0;
+    let end = total - 1;
+    let status = 200;
+    const range = /^bytes=(\d*)-(\d*)$/.exec(String(req.headers.range || '').trim());
+    if (req.headers.range && range && (range[1] || range[2])) {
+        if (range[1]) {
+            start = Number(range[1]);
+            if (range[2]) end = Math.min(Number(range[2]), total - 1);
+        } else {
+            start = Math.max(0, total - Number(range[2]));
+        }
+        if (start >= total || start > end) {
+            res.writeHead(416, { ...headers, 'content-range': `bytes */${total}` });
+            return res.end();
+        }
+        status = 206;
+        headers['content-range'] = `bytes ${start}-${end}/${total}`;
+    }
+    headers['content-length'] = end - start + 1;
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD') return res.end();
+    const slice = file.body.subarray(start, end + 1);
+    // First transfer of each video stops short, so the downloader has to resume it
+    if (dropAfter > 0 && file.type === 'video/mp4' && !state.dropped.has(req.url) && slice.length > dropAfter) {
+        state.dropped.add(req.url);
+        res.write(slice.subarray(0, dropAfter), () => res.destroy());
+        return;
+    }
+    res.end(slice);
+}
+
+// onRequest({ method, url, status, range, cut }) is told about every finished or cut response
+function createFixtureServer({ dropAfter = 0, verbose = false, onRequest = null } = {}) {
+    const state = { sessions: new Set(), dropped: new Set(), startedAt: new Date().toUTCString() };
+    const isAuthenticated = (req) => state.sessions.has(parseCookies(req.headers.cookie).sessionid);
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://fixture.local');
+        const p = url.pathname;
+
+        if (p === '/accounts/login/') {
+            res.setHeader('set-cookie', `csrftoken=${crypto.randomBytes(16).toString('hex')}; Path=/; SameSite=Lax`);
+            return sendHtml(res, 200, '<form method="post"><input name="tessera"><input name="password" type="password"></form>');
+        }
+        if (p === '/api/v1/auth/check-active-user' || p === '/api/v1/auth/login-authentication') {
+            if (req.method !== 'POST') return sendJson(res, 405, { detail: 'Method not allowed' });
+            const form = new URLSearchParams(await readBody(req));
+            const csrf = parseCookies(req.headers.cookie).csrftoken;
+            if (!csrf || req.headers['x-csrftoken'] !== csrf) return sendJson(res, 403, { detail: 'CSRF verification failed' });
+            if (form.get('tessera') !== FIXTURE_EMAIL) return sendJson(res, 200, { status: 'failed', message: 'user-not-found' });
+            if (p.endsWith('check-active-user')) return sendJson(res, 200, { status: 'success', message: 'get-pass' });
+            if (form.get('password') !== FIXTURE_PASSWORD) return sendJson(res, 200, { status: 'failed', message: 'wrong-password' });
+            const session = crypto.randomBytes(16).toString('hex');
+            state.sessions.add(session);
+            return sendJson(res, 200, { status: 'success', message: 'login-success' }, {
+                'set-cookie': `sessionid=${session}; Path=/; HttpOnly; Max-Age=1209600; SameSite=Lax`
+            });
+        }
+        if (p === '/api/v1/general/core-data/') {
+            if (!isAuthenticated(req)) return sendJson(res, 200, { auth: { csrf: parseCookies(req.headers.cookie).csrftoken || null, details: { is_authenticated: false } } });
+            return sendJson(res, 200, {
+                auth: {
+                    details: { is_authenticated: true, email: FIXTURE_EMAIL, user_id: 1 },
+                    conditions: { has_subscription: false, has_course_purchase: true }
+                },
+                profile: { details: { email: FIXTURE_EMAIL } }
+            });
+        }
+        if (p === '/api/v1/dashboard/courses/') {
+            if (!isAuthenticated(req)) return sendJson(res, 401, { detail: 'Authentication credentials were not provided.' });
+            return sendJson(res, 200, { next: null, results: [{ course: { slug: COURSE_SLUG, title: COURSE_TITLE, chapters_count: CHAPTERS.length }, order_id: 1 }] });
+        }
+        const chaptersMatch = /^\/api\/v1\/courses\/([^/]+)\/chapters\/$/.exec(p);
+        if (chaptersMatch) {
+            if (decodeURIComponent(chaptersMatch[1]) !== COURSE_SLUG) return sendJson(res, 404, { detail: 'Not found.' });
+            return sendJson(res, 200, { title: COURSE_TITLE, chapters: CHAPTERS });
+        }
+        // /course/<slug>/<chapter>-ch<id>/<unit>/
+        const lectureMatch = /^\/course\/([^/]+)\/([^/]+)-ch(\d+)\/([^/]+)\/$/.exec(p);
+        if (lectureMatch && decodeURIComponent(lectureMatch[1]) === COURSE_SLUG) {
+            const chapter = CHAPTERS.find(c => String(c.id) === lectureMatch[3]);
+            const unit = chapter?.unit_set.find(u => u.slug === decodeURIComponent(lectureMatch[4]));
+            if (!unit) return sendHtml(res, 404, '<h1>404</h1>');
+            // Like the real site: without access the page renders, just without the player
+            if (unit.locked || !isAuthenticated(req)) return sendHtml(res, 200, '<div class="unit-locked">برای مشاهده این جلسه وارد شوید.</div>');
+            return sendHtml(res, 200, LECTURE_PAGES[unit.slug] || '');
+        }
+        if (p === `/course/${COURSE_SLUG}/`) return sendHtml(res, 200, `<h1>${COURSE_TITLE}</h1>`);
+        if (p === '/keys/hls-lesson.key') {
+            if (!isAuthenticated(req)) return sendJson(res, 403, { detail: 'Forbidden' });
+            res.writeHead(200, { 'content-type': 'application/octet-stream', 'content-length': HLS_KEY.length });
+            return res.end(HLS_KEY);
+        }
+        const file = FILES.get(p);
+        if (file && (req.method === 'GET' || req.method === 'HEAD')) return sendFile(req, res, file, state, dropAfter);
+        return sendJson(res, 404, { detail: 'Not found.' });
+    };
+
+    return http.createServer((req, res) => {
+        res.on('close', () => {
+            if (verbose) console.log(`${req.method} ${req.url} ${res.writableFinished ? res.statusCode : `${res.statusCode} ✂️ cut`}${req.headers.range ? ` (${req.headers.range})` : ''}`);
+            if (onRequest) onRequest({ method: req.method, url: req.url, status: res.statusCode, range: req.headers.range || null, cut: !res.writableFinished });
+        });
+        handle(req, res).catch(err => {
+            console.error(`❌ ${req.method} ${req.url}: ${err.message}`);
+            if (!res.headersSent) sendJson(res, 500, { detail: 'Internal error' });
+            else res.destroy();
+        });
+    });
+}
+
+export { createFixtureServer, FIXTURE_EMAIL, FIXTURE_PASSWORD, COURSE_SLUG, FILES, HLS_KEY, HLS_PLAINTEXT };
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const server = createFixtureServer(opts);
+    server.listen(opts.port, opts.host, () => {
+        const { port } = server.address();
+        const origin = `http://${opts.host.includes(':') ? `[${opts.host}]` : opts.host}:${port}`;
+        console.log(`🧪 Fixture server: ${origin}`);
+        console.log(`👤 Login: ${FIXTURE_EMAIL} / ${FIXTURE_PASSWORD}`);
+        console.log(`📚 Course: ${COURSE_SLUG}`);
+        console.log(`▶️  node download.mjs ${COURSE_SLUG} --origin ${origin}`);
+        if (opts.dropAfter > 0) console.log(`✂️  First transfer of each video is cut after ${opts.dropAfter} bytes`);
+    });
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            server.close(() => process.exit(0));
+            server.closeAllConnections();
+        });
+    }
+}
+
+// Listen only when run directly (`node scripts/fixture-server.mjs`), not when imported by a test
+function isCliEntry() {
+    if (!process.argv[1]) return false;
+    try {
+        return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+    } catch {
+        return false;
+    }
+}
+
+if (isCliEntry()) main();
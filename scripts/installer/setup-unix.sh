@@ -88,11 +88,8 @@ ensure_config_file() {
   },
   "auth": {
     "email": "",
-    "password": "",
     "cookie": "",
-    "cookieFile": "",
-    "sessionCookie": "",
-    "sessionUpdated": ""
+    "cookieFile": ""
   },
   "runtime": {
     "sampleBytes": 0,
@@ -112,22 +109,18 @@ JSON
 }
 
 prompt_credentials() {
-  local email password
+  local email
   printf 'Maktabkhooneh email (optional): '
   IFS= read -r email || true
-  printf 'Maktabkhooneh password (optional): '
-  stty -echo
-  IFS= read -r password || true
-  stty echo
-  printf '\n'
-
-  if [ -z "$email" ] || [ -z "$password" ]; then
-    warn "Email/password left empty. You can set them later in config.json."
+
+  if [ -z "$email" ]; then
+    warn "Email left empty. You can set auth.email later in config.json."
   fi
+  log "The password is not stored in config.json: it is asked (hidden) on first login, or read from MKD_PASSWORD."
 
-  node <<'NODE' "$CONFIG_FILE" "$email" "$password"
+  node <<'NODE' "$CONFIG_FILE" "$email"
 const fs = require('fs');
-const [cfgPath, email, password] = process.argv.slice(2);
+const [cfgPath, email] = process.argv.slice(2);
 let cfg = {};
 try { cfg = JSON.parse(fs.readFileSync(cfgPath, 'utf8')); } catch {}
 if (!cfg.course || typeof cfg.course !== 'object') cfg.course = { baseUrl: 'https://maktabkhooneh.org/course/' };
@@ -135,8 +128,7 @@ if (!cfg.auth || typeof cfg.auth !== 'object') cfg.auth = {};
 if (!cfg.runtime || typeof cfg.runtime !== 'object') cfg.runtime = { sampleBytes: 0, retryAttempts: 4, requestTimeoutMs: 30000, readTimeoutMs: 120000 };
 if (!cfg.defaults || typeof cfg.defaults !== 'object') cfg.defaults = { chapter: '', lesson: '', dryRun: false, forceLogin: false, verbose: false };
 if (email) cfg.auth.email = email;
-if (password) cfg.auth.password = password;
-for (const [k, v] of Object.entries({ cookie: '', cookieFile: '', sessionCookie: '', sessionUpdated: '' })) {
+for (const [k, v] of Object.entries({ cookie: '', cookieFile: '' })) {
   if (!(k in cfg.auth)) cfg.auth[k] = v;
 }
 fs.writeFileSync(cfgPath, JSON.stringify(cfg, null, 2));
@@ -61,11 +61,8 @@ function Ensure-ConfigFile {
   },
   "auth": {
     "email": "",
-    "password": "",
     "cookie": "",
-    "cookieFile": "",
-    "sessionCookie": "",
-    "sessionUpdated": ""
+    "cookieFile": ""
   },
   "runtime": {
     "sampleBytes": 0,
@@ -87,17 +84,11 @@ function Ensure-ConfigFile {
 
 function Prompt-Credentials {
   $email = Read-Host 'Maktabkhooneh email (optional)'
-  $secure = Read-Host 'Maktabkhooneh password (optional)' -AsSecureString
-  $bstr = [Runtime.InteropServices.Marshal]::SecureStringToBSTR($secure)
-  try {
-    $password = [Runtime.InteropServices.Marshal]::PtrToStringBSTR($bstr)
-  } finally {
-    [Runtime.InteropServices.Marshal]::ZeroFreeBSTR($bstr)
-  }
 
-  if ([string]::IsNullOrWhiteSpace($email) -or [string]::IsNullOrWhiteSpace($password)) {
-    Warn 'Email/password left empty. You can set them later in config.json.'
+  if ([string]::IsNullOrWhiteSpace($email)) {
+    Warn 'Email left empty. You can set auth.email later in config.json.'
   }
+  Log 'The password is not stored in config.json: it is asked (hidden) on first login, or read from MKD_PASSWORD.'
 
   $cfg = @{}
   if (Test-Path $ConfigFile) {
@@ -114,8 +105,7 @@ function Prompt-Credentials {
   }
 
   if (-not [string]::IsNullOrWhiteSpace($email)) { $cfg.auth.email = $email }
-  if (-not [string]::IsNullOrWhiteSpace($password)) { $cfg.auth.password = $password }
-  foreach ($k in @('cookie','cookieFile','sessionCookie','sessionUpdated')) {
+  foreach ($k in @('cookie','cookieFile')) {
     if (-not $cfg.auth.ContainsKey($k)) { $cfg.auth[$k] = '' }
   }
 
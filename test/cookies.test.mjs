@@ -0,0 +1,85 @@
+// Cookie handling: Netscape cookies.txt import/export, and cookies the server sets on a redirect, both
+// straight and through an HTTP proxy.
+// Run with: node --test test/*.test.mjs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createClient, httpFetch, loadCookieFile } from '../download.mjs';
+
+const IN_A_YEAR = Math.floor(Date.now() / 1000) + 365 * 24 * 3600;
+
+const COOKIES_TXT = [
+    '# Netscape HTTP Cookie File',
+    `.maktabkhooneh.org\tTRUE\t/\tTRUE\t${IN_A_YEAR}\tsessionid\tabc123`,
+    `#HttpOnly_maktabkhooneh.org\tFALSE\t/\tFALSE\t${IN_A_YEAR}\tcsrftoken\tTok=en`,
+    'maktabkhooneh.org\tFALSE\t/course\tFALSE\t0\tlast_course\tpython-mk123',
+    '.cdn.example\tTRUE\t/\tFALSE\t0\tedge\t1',
+    ''
+].join('\n');
+
+let workDir;
+let server;
+let base;
+// Requests that reached the server in absolute form, i.e. through the proxy settings
+let proxiedRequests = 0;
+
+before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mkd-cookies-'));
+    server = http.createServer((req, res) => {
+        if (/^https?:\/\//.test(req.url)) proxiedRequests++;
+        const { pathname } = new URL(req.url, 'http://placeholder');
+        if (pathname === '/start') {
+            res.writeHead(302, { location: '/next', 'set-cookie': ['session=rotated; Path=/', 'hop=1; Path=/next'] });
+            return res.end();
+        }
+        if (pathname === '/next') {
+            res.writeHead(200, { 'content-type': 'text/plain' });
+            return res.end(req.headers.cookie || '');
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('cookies.txt survives an import/export round trip', async () => {
+    const file = path.join(workDir, 'cookies.txt');
+    fs.writeFileSync(file, COOKIES_TXT);
+    const client = createClient({ cookieFile: file });
+    assert.equal(client.cookieJar.cookieHeader('https://maktabkhooneh.org/course/python-mk123/'), 'last_course=python-mk123; sessionid=abc123; csrftoken=Tok=en');
+    // Host-only, secure and subdomain rules carry over from the file
+    assert.equal(client.cookieJar.cookieHeader('http://www.maktabkhooneh.org/'), '');
+    assert.equal(client.cookieJar.cookieHeader('https://www.maktabkhooneh.org/'), 'sessionid=abc123');
+    assert.equal(client.cookieJar.cookieHeader('https://media.cdn.example/v.mp4'), 'edge=1');
+
+    const exported = path.join(workDir, 'exported.txt');
+    await client.exportCookies(exported);
+    const text = fs.readFileSync(exported, 'utf8');
+    assert.ok(text.startsWith('# Netscape HTTP Cookie File'));
+    assert.ok(text.includes(`#HttpOnly_maktabkhooneh.org\tFALSE\t/\tFALSE\t${IN_A_YEAR}\tcsrftoken\tTok=en`));
+    assert.deepEqual([...loadCookieFile(exported).cookies.entries()], [...client.cookieJar.cookies.entries()]);
+});
+
+for (const viaProxy of [false, true]) {
+    test(`a cookie set on a redirect is sent on the next hop${viaProxy ? ' through a proxy' : ''}`, async () => {
+        const client = createClient({ cookie: 'session=old', runtime: { origin: base, proxy: viaProxy ? base : 'direct', noProxy: '' } });
+        client.activate();
+        proxiedRequests = 0;
+        const res = await httpFetch(`${base}/start`);
+        assert.equal(res.status, 200);
+        assert.equal(res.url, `${base}/next`);
+        assert.equal(await res.text(), 'hop=1; session=rotated');
+        assert.equal(client.cookieJar.cookieHeader(`${base}/`), 'session=rotated');
+        assert.equal(proxiedRequests, viaProxy ? 2 : 0);
+    });
+}
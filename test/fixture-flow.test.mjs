@@ -0,0 +1,84 @@
+// Login -> dry-run (plain and --json) -> download -> resume against the offline fixture server, through the CLI.
+// Run with: node --test test/*.test.mjs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createClient } from '../download.mjs';
+import { COURSE_SLUG, FILES, FIXTURE_EMAIL, FIXTURE_PASSWORD } from '../scripts/fixture-server.mjs';
+import { startFixture, makeWorkDir, runCli } from './fixture.mjs';
+
+const env = { MKD_PASSWORD: FIXTURE_PASSWORD };
+const chapterOne = (workDir) => path.join(workDir, 'download', 'demo course', 'فصل 1 - مقدمه');
+let fixture;
+let workDir;
+
+before(async () => {
+    fixture = await startFixture();
+    workDir = makeWorkDir('mkd-flow-');
+});
+
+after(async () => {
+    await fixture?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('login posts the CSRF token to check-active-user and login-authentication', async () => {
+    const client = createClient({ email: FIXTURE_EMAIL, password: FIXTURE_PASSWORD, runtime: { origin: fixture.origin } });
+    await client.login();
+    assert.match(client.cookie, /sessionid=/);
+    const session = await client.getSession();
+    assert.equal(session.authenticated, true);
+    const paths = fixture.requests.map(r => `${r.method} ${r.url} ${r.status}`);
+    for (const step of ['GET /accounts/login/ 200', 'POST /api/v1/auth/check-active-user 200', 'POST /api/v1/auth/login-authentication 200']) {
+        assert.ok(paths.includes(step), `${step} in ${paths.join(', ')}`);
+    }
+});
+
+test('dry-run lists the course without downloading anything', async () => {
+    const { code, stdout } = await runCli([COURSE_SLUG, '--origin', fixture.origin, '--config', 'config.json', '--dry-run'], { cwd: workDir, env });
+    assert.equal(code, 0);
+    assert.match(stdout, /Dry-run total summary/);
+    assert.match(stdout, /Lectures selected: 4/);
+    assert.match(stdout, /Locked lectures: 1/);
+    assert.match(stdout, /قسمت 1 - خوش آمدید\.mp4/);
+    assert.ok(!fs.existsSync(path.join(chapterOne(workDir), 'قسمت 1 - خوش آمدید.mp4')));
+});
+
+test('--json keeps stdout for NDJSON events and prints the human output on stderr', async () => {
+    const { code, stdout, stderr } = await runCli([COURSE_SLUG, '--origin', fixture.origin, '--config', 'config.json', '--dry-run', '--json'], { cwd: workDir, env });
+    assert.equal(code, 0);
+    const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(events.some(e => e.event === 'plan-unit' && e.file?.endsWith('قسمت 1 - خوش آمدید.mp4')));
+    assert.ok(events.some(e => e.event === 'summary'));
+    assert.match(stderr, /Dry-run total summary/);
+});
+
+test('a full download writes every file byte for byte', async () => {
+    const { code } = await runCli([COURSE_SLUG, '--origin', fixture.origin, '--config', 'config.json'], { cwd: workDir, env });
+    assert.equal(code, 0);
+    const folder = chapterOne(workDir);
+    assert.ok(fs.readFileSync(path.join(folder, 'قسمت 1 - خوش آمدید.mp4')).equals(FILES.get('/videos/hq/welcome.mp4').body));
+    assert.ok(fs.readFileSync(path.join(folder, 'قسمت 2 - نصب ابزارها.mp4')).equals(FILES.get('/videos/hq/setup.mp4').body));
+    assert.ok(fs.readFileSync(path.join(folder, 'قسمت 1 - خوش آمدید.fa.vtt')).equals(FILES.get('/subtitles/welcome.fa.vtt').body));
+    const verify = await runCli(['verify', COURSE_SLUG, '--origin', fixture.origin, '--config', 'config.json'], { cwd: workDir });
+    assert.equal(verify.code, 0);
+});
+
+test('a transfer cut by --drop-after resumes with a Range request and ends complete', async () => {
+    const dropping = await startFixture({ dropAfter: 500000 });
+    const dir = makeWorkDir('mkd-resume-');
+    try {
+        const { code } = await runCli([COURSE_SLUG, '--origin', dropping.origin, '--config', 'config.json', '--chapter', '1'], { cwd: dir, env });
+        assert.equal(code, 0);
+        const video = '/videos/hq/welcome.mp4';
+        const transfers = dropping.requests.filter(r => r.method === 'GET' && r.url === video);
+        assert.ok(transfers.some(r => r.cut), 'the first transfer was cut');
+        assert.ok(transfers.some(r => !r.cut && /^bytes=[1-9]\d*-/.test(r.range || '')), 'the retry asked for the rest with Range');
+        assert.ok(fs.readFileSync(path.join(chapterOne(dir), 'قسمت 1 - خوش آمدید.mp4')).equals(FILES.get(video).body));
+    } finally {
+        await dropping.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
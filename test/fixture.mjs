@@ -0,0 +1,46 @@
+// Shared by the end-to-end tests: the fixture server in-process on a free port, and the CLI as a child process.
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createFixtureServer, FIXTURE_EMAIL } from '../scripts/fixture-server.mjs';
+
+const DOWNLOADER = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'download.mjs');
+
+// { origin, requests, close }; `requests` collects every response the server finished or cut
+export async function startFixture(options = {}) {
+    const requests = [];
+    const server = createFixtureServer({ ...options, onRequest: (r) => requests.push(r) });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => { server.close(resolve); server.closeAllConnections(); })
+    };
+}
+
+// Temporary working directory with a config.json holding the fixture account
+export function makeWorkDir(prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ auth: { email: FIXTURE_EMAIL } }));
+    return dir;
+}
+
+// Run `node download.mjs ...args` in `cwd`; resolves { code, stdout, stderr } with colors stripped
+export function runCli(args, { cwd, env = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [DOWNLOADER, ...args], { cwd, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', (code) => resolve({ code, stdout: stripAnsi(stdout), stderr: stripAnsi(stderr) }));
+    });
+}
+
+function stripAnsi(text) {
+    return text.replace(/\u001b\[[0-9;?]*[A-Za-z]/g, '');
+}
@@ -0,0 +1,59 @@
+// Segmented (--segments) downloads: a segment that fails for good stops the others before the file is given up.
+// Run with: node --test test/*.test.mjs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { downloadSegmentedToFile } from '../download.mjs';
+
+const SIZE = 400000;
+let server;
+let url;
+let openResponses = 0;
+let workDir;
+
+before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mkd-segments-'));
+    // The first range is refused (like an expired signed URL); the others trickle in slowly
+    server = http.createServer((req, res) => {
+        const [start, end] = req.headers.range.replace('bytes=', '').split('-').map(Number);
+        if (start === 0) {
+            setTimeout(() => { res.writeHead(403); res.end(); }, 300);
+            return;
+        }
+        openResponses++;
+        res.writeHead(206, { 'content-length': end - start + 1, 'content-range': `bytes ${start}-${end}/${SIZE}` });
+        let pos = start;
+        const timer = setInterval(() => {
+            if (pos > end) { clearInterval(timer); res.end(); return; }
+            const n = Math.min(1000, end - pos + 1);
+            res.write(Buffer.alloc(n, 1));
+            pos += n;
+        }, 20);
+        res.on('close', () => { clearInterval(timer); openResponses--; });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/video.mp4`;
+});
+
+after(() => {
+    server?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a refused segment aborts the other segments before the download fails', async () => {
+    const filePath = path.join(workDir, 'video.mp4');
+    await assert.rejects(
+        downloadSegmentedToFile(url, filePath, url, { totalSize: SIZE, segmentCount: 4, maxRetries: 3 }),
+        /ACCESS_403/
+    );
+    const partSizes = () => fs.readdirSync(workDir).filter(n => n.includes('.seg')).map(n => fs.statSync(path.join(workDir, n)).size);
+    const settled = partSizes();
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.deepEqual(partSizes(), settled, 'no segment keeps writing after the failure');
+    assert.equal(openResponses, 0, 'every segment response was closed');
+    assert.ok(!fs.existsSync(filePath));
+});
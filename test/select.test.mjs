@@ -0,0 +1,118 @@
+// --select / --chapter / --lesson: spec parsing, resolution against a course's chapter list, rejected specs,
+// and the per-lecture selection check.
+// Run with: node --test test/*.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSelectSpec, parseSelectionSpecs, resolveSelectSpec, isChapterSelected, isLessonSelected } from '../download.mjs';
+
+// Lectures per chapter of a made-up 7-chapter course
+const LECTURE_COUNTS = [3, 5, 2, 4, 1, 2, 6];
+
+// { chapterNo: 'all' | [lecture numbers] } for easy comparison
+function selection(selectedUnits) {
+    return Object.fromEntries([...selectedUnits].map(([chapterNo, lessons]) => [chapterNo, lessons === null ? 'all' : [...lessons].sort((a, b) => a - b)]));
+}
+
+const resolve = (spec) => selection(resolveSelectSpec(parseSelectSpec(spec), LECTURE_COUNTS));
+
+test('valid --select specs resolve to chapters and lectures', () => {
+    for (const [spec, expected] of [
+        ['2:3-5,4:1', { 2: [3, 4, 5], 4: [1] }],
+        ['2:3-5,4:1,6', { 2: [3, 4, 5], 4: [1], 6: 'all' }],
+        ['6', { 6: 'all' }],
+        ['1-3', { 1: 'all', 2: 'all', 3: 'all' }],
+        ['5-', { 5: 'all', 6: 'all', 7: 'all' }],
+        ['last', { 7: 'all' }],
+        ['LAST:Last', { 7: [6] }],
+        ['last:4-', { 7: [4, 5, 6] }],
+        ['1-3:2-', { 1: [2, 3], 2: [2, 3, 4, 5], 3: [2] }],
+        ['2:4-2', { 2: [2, 3, 4] }],
+        [' 2 : 1 , 2:4 ', { 2: [1, 4] }],
+        // A whole-chapter item wins over lecture items for the same chapter, in either order
+        ['2:1,2', { 2: 'all' }],
+        ['2,2:1', { 2: 'all' }],
+        // Ranges past the end are clipped; items that match nothing are dropped with a warning
+        ['4:3-9', { 4: [3, 4] }],
+        ['6-20', { 6: 'all', 7: 'all' }],
+        ['3:5-', {}],
+        ['9', {}],
+        ['1:9,5:1', { 5: [1] }]
+    ]) {
+        assert.deepEqual(resolve(spec), expected, spec);
+    }
+});
+
+test('empty specs select nothing special', () => {
+    assert.equal(parseSelectSpec(''), null);
+    assert.equal(parseSelectSpec('   '), null);
+    assert.equal(parseSelectSpec(null), null);
+});
+
+test('malformed specs are rejected with FILTER_FORMAT and exit code 2', () => {
+    for (const spec of ['2:', ':3', '2:3:4', 'a', 'first', '0', '2:0', '0-3', '1-x', '2-3-4', ',', ' , ', '1;2', '-3']) {
+        assert.throws(() => parseSelectSpec(spec), (err) => {
+            assert.match(err.message, /\[FILTER_FORMAT\]/);
+            assert.ok(err.message.includes(`Invalid --select "${spec.trim()}"`), err.message);
+            assert.equal(err.exitCode, 2);
+            return true;
+        }, JSON.stringify(spec));
+    }
+});
+
+test('--chapter/--lesson stay plain sets unless they use last or open ranges', () => {
+    const plain = parseSelectionSpecs({ chapterSpec: '1,3-4', lessonSpec: '2' });
+    assert.deepEqual([...plain.selectedChapters], [1, 3, 4]);
+    assert.deepEqual([...plain.selectedLessons], [2]);
+    assert.equal(plain.selectSpec, null);
+
+    for (const [specs, text, expected] of [
+        [{ chapterSpec: '5-' }, '5-', { 5: 'all', 6: 'all', 7: 'all' }],
+        [{ chapterSpec: 'last' }, 'last', { 7: 'all' }],
+        [{ chapterSpec: '1,3', lessonSpec: 'last' }, '1:last,3:last', { 1: [3], 3: [2] }],
+        [{ lessonSpec: '5-' }, '1-:5-', { 2: [5], 7: [5, 6] }],
+        [{ chapterSpec: '2-3', lessonSpec: '1,4-' }, '2-3:1,2-3:4-', { 2: [1, 4, 5], 3: [1] }]
+    ]) {
+        const parsed = parseSelectionSpecs(specs);
+        assert.equal(parsed.selectedChapters, null);
+        assert.equal(parsed.selectSpec.text, text, JSON.stringify(specs));
+        assert.deepEqual(selection(resolveSelectSpec(parsed.selectSpec, LECTURE_COUNTS)), expected, JSON.stringify(specs));
+    }
+});
+
+test('--select replaces --chapter/--lesson', () => {
+    const parsed = parseSelectionSpecs({ chapterSpec: '1', lessonSpec: '1', selectSpec: '2:3' });
+    assert.equal(parsed.selectedChapters, null);
+    assert.equal(parsed.selectedLessons, null);
+    assert.deepEqual(selection(resolveSelectSpec(parsed.selectSpec, LECTURE_COUNTS)), { 2: [3] });
+});
+
+test('errors in --chapter/--lesson ranges name those options', () => {
+    assert.throws(() => parseSelectionSpecs({ chapterSpec: 'x-' }), (err) => {
+        assert.ok(err.message.includes('Invalid --chapter/--lesson "x-"'), err.message);
+        assert.equal(err.exitCode, 2);
+        return true;
+    });
+    assert.throws(() => parseSelectionSpecs({ chapterSpec: '1,x' }), /Invalid number token: x/);
+});
+
+test('isChapterSelected / isLessonSelected follow the selection that is active', () => {
+    const selectedUnits = resolveSelectSpec(parseSelectSpec('2:3,4'), LECTURE_COUNTS);
+    for (const [selection, chapterNo, lectureNo, chapter, lesson] of [
+        [{ selectedUnits }, 2, 3, true, true],
+        [{ selectedUnits }, 2, 1, true, false],
+        [{ selectedUnits }, 4, 9, true, true],
+        [{ selectedUnits }, 1, 1, false, false],
+        // selectedUnits wins over the --chapter/--lesson sets
+        [{ selectedUnits, selectedChapters: new Set([1]), selectedLessons: new Set([1]) }, 1, 1, false, false],
+        [{ selectedChapters: new Set([1, 3]), selectedLessons: new Set([2]) }, 3, 2, true, true],
+        [{ selectedChapters: new Set([1, 3]), selectedLessons: new Set([2]) }, 2, 2, false, true],
+        [{ selectedChapters: new Set([1, 3]), selectedLessons: new Set([2]) }, 1, 3, true, false],
+        [{ selectedChapters: new Set([1]) }, 1, 7, true, true],
+        [{}, 5, 5, true, true]
+    ]) {
+        const label = `${JSON.stringify(Object.keys(selection))} ${chapterNo}:${lectureNo}`;
+        assert.equal(isChapterSelected(selection, chapterNo), chapter, label);
+        assert.equal(isLessonSelected(selection, chapterNo, lectureNo), lesson, label);
+    }
+});
@@ -0,0 +1,151 @@
+// HLS / DASH: playlist parsing, --quality variant choice, AES-128 IVs, ".ts" naming, and the fixture's
+// encrypted HLS lecture downloaded end to end.
+// Run with: node --test test/*.test.mjs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createClient, parseM3u8, pickStreamVariant, resolveStreamPlan, streamOutputPath } from '../download.mjs';
+import { COURSE_SLUG, FIXTURE_EMAIL, FIXTURE_PASSWORD, HLS_PLAINTEXT } from '../scripts/fixture-server.mjs';
+import { startFixture } from './fixture.mjs';
+
+const MASTER = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="fa",LANGUAGE="fa",DEFAULT=YES,URI="audio/fa.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,AUDIO="aud"',
+    'low/index.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2400000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",AUDIO="aud"',
+    'high/index.m3u8'
+].join('\n');
+
+const MPD = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT12S">
+  <Period duration="PT12S">
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <SegmentTemplate timescale="1000" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%03d$.m4s" startNumber="1">
+        <SegmentTimeline><S t="0" d="4000" r="2"/></SegmentTimeline>
+      </SegmentTemplate>
+      <Representation id="v360" bandwidth="500000" width="640" height="360"/>
+      <Representation id="v720" bandwidth="1500000" width="1280" height="720"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+let manifestServer;
+let manifestBase;
+
+before(async () => {
+    manifestServer = http.createServer((req, res) => {
+        if (req.url === '/dash/manifest.mpd') {
+            res.writeHead(200, { 'content-type': 'application/dash+xml' });
+            return res.end(MPD);
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => manifestServer.listen(0, '127.0.0.1', resolve));
+    manifestBase = `http://127.0.0.1:${manifestServer.address().port}`;
+});
+
+after(() => manifestServer?.close());
+
+test('master playlists list variants and audio renditions with absolute URLs', () => {
+    const playlist = parseM3u8(MASTER, 'https://cdn.example/v/master.m3u8');
+    assert.deepEqual(playlist.variants.map(v => [v.bandwidth, v.resolution, v.url]), [
+        [800000, '640x360', 'https://cdn.example/v/low/index.m3u8'],
+        [2400000, '1280x720', 'https://cdn.example/v/high/index.m3u8']
+    ]);
+    assert.equal(playlist.variants[1].codecs, 'avc1.64001f,mp4a.40.2');
+    assert.deepEqual(playlist.audio.map(a => [a.group, a.isDefault, a.url]), [['aud', true, 'https://cdn.example/v/audio/fa.m3u8']]);
+});
+
+test('--quality picks the variant by bandwidth', () => {
+    const { variants } = parseM3u8(MASTER, 'https://cdn.example/v/master.m3u8');
+    for (const [quality, bandwidth] of [['hq', 2400000], ['largest', 2400000], ['lq', 800000], ['smallest', 800000]]) {
+        assert.equal(pickStreamVariant(variants, quality).bandwidth, bandwidth, quality);
+    }
+});
+
+test('AES-128 segments take the IV attribute, else their media sequence number', () => {
+    const playlist = parseM3u8([
+        '#EXTM3U',
+        '#EXT-X-MEDIA-SEQUENCE:7',
+        '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+        '#EXTINF:4.0,', 'a.ts',
+        '#EXTINF:4.0,', 'b.ts',
+        '#EXT-X-KEY:METHOD=AES-128,URI="key2.bin",IV=0x1F',
+        '#EXTINF:2.5,', 'c.ts',
+        '#EXT-X-KEY:METHOD=NONE',
+        '#EXTINF:1.0,', 'd.ts',
+        '#EXT-X-ENDLIST'
+    ].join('\n'), 'https://cdn.example/s/index.m3u8');
+    const [a, b, c, d] = playlist.segments;
+    assert.equal(a.key.url, 'https://cdn.example/s/key.bin');
+    assert.equal(a.key.iv, '7'.padStart(32, '0'));
+    assert.equal(b.key.iv, '8'.padStart(32, '0'));
+    assert.equal(c.key.url, 'https://cdn.example/s/key2.bin');
+    assert.equal(c.key.iv, '1f'.padStart(32, '0'));
+    assert.equal(d.key, null);
+    assert.deepEqual(playlist.segments.map(s => s.start), [0, 4, 8, 10.5]);
+    assert.equal(playlist.endList, true);
+});
+
+test('byte ranges without an offset continue from the previous range of the same file', () => {
+    const playlist = parseM3u8([
+        '#EXTM3U',
+        '#EXTINF:4,', '#EXT-X-BYTERANGE:1000@0', 'all.ts',
+        '#EXTINF:4,', '#EXT-X-BYTERANGE:500', 'all.ts',
+        '#EXT-X-ENDLIST'
+    ].join('\n'), 'https://cdn.example/s/index.m3u8');
+    assert.deepEqual(playlist.segments.map(s => s.range), [{ start: 0, end: 999 }, { start: 1000, end: 1499 }]);
+});
+
+test('a file without the #EXTM3U header is rejected', () => {
+    assert.throws(() => parseM3u8('<html></html>', 'https://cdn.example/x.m3u8'), /STREAM_MANIFEST/);
+});
+
+test('DASH templates expand the timeline for the representation --quality picks', async () => {
+    const url = `${manifestBase}/dash/manifest.mpd`;
+    const hq = await resolveStreamPlan(url, url, 'hq');
+    assert.equal(hq.kind, 'dash');
+    assert.equal(hq.container, 'mp4');
+    assert.equal(hq.resolution, '1280x720');
+    assert.equal(hq.duration, 12);
+    const [video] = hq.tracks;
+    assert.equal(video.init.url, `${manifestBase}/dash/v720/init.mp4`);
+    assert.deepEqual(video.segments.map(s => [path.basename(s.url), s.start, s.duration]), [
+        ['seg-001.m4s', 0, 4], ['seg-002.m4s', 4, 4], ['seg-003.m4s', 8, 4]
+    ]);
+    const lq = await resolveStreamPlan(url, url, 'lq');
+    assert.equal(lq.resolution, '640x360');
+});
+
+test('MPEG-TS streams are saved as ".ts" next to the planned ".mp4"', () => {
+    assert.equal(streamOutputPath('/c/Lesson 1.mp4', 'ts'), '/c/Lesson 1.ts');
+    assert.equal(streamOutputPath('/c/Lesson 1.sample.mp4', 'ts'), '/c/Lesson 1.sample.ts');
+    assert.equal(streamOutputPath('/c/Lesson 1.mp4', 'mp4'), '/c/Lesson 1.mp4');
+});
+
+test('the encrypted HLS lecture is decrypted into "<base>.ts" byte for byte', async () => {
+    const fixture = await startFixture();
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mkd-hls-'));
+    try {
+        const client = createClient({ email: FIXTURE_EMAIL, password: FIXTURE_PASSWORD, runtime: { origin: fixture.origin, outputDir, playlists: 'none', courseIndex: false } });
+        await client.login();
+        const events = [];
+        await client.download(COURSE_SLUG, { chapters: '2', onEvent: (e) => events.push(e) });
+        const folder = path.join(outputDir, 'demo course', 'فصل 2 - ویدیوی استریم');
+        const saved = path.join(folder, 'قسمت 1 - جلسه HLS.ts');
+        assert.ok(fs.readFileSync(saved).equals(Buffer.concat(HLS_PLAINTEXT)));
+        assert.ok(!fs.existsSync(path.join(folder, 'قسمت 1 - جلسه HLS.mp4')));
+        const unitFiles = events.filter(e => e.event === 'unit' && e.unitId === 1004).map(e => [e.status, e.file]);
+        assert.deepEqual(unitFiles, [['downloading', saved], ['downloaded', saved]]);
+        assert.ok(fixture.requests.some(r => r.url === '/keys/hls-lesson.key' && r.status === 200));
+    } finally {
+        await fixture.close();
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
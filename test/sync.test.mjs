@@ -0,0 +1,62 @@
+// End-to-end sync check against the offline fixture server: download the demo course, then sync it with
+// Latin file names so every unit moves to a new chapter folder.
+// Run with: node --test test/*.test.mjs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createClient } from '../download.mjs';
+import { COURSE_SLUG, FIXTURE_EMAIL, FIXTURE_PASSWORD } from '../scripts/fixture-server.mjs';
+import { startFixture, makeWorkDir } from './fixture.mjs';
+
+const ROOT = process.cwd();
+let fixture;
+let workDir;
+
+before(async () => {
+    fixture = await startFixture();
+    workDir = makeWorkDir('mkd-sync-');
+    // The output folder is relative to the working directory
+    process.chdir(workDir);
+});
+
+after(async () => {
+    await fixture?.close();
+    process.chdir(ROOT);
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function runCourse(runtime, options = {}) {
+    const client = createClient({ email: FIXTURE_EMAIL, password: FIXTURE_PASSWORD, runtime: { origin: fixture.origin, outputDir: 'out', ...runtime } });
+    await client.login();
+    const events = [];
+    await client.download(COURSE_SLUG, { ...options, onEvent: (e) => events.push(e) });
+    return events;
+}
+
+const chapterFolders = (courseFolder) => fs.readdirSync(courseFolder, { withFileTypes: true })
+    .filter(e => e.isDirectory() && !e.name.startsWith('.')).map(e => e.name).sort();
+
+test('sync moves units into renamed chapter folders and removes the old ones', async () => {
+    await runCourse({ playlists: 'm3u8,xspf' });
+    const courseFolder = path.join(workDir, 'out', fs.readdirSync(path.join(workDir, 'out'))[0]);
+    const before = chapterFolders(courseFolder);
+    assert.ok(before.length > 0);
+    for (const folder of before) assert.ok(fs.existsSync(path.join(courseFolder, folder, 'playlist.m3u8')));
+
+    const events = await runCourse({ playlists: 'm3u8,xspf', latinNames: true }, { sync: true });
+    const sync = events.find(e => e.event === 'sync');
+    assert.ok(sync, 'sync event emitted');
+    assert.ok(sync.moved.length + sync.renamed.length > 0, 'units were moved');
+    assert.equal(sync.upToDate, 0, 'moved units are not counted as up to date');
+
+    const after = chapterFolders(courseFolder);
+    for (const folder of before) {
+        if (!after.includes(folder)) continue;
+        // A folder name that survived the rename must still hold units, not just a stale playlist
+        assert.ok(fs.readdirSync(path.join(courseFolder, folder)).some(n => !n.startsWith('playlist.')), `${folder} only holds playlists`);
+    }
+    assert.notDeepEqual(after, before);
+    for (const folder of after) assert.ok(fs.existsSync(path.join(courseFolder, folder, 'playlist.m3u8')));
+});
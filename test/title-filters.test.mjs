@@ -0,0 +1,82 @@
+// --match / --exclude: Persian letter folding, digits, ZWNJ, regex vs glob patterns and rejected patterns.
+// Run with: node --test test/*.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTitlePattern, compileTitleFilters, evaluateTitleFilters, foldTitleLetters } from '../download.mjs';
+
+const ZWNJ = '\u200c';
+
+test('foldTitleLetters maps Arabic forms and digits to Persian/ASCII and drops marks', () => {
+    for (const [input, expected] of [
+        ['كلاس', 'کلاس'],
+        ['علي', 'علی'],
+        ['موسى', 'موسی'],
+        ['مقدمة', 'مقدمه'],
+        ['خانۀ', 'خانه'],
+        ['۱۲۳', '123'],
+        ['٤٥٦', '456'],
+        ['آموزش', 'اموزش'],
+        ['کـــلاس', 'کلاس'],
+        ['مُقَدِّمه', 'مقدمه'],
+        ['Café', 'Cafe'],
+        [`می${ZWNJ}شود`, `می${ZWNJ}شود`]
+    ]) {
+        assert.equal(foldTitleLetters(input), expected, input);
+    }
+});
+
+test('title patterns match across letter forms, digits, case and ZWNJ', () => {
+    for (const [pattern, title, expected] of [
+        ['كلاس', 'کلاس پایتون', true],
+        ['کلاس', 'كلاس پايتون', true],
+        ['علي', 'درس علی', true],
+        ['اموزش', 'آموزش جنگو', true],
+        ['DJANGO*form', 'Django Forms', true],
+        ['جلسه ?', 'جلسه 5', true],
+        ['python', 'Django', false],
+        ['/\\d+/', 'جلسه ۱۲', true],
+        ['/^جلسه \\d+$/', 'جلسه ٣', true],
+        ['/^جلسه \\d+$/', 'جلسه اول', false],
+        [`می${ZWNJ}شود`, 'چه می شود', true],
+        ['می شود', `چه می${ZWNJ}شود`, true],
+        ['/می شود/', `چه می${ZWNJ}شود`, true],
+        [`/می${ZWNJ}شود/`, 'چه می شود', true],
+        ['/^[A-Z]+$/', 'intro', true],
+        // Regex sources keep their case: lowercased, \D and \W would become \d and \w
+        ['/^\\D+$/', 'Intro', true],
+        ['/^\\D+$/', 'Part 2', false],
+        ['/\\W/', 'a-b', true],
+        ['/\\W/', 'ab', false],
+        ['/^\\S+$/', 'Intro', true]
+    ]) {
+        assert.equal(compileTitlePattern(pattern, '--match').test(title), expected, `${pattern} vs ${title}`);
+    }
+});
+
+test('invalid patterns are rejected with FILTER_FORMAT and exit code 2', () => {
+    for (const [pattern, flag] of [['', '--match'], ['   ', '--exclude'], ['/(/', '--match'], ['/[a-/', '--exclude'], ['/a{2,1}/', '--match']]) {
+        assert.throws(() => compileTitlePattern(pattern, flag), (err) => {
+            assert.match(err.message, /\[FILTER_FORMAT\]/);
+            assert.ok(err.message.includes(`Invalid ${flag} pattern`), err.message);
+            assert.equal(err.exitCode, 2);
+            return true;
+        }, JSON.stringify(pattern));
+    }
+    assert.throws(() => compileTitleFilters({ exclude: ['/(/'] }), /Invalid --exclude pattern/);
+});
+
+test('an --exclude hit wins over --match and the reason names the field', () => {
+    assert.equal(compileTitleFilters({}), null);
+    const filters = compileTitleFilters({ match: ['جلسه*'], exclude: 'رفع اشکال' });
+    for (const [chapterTitle, unitTitle, included, field] of [
+        ['فصل 1', 'جلسه اول', true, 'unit title'],
+        ['جلسه‌های تمرینی', 'مرور', true, 'chapter title'],
+        ['فصل 1', 'جلسه رفع اشکال', false, 'unit title'],
+        ['فصل 1', 'مرور', false, null]
+    ]) {
+        const result = evaluateTitleFilters(filters, { chapterTitle, unitTitle });
+        assert.equal(result.included, included, unitTitle);
+        assert.equal(result.reason.field, field, unitTitle);
+    }
+});